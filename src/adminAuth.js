@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+// Admin credentials for diagnostic and maintenance routes
+// Either a bearer key (ADMIN_API_KEY) or basic auth (ADMIN_USERNAME + ADMIN_PASSWORD)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+export function isAdminAuthConfigured() {
+  return !!ADMIN_API_KEY || !!(ADMIN_USERNAME && ADMIN_PASSWORD);
+}
+
+// Helper function to compare two strings in constant time
+function safeEqual(expected, received) {
+  const expectedBuffer = Buffer.from(String(expected), 'utf8');
+  const receivedBuffer = Buffer.from(String(received), 'utf8');
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Helper function to check the Authorization header against the configured credentials
+function isAuthorized(authorizationHeader) {
+  if (!authorizationHeader) return false;
+
+  const [scheme, credentials] = authorizationHeader.split(' ');
+  if (!credentials) return false;
+
+  if (scheme.toLowerCase() === 'bearer' && ADMIN_API_KEY) {
+    return safeEqual(ADMIN_API_KEY, credentials);
+  }
+
+  if (scheme.toLowerCase() === 'basic' && ADMIN_USERNAME && ADMIN_PASSWORD) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const separatorIndex = decoded.indexOf(':');
+    if (separatorIndex === -1) return false;
+    const username = decoded.slice(0, separatorIndex);
+    const password = decoded.slice(separatorIndex + 1);
+    // Evaluate both comparisons so timing doesn't reveal which one failed
+    const usernameMatches = safeEqual(ADMIN_USERNAME, username);
+    const passwordMatches = safeEqual(ADMIN_PASSWORD, password);
+    return usernameMatches && passwordMatches;
+  }
+
+  return false;
+}
+
+// Middleware - only let admins through to diagnostic routes
+export function requireAdmin(req, res, next) {
+  if (!isAdminAuthConfigured()) {
+    console.warn(
+      `⚠ Blocked ${req.method} ${req.path} - no admin credentials configured (ADMIN_API_KEY or ADMIN_USERNAME/ADMIN_PASSWORD)`,
+    );
+    return res.status(401).json({
+      success: false,
+      error: 'Admin access is not configured',
+    });
+  }
+
+  if (!isAuthorized(req.headers.authorization)) {
+    console.warn(`⚠ Unauthorized ${req.method} ${req.path} from ${req.ip}`);
+    if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+      res.set('WWW-Authenticate', 'Basic realm="admin"');
+    }
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+// Replace every occurrence of the given secret values in a JSON-serializable value
+export function redactSecrets(value, secrets) {
+  const activeSecrets = secrets.filter(
+    (secret) => typeof secret === 'string' && secret.length > 0,
+  );
+
+  const redactString = (text) =>
+    activeSecrets.reduce(
+      (result, secret) => result.split(secret).join('[REDACTED]'),
+      text,
+    );
+
+  const walk = (node) => {
+    if (typeof node === 'string') return redactString(node);
+    if (Array.isArray(node)) return node.map(walk);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(
+        Object.entries(node).map(([key, child]) => [key, walk(child)]),
+      );
+    }
+    return node;
+  };
+
+  return walk(value);
+}
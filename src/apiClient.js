@@ -0,0 +1,206 @@
+import fetch from 'node-fetch';
+
+/*
+  Shared HTTP client for the Asana and Intercom APIs.
+
+  Each client owns its base URL and default headers (auth, API version) and adds:
+  - Per-call timeouts
+  - Retries with exponential backoff and jitter on network errors, timeouts,
+    429 and 5xx responses, honouring Retry-After and X-RateLimit-Reset.
+    POST/PATCH are only retried on 429 and 503, never after a network error or timeout
+  - A circuit breaker per upstream that fails fast after repeated outages
+
+  request() resolves with the final node-fetch Response (which may still be non-2xx,
+  e.g. a 404 or a 5xx after retries are exhausted), so callers keep checking
+  response.ok. It rejects on network errors once retries are exhausted, and with
+  error.code === 'CIRCUIT_OPEN' while the breaker is open.
+*/
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// POST/PATCH aren't idempotent - only retry responses that mean "not processed"
+const UNSAFE_RETRYABLE_STATUSES = new Set([429, 503]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Helper function to read how long the server asked us to wait, in milliseconds
+export function getRetryDelayFromHeaders(headers, now = Date.now()) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(seconds * 1000, 0);
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(date - now, 0);
+  }
+
+  // Intercom sends the reset time as a Unix timestamp (seconds)
+  const rateLimitReset = Number(headers.get('x-ratelimit-reset'));
+  if (rateLimitReset) {
+    return Math.max(rateLimitReset * 1000 - now, 0);
+  }
+
+  return null;
+}
+
+export function createApiClient({
+  name,
+  baseUrl = '',
+  headers: defaultHeaders = {},
+  timeoutMs = 15000,
+  maxRetries = 4,
+  baseDelayMs = 500,
+  maxDelayMs = 60000,
+  breakerThreshold = 5,
+  breakerCooldownMs = 30000,
+}) {
+  // Circuit breaker state
+  let consecutiveFailures = 0;
+  let openUntil = 0;
+
+  function recordSuccess() {
+    if (openUntil) {
+      console.log(`✓ ${name} API circuit closed`);
+    }
+    consecutiveFailures = 0;
+    openUntil = 0;
+  }
+
+  function recordFailure() {
+    consecutiveFailures += 1;
+    if (consecutiveFailures >= breakerThreshold) {
+      openUntil = Date.now() + breakerCooldownMs;
+      console.error(
+        `✗ ${name} API circuit opened after ${consecutiveFailures} consecutive failures (cooling down ${breakerCooldownMs}ms)`,
+      );
+    }
+  }
+
+  // Open circuits reject immediately; after the cooldown requests go through again
+  // and the next failure re-opens the circuit
+  function assertCircuitClosed() {
+    if (openUntil && Date.now() < openUntil) {
+      const error = new Error(
+        `${name} API circuit is open - skipping request until ${new Date(openUntil).toISOString()}`,
+      );
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+  }
+
+  function backoffDelay(attempt) {
+    const exponential = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+    // Full jitter keeps concurrent retries from hitting the API in lockstep
+    return Math.round(exponential / 2 + (Math.random() * exponential) / 2);
+  }
+
+  /*
+    options:
+      method, headers    - merged over the client's default headers
+      json               - serialized as the JSON body (sets Content-Type)
+      body               - raw body, or a function returning a fresh body per attempt
+                           (needed for streams such as FormData)
+      timeoutMs, retries - per-call overrides
+  */
+  async function request(pathOrUrl, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const url = /^https?:\/\//.test(pathOrUrl)
+      ? pathOrUrl
+      : `${baseUrl}${pathOrUrl}`;
+    const retries = options.retries ?? maxRetries;
+    const callTimeoutMs = options.timeoutMs ?? timeoutMs;
+    const retryableStatuses = IDEMPOTENT_METHODS.has(method)
+      ? RETRYABLE_STATUSES
+      : UNSAFE_RETRYABLE_STATUSES;
+
+    for (let attempt = 0; ; attempt++) {
+      assertCircuitClosed();
+
+      let body = options.body;
+      if (typeof body === 'function') body = body();
+      const headers = {
+        ...defaultHeaders,
+        ...(body?.getHeaders ? body.getHeaders() : {}),
+        ...options.headers,
+      };
+      if (options.json !== undefined) {
+        body = JSON.stringify(options.json);
+        headers['Content-Type'] = 'application/json';
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), callTimeoutMs);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers,
+          body,
+          signal: controller.signal,
+        });
+      } catch (error) {
+        clearTimeout(timer);
+        recordFailure();
+        const reason =
+          error.name === 'AbortError'
+            ? `timed out after ${callTimeoutMs}ms`
+            : error.message;
+
+        // A POST that timed out may still have been processed - sending it again
+        // could create a second task, comment or note
+        if (attempt >= retries || !IDEMPOTENT_METHODS.has(method)) {
+          if (error.name === 'AbortError') {
+            throw new Error(`${name} API ${method} ${url} ${reason}`);
+          }
+          throw error;
+        }
+
+        const delay = backoffDelay(attempt);
+        console.warn(
+          `  ⚠ ${name} API ${method} ${url} failed (${reason}) - retry ${attempt + 1}/${retries} in ${delay}ms`,
+        );
+        await sleep(delay);
+        continue;
+      }
+      clearTimeout(timer);
+
+      if (!RETRYABLE_STATUSES.has(response.status)) {
+        recordSuccess();
+        return response;
+      }
+
+      // Rate limiting isn't an outage - only 5xx responses count towards the breaker
+      if (response.status !== 429) {
+        recordFailure();
+      }
+
+      if (attempt >= retries || !retryableStatuses.has(response.status)) {
+        return response;
+      }
+
+      const requestedDelay = getRetryDelayFromHeaders(response.headers);
+      if (requestedDelay !== null && requestedDelay > maxDelayMs) {
+        console.warn(
+          `  ⚠ ${name} API asked us to wait ${requestedDelay}ms - longer than the ${maxDelayMs}ms limit, giving up`,
+        );
+        return response;
+      }
+
+      const delay = requestedDelay ?? backoffDelay(attempt);
+      console.warn(
+        `  ⚠ ${name} API ${method} ${url} returned ${response.status} - retry ${attempt + 1}/${retries} in ${delay}ms`,
+      );
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => null);
+      await sleep(delay);
+    }
+  }
+
+  function circuitState() {
+    if (!openUntil) return 'closed';
+    return Date.now() < openUntil ? 'open' : 'half-open';
+  }
+
+  return { name, request, circuitState };
+}
@@ -0,0 +1,674 @@
+import FormData from 'form-data';
+import { ASANA_TOKEN, ASANA_PROJECT } from './config.js';
+import { createApiClient } from './apiClient.js';
+import { isValidUrl } from './fieldFormatting.js';
+
+// Asana API helpers shared by the server, the task service and the CLI
+
+// Asana Custom Field GIDs - Will be automatically populated on server start
+export const ASANA_CUSTOM_FIELDS = {
+  CASH_OUT_DATE_AND_TIME: null, // Date field in Intercom, Text in Asana (GMT+6 timezone)
+  CASH_OUT_SLIP: null, // File upload field
+  E_WALLET: null, // Text field
+  TRANSACTION_ID: null, // Text field
+  AGENT_NUMBER: null, // Text field
+  AMOUNT: null, // Text field
+  REMARK: null, // Text field
+  CASHOUT_SLIP_ASANA: null, // File upload field (Asana specific)
+  INTERCOM_CONVERSATION_ID: null, // For webhook sync back to Intercom
+  TICKET_STATUS: null, // For syncing ticket status between Asana and Intercom
+};
+
+// Cache for custom field mappings and types
+let customFieldsCache = null;
+let customFieldTypes = {};
+
+// Shared Asana API client - retries, rate-limit backoff and circuit breaking live in apiClient.js
+export const asanaApi = createApiClient({
+  name: 'Asana',
+  baseUrl: 'https://app.asana.com/api/1.0',
+  headers: {
+    Authorization: `Bearer ${ASANA_TOKEN}`,
+    Accept: 'application/json',
+  },
+});
+
+// Attachment downloads (signed S3 / Intercom asset URLs) - no auth headers
+const downloadClient = createApiClient({ name: 'Download', timeoutMs: 60000 });
+
+// Cache for Asana API user GID (used to detect our own uploads and prevent loops)
+let asanaApiUserGid = null;
+
+export async function getAsanaApiUserGid() {
+  if (asanaApiUserGid) return asanaApiUserGid;
+  try {
+    const response = await asanaApi.request('/users/me');
+    if (response.ok) {
+      const data = await response.json();
+      asanaApiUserGid = data.data?.gid;
+      console.log('Cached Asana API user GID:', asanaApiUserGid);
+      return asanaApiUserGid;
+    }
+  } catch (error) {
+    console.error('Error fetching Asana API user:', error.message);
+  }
+  return null;
+}
+
+// GIDs of attachments we uploaded from Intercom (to skip echo-back in Asana webhook)
+export const intercomUploadedAttachmentGids = new Set();
+
+// Helper function to get conversation ID from Asana task
+export async function getConversationIdFromTask(taskId) {
+  try {
+    console.log('  Fetching task details from Asana...');
+    const taskResponse = await asanaApi.request(`/tasks/${taskId}`);
+
+    if (!taskResponse.ok) {
+      const errorText = await taskResponse.text();
+      console.error(
+        '  ✗ Failed to fetch task details. Status:',
+        taskResponse.status,
+      );
+      console.error('  Error response:', errorText);
+      return null;
+    }
+
+    const taskData = await taskResponse.json();
+    const customFields = taskData.data.custom_fields || [];
+
+    console.log(`  Found ${customFields.length} custom fields on task`);
+
+    // Get conversation ID from custom fields
+    let conversationId = null;
+
+    for (const field of customFields) {
+      // Match by GID or by field name (fallback if GID not mapped)
+      if (
+        field.gid === ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID ||
+        field.name === 'Intercom Conversation ID'
+      ) {
+        // Try multiple properties where the value might be stored
+        conversationId =
+          field.text_value ||
+          field.display_value ||
+          field.number_value ||
+          (typeof field.value === 'string' ? field.value : null);
+
+        console.log(
+          '  ✓ Found Intercom Conversation ID field:',
+          JSON.stringify(field, null, 2),
+        );
+        console.log(
+          '  → Extracted conversation ID:',
+          conversationId,
+          `(matched by ${
+            field.gid === ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID
+              ? 'GID'
+              : 'name'
+          })`,
+        );
+        break;
+      }
+    }
+
+    if (!conversationId) {
+      console.log('  ✗ No conversation ID found for this task');
+      console.log('  Possible causes:');
+      console.log(
+        '    1. ⚠ The "Intercom Conversation ID" field has no value on this task',
+      );
+      console.log(
+        '    2. ⚠ This task was created before the field was added, OR',
+      );
+      console.log(
+        '    3. ⚠ The task was not created through the Intercom integration',
+      );
+    }
+
+    return { conversationId, taskData: taskData.data };
+  } catch (error) {
+    console.error('  ✗ Error fetching conversation ID from task:', error);
+    return null;
+  }
+}
+
+// Helper function to get enum option ID from custom field
+export async function getAsanaEnumOptionId(fieldGid, optionName) {
+  try {
+    const response = await asanaApi.request(`/custom_fields/${fieldGid}`);
+
+    if (response.ok) {
+      const data = await response.json();
+      const enumOptions = data.data.enum_options || [];
+
+      // Find the option that matches the name
+      const matchingOption = enumOptions.find(
+        (option) => option.name === optionName,
+      );
+
+      if (matchingOption) {
+        console.log(
+          `Found enum option ID for "${optionName}": ${matchingOption.gid}`,
+        );
+        return matchingOption.gid;
+      } else {
+        console.warn(
+          `No enum option found for "${optionName}" in field ${fieldGid}`,
+        );
+        console.warn(
+          'Available options:',
+          enumOptions.map((o) => o.name).join(', '),
+        );
+        return null;
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error('Error fetching enum options:', error);
+    return null;
+  }
+}
+
+// Helper function to get custom field settings for a project
+export async function getAsanaCustomFields(projectId = ASANA_PROJECT) {
+  try {
+    const response = await asanaApi.request(
+      `/projects/${projectId}/custom_field_settings`,
+    );
+
+    if (response.ok) {
+      const data = await response.json();
+      return data.data;
+    }
+    return null;
+  } catch (error) {
+    console.error('Error fetching custom fields:', error);
+    return null;
+  }
+}
+
+// Helper function to get the task details shown on the canvas status card
+export async function getAsanaTask(taskId) {
+  try {
+    const params = new URLSearchParams({
+      opt_fields:
+        'name,completed,completed_at,due_on,due_at,permalink_url,assignee.name,memberships.project.gid,memberships.section.name,custom_fields.gid,custom_fields.name,custom_fields.resource_subtype,custom_fields.enum_value.name,custom_fields.multi_enum_values.name,custom_fields.display_value,custom_fields.text_value,custom_fields.number_value,custom_fields.date_value',
+    });
+    const response = await asanaApi.request(`/tasks/${taskId}?${params}`);
+
+    if (response.ok) {
+      const data = await response.json();
+      return data.data;
+    }
+    console.error(
+      `  ✗ Failed to fetch task ${taskId}. Status:`,
+      response.status,
+    );
+    return null;
+  } catch (error) {
+    console.error('Error fetching task from Asana:', error.message);
+    return null;
+  }
+}
+
+// Comments for the status card are cached per task - the card is re-rendered on every open and
+// refresh, and a busy task has pages of system stories. New stories clear the entry.
+// Stories only come oldest first, so every page is read; only the newest comments are kept.
+const COMMENTS_CACHE_TTL_MS = 2 * 60 * 1000;
+const MAX_KEPT_COMMENTS = 20;
+const commentsCache = new Map();
+
+// Helper function to forget a task's cached comments (a story was added to it)
+export function clearAsanaTaskCommentsCache(taskId) {
+  commentsCache.delete(String(taskId));
+}
+
+// Helper function to fetch a task's newest MAX_KEPT_COMMENTS comments, oldest first
+async function fetchAsanaTaskComments(taskId) {
+  try {
+    let comments = [];
+    let offset = null;
+
+    do {
+      const params = new URLSearchParams({
+        limit: '100',
+        opt_fields: 'resource_subtype,text,created_at,created_by.name',
+      });
+      if (offset) params.set('offset', offset);
+
+      const response = await asanaApi.request(
+        `/tasks/${taskId}/stories?${params}`,
+      );
+      if (!response.ok) {
+        console.error(
+          `  ✗ Failed to fetch stories for task ${taskId}. Status:`,
+          response.status,
+        );
+        return null;
+      }
+
+      const data = await response.json();
+      comments = [
+        ...comments,
+        ...(data.data || []).filter(
+          (story) => story.resource_subtype === 'comment_added',
+        ),
+      ].slice(-MAX_KEPT_COMMENTS);
+      offset = data.next_page?.offset || null;
+    } while (offset);
+
+    return comments;
+  } catch (error) {
+    console.error('Error fetching task comments from Asana:', error.message);
+    return null;
+  }
+}
+
+// Helper function to get a task's newest comments, oldest first (cached for COMMENTS_CACHE_TTL_MS)
+export async function getAsanaTaskComments(taskId) {
+  const key = String(taskId);
+  const cached = commentsCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.comments;
+
+  // Concurrent renders of the same card share one fetch
+  const comments = fetchAsanaTaskComments(taskId);
+  commentsCache.set(key, {
+    comments,
+    expiresAt: Date.now() + COMMENTS_CACHE_TTL_MS,
+  });
+  const result = await comments;
+  if (!result) commentsCache.delete(key);
+  return result;
+}
+
+// Helper function to get sections from a project
+export async function getAsanaSections(projectId = ASANA_PROJECT) {
+  try {
+    const response = await asanaApi.request(`/projects/${projectId}/sections`);
+
+    if (response.ok) {
+      const data = await response.json();
+      return data.data;
+    }
+    return null;
+  } catch (error) {
+    console.error('Error fetching sections:', error);
+    return null;
+  }
+}
+
+// Helper function to get the members of a project (for the assignee picker)
+export async function getAsanaProjectMembers(projectId = ASANA_PROJECT) {
+  try {
+    const response = await asanaApi.request(
+      `/projects/${projectId}?opt_fields=members.name,members.email`,
+    );
+
+    if (response.ok) {
+      const data = await response.json();
+      return data.data.members || [];
+    }
+    return null;
+  } catch (error) {
+    console.error('Error fetching project members:', error);
+    return null;
+  }
+}
+
+// Helper function to get section ID by name
+export async function getAsanaSectionId(
+  sectionName,
+  projectId = ASANA_PROJECT,
+) {
+  try {
+    const sections = await getAsanaSections(projectId);
+    if (!sections || sections.length === 0) {
+      console.warn('⚠ No sections found in Asana project');
+      return null;
+    }
+
+    const section = sections.find((s) => s.name === sectionName);
+    if (section) {
+      console.log(`✓ Found section "${sectionName}" with ID: ${section.gid}`);
+      return section.gid;
+    } else {
+      console.warn(`⚠ Section "${sectionName}" not found in project`);
+      console.warn(
+        'Available sections:',
+        sections.map((s) => s.name).join(', '),
+      );
+      return null;
+    }
+  } catch (error) {
+    console.error('Error getting section ID:', error);
+    return null;
+  }
+}
+
+// Helper function to initialize custom field mappings
+// Can accept already-fetched customFieldSettings to avoid duplicate API calls
+export async function initializeCustomFieldMappings(
+  customFieldSettings = null,
+) {
+  try {
+    // Only fetch if not provided
+    if (!customFieldSettings) {
+      console.log('Fetching Asana custom field mappings...');
+      customFieldSettings = await getAsanaCustomFields();
+    }
+
+    if (!customFieldSettings || customFieldSettings.length === 0) {
+      console.warn('⚠ No custom fields found in Asana project');
+      console.warn(
+        'Custom field syncing will be disabled. Please add custom fields to your Asana project.',
+      );
+      return null;
+    }
+
+    const fieldTypes = {};
+
+    // Track critical system fields
+    let hasIntercomConversationId = false;
+    let hasTicketStatus = false;
+
+    // Map all custom fields dynamically (no hardcoded list)
+    console.log(
+      `Mapping ${customFieldSettings.length} custom fields from Asana...`,
+    );
+    customFieldSettings.forEach((setting) => {
+      const fieldName = setting.custom_field.name;
+      const fieldGid = setting.custom_field.gid;
+      const fieldType = setting.custom_field.resource_subtype;
+
+      // Track critical fields
+      if (fieldName === 'Intercom Conversation ID') {
+        hasIntercomConversationId = true;
+        ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID = fieldGid;
+        console.log(
+          `✓ Mapped critical field: "${fieldName}" → ${fieldGid} (type: ${fieldType})`,
+        );
+      } else if (fieldName === 'Ticket Status') {
+        hasTicketStatus = true;
+        ASANA_CUSTOM_FIELDS.TICKET_STATUS = fieldGid;
+        console.log(
+          `✓ Mapped critical field: "${fieldName}" → ${fieldGid} (type: ${fieldType})`,
+        );
+      } else {
+        console.log(
+          `✓ Mapped: "${fieldName}" → ${fieldGid} (type: ${fieldType})`,
+        );
+      }
+
+      // Store all field types for ALL fields (including system fields)
+      fieldTypes[fieldGid] = fieldType;
+    });
+
+    // Store field types globally
+    customFieldTypes = fieldTypes;
+
+    // Warn about missing critical fields
+    if (!hasIntercomConversationId) {
+      console.warn('\n⚠⚠⚠ CRITICAL WARNING ⚠⚠⚠');
+      console.warn(
+        'The "Intercom Conversation ID" field is REQUIRED for webhook sync!',
+      );
+      console.warn(
+        'Without this field, Asana webhooks cannot update Intercom tickets.',
+      );
+      console.warn(
+        'Please create a TEXT field named "Intercom Conversation ID" in your Asana project.',
+      );
+      console.warn('⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠\n');
+    }
+
+    if (!hasTicketStatus) {
+      console.warn(
+        '⚠️ WARNING: "Ticket Status" field not found in Asana project',
+      );
+      console.warn(
+        '   Please add "Ticket Status" enum field to your Asana project for status sync',
+      );
+    }
+
+    if (hasIntercomConversationId && hasTicketStatus) {
+      console.log('✓ All critical fields mapped successfully');
+    }
+
+    // Mark as initialized by storing the custom field settings
+    customFieldsCache = customFieldSettings;
+    return customFieldSettings;
+  } catch (error) {
+    console.error('Error initializing custom field mappings:', error);
+    return null;
+  }
+}
+
+// Helper function to get the file name an attachment URL is uploaded under
+export function getAttachmentFileName(attachmentUrl) {
+  // Extract filename from URL or use a default
+  const urlParts = attachmentUrl.split('/');
+  return urlParts[urlParts.length - 1].split('?')[0] || 'attachment';
+}
+
+// Helper function to list the names of the files already attached to a task
+// Returns null if the attachments can't be fetched
+export async function getAsanaTaskAttachmentNames(taskId) {
+  try {
+    const params = new URLSearchParams({ parent: taskId, opt_fields: 'name' });
+    const response = await asanaApi.request(`/attachments?${params}`);
+
+    if (response.ok) {
+      const data = await response.json();
+      return (data.data || []).map((attachment) => attachment.name);
+    }
+    console.error(
+      `  ✗ Failed to fetch attachments for task ${taskId}. Status:`,
+      response.status,
+    );
+    return null;
+  } catch (error) {
+    console.error('Error fetching task attachments from Asana:', error.message);
+    return null;
+  }
+}
+
+// Helper function to upload attachment to Asana task
+export async function uploadAttachmentToAsana(taskId, attachmentUrl) {
+  try {
+    // Validate if it's a proper URL
+    if (!isValidUrl(attachmentUrl)) {
+      console.error('Invalid attachment URL:', attachmentUrl);
+      console.log(
+        'The attachment field appears to be an ID or invalid URL. Please provide a full URL.',
+      );
+      return null;
+    }
+
+    // Download the file from the attachment URL
+    console.log('===== ATTACHMENT DOWNLOAD PROCESS =====');
+    console.log('Full attachment URL:', attachmentUrl);
+    console.log('Attempting to download...');
+
+    const fileResponse = await downloadClient.request(attachmentUrl);
+
+    if (!fileResponse.ok) {
+      console.error(
+        'Failed to download attachment. Status:',
+        fileResponse.status,
+      );
+      console.error('Status Text:', fileResponse.statusText);
+      return null;
+    }
+
+    console.log('✓ Successfully downloaded attachment');
+    console.log('Content-Type:', fileResponse.headers.get('content-type'));
+    console.log('Content-Length:', fileResponse.headers.get('content-length'));
+
+    // Get the file buffer and content type
+    const fileBuffer = await fileResponse.buffer();
+    const contentType =
+      fileResponse.headers.get('content-type') || 'application/octet-stream';
+
+    const fileName = getAttachmentFileName(attachmentUrl);
+
+    // Build the multipart body per attempt - a FormData stream can only be sent once
+    const buildFormData = () => {
+      const formData = new FormData();
+      formData.append('parent', taskId);
+      formData.append('file', fileBuffer, {
+        filename: fileName,
+        contentType: contentType,
+      });
+      return formData;
+    };
+
+    // Upload to Asana
+    console.log('===== ASANA UPLOAD PROCESS =====');
+    console.log('Uploading to Asana task ID:', taskId);
+    console.log('File name:', fileName);
+    console.log('Content type:', contentType);
+    console.log('File size:', fileBuffer.length, 'bytes');
+
+    const asanaResponse = await asanaApi.request('/attachments', {
+      method: 'POST',
+      body: buildFormData,
+      timeoutMs: 60000,
+    });
+
+    if (asanaResponse.ok) {
+      const asanaData = await asanaResponse.json();
+      const attachmentGid = asanaData.data?.gid;
+      const permanentUrl =
+        asanaData.data?.permanent_url ||
+        asanaData.data?.download_url ||
+        asanaData.data?.url ||
+        'uploaded'; // Return a truthy value even if URL is missing
+      console.log('✓ Successfully uploaded attachment to Asana');
+      if (attachmentGid) {
+        intercomUploadedAttachmentGids.add(String(attachmentGid));
+        console.log('  Tracked GID for echo-back prevention:', attachmentGid);
+      }
+      console.log('Asana response:', JSON.stringify(asanaData, null, 2));
+      if (permanentUrl && permanentUrl !== 'uploaded') {
+        console.log('Asana permanent URL:', permanentUrl);
+      } else {
+        console.log('Note: No permanent URL in response, but upload succeeded');
+      }
+      console.log('======================================');
+      return permanentUrl;
+    } else {
+      const errorData = await asanaResponse
+        .json()
+        .catch(() => ({ error: 'Unknown error' }));
+      console.error('✗ Error uploading attachment to Asana:', errorData);
+      console.error(
+        'Response status:',
+        asanaResponse.status,
+        asanaResponse.statusText,
+      );
+      console.error('======================================');
+      return null;
+    }
+  } catch (error) {
+    console.error('Error in uploadAttachmentToAsana:', error);
+    return null;
+  }
+}
+
+// Helper function to post a comment (story) on an Asana task
+// Throws if Asana rejects the request so callers can capture the failure
+export async function postAsanaStory(taskId, text) {
+  const response = await asanaApi.request(`/tasks/${taskId}/stories`, {
+    method: 'POST',
+    json: {
+      data: {
+        text,
+      },
+    },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `Asana story post failed (${response.status}): ${JSON.stringify(errorData)}`,
+    );
+  }
+
+  clearAsanaTaskCommentsCache(taskId);
+  const data = await response.json();
+  return data.data;
+}
+
+// Helper function to create an Asana webhook for a project
+// Asana sends the handshake to `target` before this returns; throws if the creation fails
+export async function createAsanaWebhook(projectId, target) {
+  const response = await asanaApi.request('/webhooks', {
+    method: 'POST',
+    json: { data: { resource: projectId, target } },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `Asana webhook creation failed (${response.status}): ${JSON.stringify(errorData)}`,
+    );
+  }
+
+  const data = await response.json();
+  return data.data;
+}
+
+// Helper function to update fields on an Asana task (e.g. custom_fields, due_on)
+// Throws if Asana rejects the request so callers can capture the failure
+export async function updateAsanaTask(taskId, data) {
+  const response = await asanaApi.request(`/tasks/${taskId}`, {
+    method: 'PUT',
+    json: { data },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `Asana task update failed (${response.status}): ${JSON.stringify(errorData)}`,
+    );
+  }
+
+  const result = await response.json();
+  return result.data;
+}
+
+// Helper function to add a task to a project, optionally in a specific section
+export async function addTaskToProject(taskId, projectId, sectionId = null) {
+  const response = await asanaApi.request(`/tasks/${taskId}/addProject`, {
+    method: 'POST',
+    json: {
+      data: {
+        project: projectId,
+        ...(sectionId ? { section: sectionId } : {}),
+      },
+    },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `Adding task to project failed (${response.status}): ${JSON.stringify(errorData)}`,
+    );
+  }
+}
+
+// Helper function to remove a task from a project
+export async function removeTaskFromProject(taskId, projectId) {
+  const response = await asanaApi.request(`/tasks/${taskId}/removeProject`, {
+    method: 'POST',
+    json: { data: { project: projectId } },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `Removing task from project failed (${response.status}): ${JSON.stringify(errorData)}`,
+    );
+  }
+}
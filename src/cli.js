@@ -0,0 +1,118 @@
+import {
+  createTaskForTicket,
+  backfillTasks,
+  findTicketsMissingTasks,
+} from './taskService.js';
+import { hasRoutingRules } from './projectRouting.js';
+
+/*
+  Command line access to the task service - runs without starting the server.
+
+  Usage:
+    npm run cli -- create <ticketId> [--project <gid>] [--section <gid>]
+      [--assignee <gid|email>] [--due <YYYY-MM-DD>] [--dry-run]
+    npm run cli -- backfill [<ticketId> ...] [same options]
+
+  `backfill` without ticket IDs searches Intercom for open tickets in a whitelisted
+  status that have no Asana task yet. Without --project, each ticket is routed by the
+  rules in projects.js. The structured result is printed as JSON on stdout.
+*/
+
+const USAGE = `Usage:
+  npm run cli -- create <ticketId> [options]
+  npm run cli -- backfill [<ticketId> ...] [options]
+
+Options:
+  --project <gid>         Asana project (default: routing rules)
+  --section <gid>         Section (default: the project's defaultSection)
+  --assignee <gid|email>  Assignee (default: the project's defaultAssignee)
+  --due <YYYY-MM-DD>      Due date (default: the project's defaultDueInDays)
+  --dry-run               Show the field mapping without creating anything`;
+
+// Options that take a value, mapped to createTaskForTicket() options
+const VALUE_FLAGS = {
+  '--project': 'projectId',
+  '--section': 'sectionId',
+  '--assignee': 'assignee',
+  '--due': 'dueOn',
+};
+
+// Helper function to split argv into positional arguments and --flags
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      flags.dryRun = true;
+    } else if (VALUE_FLAGS[arg]) {
+      const value = argv[++i];
+      if (!value) {
+        throw new Error(`${arg} needs a value`);
+      }
+      flags[VALUE_FLAGS[arg]] = value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+// Helper function to drop the full ticket payload from results before printing
+function printResult(result) {
+  const { ticket, ...rest } = result;
+  process.stdout.write(JSON.stringify(rest, null, 2) + '\n');
+}
+
+async function main() {
+  // Service logs go to stderr so stdout stays valid JSON
+  console.log = console.error;
+
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+
+  if (!flags.projectId && !hasRoutingRules()) {
+    console.warn(
+      '⚠ No project in projects.js declares routing rules - pass --project, or every ticket comes back "unrouted"',
+    );
+  }
+
+  if (command === 'create') {
+    const [ticketId] = positional;
+    if (!ticketId || positional.length > 1) {
+      throw new Error(USAGE);
+    }
+    const result = await createTaskForTicket(ticketId, flags);
+    printResult(result);
+    return result.status === 'unrouted' || result.status === 'missing_fields'
+      ? 1
+      : 0;
+  }
+
+  if (command === 'backfill') {
+    let ticketIds = positional;
+    if (ticketIds.length === 0) {
+      console.log(
+        'No ticket IDs given - searching Intercom for tickets without tasks',
+      );
+      ticketIds = await findTicketsMissingTasks();
+      console.log(`Found ${ticketIds.length} ticket(s) without an Asana task`);
+    }
+    const report = await backfillTasks(ticketIds, flags);
+    printResult(report);
+    return report.summary.failed ? 1 : 0;
+  }
+
+  throw new Error(USAGE);
+}
+
+main()
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,35 @@
+import 'dotenv/config';
+
+// Required API credentials - shared by the server and the CLI
+
+// Asana configuration
+export const ASANA_TOKEN = process.env.ASANA_TOKEN;
+export const ASANA_WORKSPACE = process.env.ASANA_WORKSPACE;
+export const ASANA_PROJECT = process.env.ASANA_PROJECT;
+
+if (!ASANA_TOKEN || !ASANA_WORKSPACE || !ASANA_PROJECT) {
+  throw new Error(
+    [
+      'Missing required Asana environment variables.',
+      'Set these in your environment (or copy .env.example to .env):',
+      '- ASANA_TOKEN',
+      '- ASANA_WORKSPACE',
+      '- ASANA_PROJECT',
+    ].join('\n'),
+  );
+}
+
+// Intercom configuration
+export const INTERCOM_TOKEN = process.env.INTERCOM_TOKEN;
+export const INTERCOM_ADMIN_ID = process.env.INTERCOM_ADMIN_ID;
+
+if (!INTERCOM_TOKEN || !INTERCOM_ADMIN_ID) {
+  throw new Error(
+    [
+      'Missing required Intercom environment variables.',
+      'Set these in your environment (or copy .env.example to .env):',
+      '- INTERCOM_TOKEN',
+      '- INTERCOM_ADMIN_ID',
+    ].join('\n'),
+  );
+}
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { createJsonFileStore } from './jsonFileStore.js';
+
+/*
+  Dead-letter store for sync operations that failed.
+
+  Each entry keeps everything needed to inspect and replay the operation:
+    {
+      id, operation, payload, targets, error, attempts, failed_at, last_attempt_at
+    }
+  `operation` names an executor registered in syncOperations.js (e.g. "intercom.note"),
+  `payload` is the executor's input and `targets` holds the task/ticket/conversation IDs.
+*/
+const store = createJsonFileStore('dead-letters.json', { entries: [] });
+
+export function addDeadLetter({
+  operation,
+  payload,
+  targets,
+  error,
+  attempts,
+}) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    operation,
+    payload,
+    targets: targets || {},
+    error: error?.message || String(error),
+    attempts: attempts || 1,
+    failed_at: now,
+    last_attempt_at: now,
+  };
+  store.update((data) => {
+    data.entries.push(entry);
+  });
+  console.error(
+    `  ☠ Captured failed ${operation} in dead-letter store (${entry.id})`,
+  );
+  return entry;
+}
+
+export function listDeadLetters() {
+  return store.read().entries;
+}
+
+export function getDeadLetter(id) {
+  return store.read().entries.find((entry) => entry.id === id) || null;
+}
+
+// Helper function to record another failed replay attempt
+export function recordDeadLetterAttempt(id, error) {
+  return store.update((data) => {
+    const entry = data.entries.find((candidate) => candidate.id === id);
+    if (!entry) return null;
+    entry.attempts += 1;
+    entry.error = error?.message || String(error);
+    entry.last_attempt_at = new Date().toISOString();
+    return entry;
+  });
+}
+
+export function removeDeadLetter(id) {
+  return store.update((data) => {
+    const before = data.entries.length;
+    data.entries = data.entries.filter((entry) => entry.id !== id);
+    return data.entries.length < before;
+  });
+}
+
+export function clearDeadLetters() {
+  return store.update((data) => {
+    const removed = data.entries.length;
+    data.entries = [];
+    return removed;
+  });
+}
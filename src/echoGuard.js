@@ -0,0 +1,58 @@
+import { createJsonFileStore } from './jsonFileStore.js';
+
+/*
+  Echo guard for field values we copy between Asana and Intercom.
+
+  Writing a field on one side triggers that side's webhook, which would otherwise copy the
+  value straight back - and if the source was edited again in the meantime, overwrite the
+  newer value with the one we just wrote. Every synced write is recorded here as
+    { "<side>:<id>:<field>": { value, written_at } }
+  where side is the system we wrote to ("asana" or "intercom") and id the task GID or
+  ticket ID. A later change event carrying the same value within the window is our own echo.
+*/
+const store = createJsonFileStore('echo-guard.json');
+
+const WINDOW_SECONDS = Number(process.env.ECHO_GUARD_WINDOW_SECONDS) || 300;
+const WINDOW_MS = WINDOW_SECONDS * 1000;
+
+function echoKey(side, id, fieldName) {
+  return `${side}:${id}:${fieldName}`;
+}
+
+// Helper function to compare values the same way on both sides (Intercom numbers vs Asana text)
+function normalizeValue(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// Helper function to drop entries older than the window
+function pruneExpired(entries, now = Date.now()) {
+  for (const [key, entry] of Object.entries(entries)) {
+    if (now - entry.written_at > WINDOW_MS) {
+      delete entries[key];
+    }
+  }
+}
+
+// Helper function to record the field values we're about to write to one side
+export function recordSyncedWrite(side, id, values) {
+  const now = Date.now();
+  store.update((entries) => {
+    pruneExpired(entries, now);
+    for (const [fieldName, value] of Object.entries(values)) {
+      entries[echoKey(side, id, fieldName)] = {
+        value: normalizeValue(value),
+        written_at: now,
+      };
+    }
+  });
+}
+
+// Helper function to check whether a field value on one side is one we wrote there ourselves
+export function isEchoedWrite(side, id, fieldName, value) {
+  const entry = store.read()[echoKey(side, id, fieldName)];
+  return (
+    !!entry &&
+    Date.now() - entry.written_at <= WINDOW_MS &&
+    entry.value === normalizeValue(value)
+  );
+}
@@ -0,0 +1,40 @@
+import { createJsonFileStore } from './jsonFileStore.js';
+
+// Ledger of webhook events we've already processed, so redeliveries are acknowledged
+// without repeating their side effects. Entries expire after the retention window.
+const store = createJsonFileStore('processed-events.json');
+
+const RETENTION_HOURS = Number(process.env.EVENT_DEDUP_RETENTION_HOURS) || 72;
+const RETENTION_MS = RETENTION_HOURS * 60 * 60 * 1000;
+
+// Ledger keys for the events we deduplicate
+export function asanaEventKey(resourceType, resourceGid, action) {
+  return `asana:${resourceType}:${resourceGid}:${action}`;
+}
+
+export function intercomPartKey(partType, partId) {
+  return `intercom:${partType}:${partId}`;
+}
+
+// Helper function to drop entries older than the retention window
+function pruneExpired(entries, now = Date.now()) {
+  for (const [key, processedAt] of Object.entries(entries)) {
+    if (now - processedAt > RETENTION_MS) {
+      delete entries[key];
+    }
+  }
+}
+
+// Helper function to check whether an event was already processed within the window
+export function hasProcessedEvent(key) {
+  const processedAt = store.read()[key];
+  return !!processedAt && Date.now() - processedAt <= RETENTION_MS;
+}
+
+// Helper function to record that an event's side effects have been applied
+export function markEventProcessed(key) {
+  store.update((entries) => {
+    pruneExpired(entries);
+    entries[key] = Date.now();
+  });
+}
@@ -0,0 +1,16 @@
+// Sync direction for each custom field, keyed by the name shared by the Asana custom field
+// and the Intercom ticket attribute:
+//   'intercom_to_asana' - copied from the ticket when the task is created (default for
+//                         fields not listed here)
+//   'asana_to_intercom' - edits in Asana are written back to the ticket, never copied to the task
+//   'both'              - copied on creation and written back when edited in Asana
+// "Ticket Status" and "Intercom Conversation ID" are managed separately and ignore this list.
+const fieldDirections = {
+  Amount: 'both',
+  'Transaction ID': 'both',
+  'Agent Number': 'both',
+  Remark: 'both',
+  'Due Date': 'asana_to_intercom',
+};
+
+export default fieldDirections;
@@ -0,0 +1,159 @@
+// Helpers for converting Intercom ticket attribute values into Asana field values
+
+// Helper function to format date for Asana date field (YYYY-MM-DD)
+export function formatDateForAsanaDateField(dateValue) {
+  if (!dateValue) return null;
+
+  try {
+    let date;
+
+    // Handle Unix timestamp (number or string number)
+    if (typeof dateValue === 'number' || !isNaN(Number(dateValue))) {
+      date = new Date(Number(dateValue) * 1000); // Convert seconds to milliseconds
+    }
+    // Handle ISO string or other date formats
+    else if (typeof dateValue === 'string') {
+      date = new Date(dateValue);
+    }
+    // Handle Date object
+    else if (dateValue instanceof Date) {
+      date = dateValue;
+    } else {
+      console.warn('Unknown date format:', dateValue);
+      return null;
+    }
+
+    // Validate the date
+    if (isNaN(date.getTime())) {
+      console.warn('Invalid date value:', dateValue);
+      return null;
+    }
+
+    // Format as YYYY-MM-DD for Asana date field
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
+  } catch (error) {
+    console.error('Error formatting date for Asana:', error);
+    return null;
+  }
+}
+
+// Helper function to check a YYYY-MM-DD due date typed by a teammate
+export function isValidDueDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Helper function to get the YYYY-MM-DD date a number of days from now (UTC)
+export function getDueDateInDays(days, now = new Date()) {
+  const date = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  return date.toISOString().substring(0, 10);
+}
+
+// Helper function to validate if string is a valid URL
+export function isValidUrl(string) {
+  try {
+    const url = new URL(string);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+// Helper function to format date for Asana as text
+// Uses ticket "Timezone" custom attribute: "GMT+6" or "GMT+5"
+// Format: M/D/YYYY, h:mm AM/PM
+export function formatDateForAsana(dateValue, timezoneValue) {
+  if (!dateValue) return null;
+
+  try {
+    let date;
+
+    // Handle Unix timestamp (number or string number)
+    if (typeof dateValue === 'number' || !isNaN(Number(dateValue))) {
+      date = new Date(Number(dateValue) * 1000); // Convert seconds to milliseconds
+    }
+    // Handle ISO string or other date formats
+    else if (typeof dateValue === 'string') {
+      date = new Date(dateValue);
+    }
+    // Handle Date object
+    else if (dateValue instanceof Date) {
+      date = dateValue;
+    } else {
+      console.warn('Unknown date format:', dateValue);
+      return null;
+    }
+
+    // Validate the date
+    if (isNaN(date.getTime())) {
+      console.warn('Invalid date value:', dateValue);
+      return null;
+    }
+
+    // Use ticket Timezone: GMT+5 -> Asia/Karachi, GMT+6 (default) -> Asia/Dhaka
+    const timeZone = timezoneValue === 'GMT+5' ? 'Asia/Karachi' : 'Asia/Dhaka';
+    const options = {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+    };
+
+    const formatter = new Intl.DateTimeFormat('en-US', options);
+    const formattedDate = formatter.format(date);
+
+    return formattedDate;
+  } catch (error) {
+    console.error('Error formatting date:', error);
+    return null;
+  }
+}
+
+// Helper function to extract attachment URLs from field value
+export function extractAttachmentUrls(fieldValue, fieldName) {
+  const urls = [];
+
+  if (!fieldValue) {
+    return urls;
+  }
+
+  // Handle array of attachment objects
+  if (Array.isArray(fieldValue) && fieldValue.length > 0) {
+    console.log(`  Found ${fieldValue.length} file(s) in ${fieldName}`);
+    for (let i = 0; i < fieldValue.length; i++) {
+      const attachment = fieldValue[i];
+      if (attachment && attachment.url) {
+        urls.push(attachment.url);
+        console.log(`  ✓ File ${i + 1}:`, attachment.url);
+        if (attachment.name) console.log(`    Name: ${attachment.name}`);
+        if (attachment.content_type)
+          console.log(`    Type: ${attachment.content_type}`);
+      } else {
+        console.log(`  ⚠ File ${i + 1} missing URL property`);
+      }
+    }
+  }
+  // Handle single attachment object
+  else if (typeof fieldValue === 'object' && fieldValue.url) {
+    urls.push(fieldValue.url);
+    console.log(`  ✓ Found single file in ${fieldName}`);
+    if (fieldValue.name) console.log(`    Name: ${fieldValue.name}`);
+  }
+  // Handle URL string
+  else if (isValidUrl(String(fieldValue))) {
+    urls.push(String(fieldValue));
+    console.log(`  ✓ ${fieldName} contains URL string`);
+  } else {
+    console.log(`  ⚠ ${fieldName} is not a valid URL or file object`);
+  }
+
+  return urls;
+}
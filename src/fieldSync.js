@@ -0,0 +1,330 @@
+import fieldDirections from './fieldDirections.js';
+import { getAsanaEnumOptionId } from './asana.js';
+import {
+  formatDateForAsana,
+  formatDateForAsanaDateField,
+  extractAttachmentUrls,
+} from './fieldFormatting.js';
+import { isEchoedWrite } from './echoGuard.js';
+
+/*
+  Field-level sync between Asana custom fields and Intercom ticket attributes.
+
+  Fields are matched by name, the same way task creation maps ticket attributes onto the
+  project's custom fields. fieldDirections.js decides which way each field flows, and
+  echoGuard.js keeps values we copied to one side from being copied straight back.
+*/
+
+const FIELD_DIRECTIONS = ['intercom_to_asana', 'asana_to_intercom', 'both'];
+
+// Fields with their own sync logic
+const RESERVED_FIELDS = ['Ticket Status', 'Intercom Conversation ID'];
+
+// Fail fast on typos - a misspelled direction would silently stop a field from syncing
+for (const [fieldName, direction] of Object.entries(fieldDirections)) {
+  if (!FIELD_DIRECTIONS.includes(direction)) {
+    throw new Error(
+      `Invalid sync direction "${direction}" for field "${fieldName}" in fieldDirections.js (expected ${FIELD_DIRECTIONS.join(', ')})`,
+    );
+  }
+}
+
+export function getFieldDirection(fieldName) {
+  return fieldDirections[fieldName] || 'intercom_to_asana';
+}
+
+// Helper function to check whether a ticket attribute is copied onto new tasks
+export function syncsToAsana(fieldName) {
+  return (
+    !RESERVED_FIELDS.includes(fieldName) &&
+    getFieldDirection(fieldName) !== 'asana_to_intercom'
+  );
+}
+
+// Helper function to check whether Asana edits of a field are written back to the ticket
+export function syncsToIntercom(fieldName) {
+  return (
+    !RESERVED_FIELDS.includes(fieldName) &&
+    getFieldDirection(fieldName) !== 'intercom_to_asana'
+  );
+}
+
+// Helper function to read an Asana custom field's value in the form we compare and record
+// (enum option name, YYYY-MM-DD date, number or text)
+export function getAsanaFieldValue(field) {
+  switch (field.resource_subtype || field.type) {
+    case 'enum':
+      return field.enum_value?.name ?? null;
+    case 'date':
+      return field.date_value?.date ?? null;
+    case 'number':
+      return field.number_value ?? null;
+    case 'text':
+      return field.text_value ?? null;
+    default:
+      return field.display_value ?? null;
+  }
+}
+
+// Helper function to convert an Asana date value ({ date, date_time } or a string) to a Unix timestamp
+function asanaDateToUnix(dateValue) {
+  const dateString =
+    typeof dateValue === 'object' && dateValue !== null
+      ? dateValue.date_time || dateValue.date
+      : dateValue;
+  if (!dateString) return null;
+  const date = new Date(dateString);
+  return isNaN(date.getTime()) ? null : Math.floor(date.getTime() / 1000);
+}
+
+/*
+  Convert an Asana custom field value to the format of the Intercom attribute.
+  Enums become their option name, dates a Unix timestamp and numbers stay numbers. The
+  current attribute value decides between number and text when the types differ.
+  Returns undefined when the value can't be converted.
+*/
+export function convertAsanaValueForIntercom(field, currentValue) {
+  let value;
+  switch (field.resource_subtype || field.type) {
+    case 'enum':
+      value = field.enum_value?.name ?? null;
+      break;
+    case 'multi_enum':
+      value = (field.multi_enum_values || []).map((option) => option.name);
+      value = value.length > 0 ? value.join(', ') : null;
+      break;
+    case 'date':
+      value = field.date_value ? asanaDateToUnix(field.date_value) : null;
+      if (field.date_value && value === null) return undefined;
+      break;
+    case 'number':
+      value = field.number_value ?? null;
+      break;
+    case 'text':
+      value = field.text_value ?? null;
+      break;
+    default:
+      value = field.display_value ?? null;
+  }
+
+  if (value === null || value === '') {
+    return null;
+  }
+
+  if (typeof currentValue === 'number' && typeof value === 'string') {
+    const number = Number(value.replace(/,/g, ''));
+    return isNaN(number) ? undefined : number;
+  }
+  if (typeof currentValue === 'string' && typeof value === 'number') {
+    return String(value);
+  }
+  return value;
+}
+
+// Helper function to compare an Intercom attribute with a converted Asana value
+function valuesEqual(currentValue, newValue) {
+  const isEmpty = (value) =>
+    value === undefined || value === null || value === '';
+  if (isEmpty(currentValue) && isEmpty(newValue)) return true;
+  return String(currentValue) === String(newValue);
+}
+
+/*
+  Work out which ticket attributes need updating after one of the task's custom fields
+  changed. Only the field the Asana change event names (changedFieldGid) is looked at - the
+  other fields on the task weren't edited, and an empty one must not clear the ticket. It is
+  returned when its direction includes Asana → Intercom and its converted value differs
+  from the ticket:
+    { attributes: { name: value }, dueDate: date_value | null }
+  "Due Date" is returned separately because it goes through updateTicketDueDate().
+  With taskId, values the integration itself wrote to the task are left alone.
+*/
+export function getTicketAttributeChanges(
+  customFields,
+  ticket,
+  taskId,
+  changedFieldGid,
+) {
+  const ticketAttrs = ticket?.ticket_attributes || {};
+  const attributes = {};
+  let dueDate = null;
+
+  for (const field of customFields) {
+    if (String(field.gid) !== String(changedFieldGid)) continue;
+    if (!syncsToIntercom(field.name)) continue;
+
+    const currentValue = ticketAttrs[field.name];
+    const newValue = convertAsanaValueForIntercom(field, currentValue);
+    if (newValue === undefined) {
+      console.log(
+        `  ⚠ Could not convert "${field.name}" (${field.display_value}) for Intercom, skipping`,
+      );
+      continue;
+    }
+    if (valuesEqual(currentValue, newValue)) continue;
+
+    // Dates only carry a day in Asana - a timestamp on the same day is unchanged
+    if (
+      field.date_value &&
+      formatDateForAsanaDateField(currentValue) === field.date_value.date
+    ) {
+      continue;
+    }
+
+    // The value we copied onto the task from Intercom - not an edit made in Asana
+    if (
+      taskId &&
+      isEchoedWrite('asana', taskId, field.name, getAsanaFieldValue(field))
+    ) {
+      console.log(
+        `  ⊘ "${field.name}" was written from Intercom, not syncing it back`,
+      );
+      continue;
+    }
+
+    console.log(
+      `  → "${field.name}" changed in Asana: ${JSON.stringify(currentValue)} → ${JSON.stringify(newValue)}`,
+    );
+    if (field.name === 'Due Date' && field.date_value) {
+      dueDate = field.date_value;
+    } else {
+      attributes[field.name] = newValue;
+    }
+  }
+
+  return { attributes, dueDate };
+}
+
+// Helper function to check whether an Intercom attribute value holds uploaded files
+function isFileValue(value) {
+  return (
+    (Array.isArray(value) && value.length > 0 && !!value[0]?.url) ||
+    (typeof value === 'object' && value !== null && !!value.url)
+  );
+}
+
+// Helper function to convert an Intercom attribute value the way task creation writes it
+// Returns { value, compareValue } (API value and getAsanaFieldValue() form) or null if it
+// can't be converted
+async function convertIntercomValueForAsana(field, intercomValue, ticketAttrs) {
+  const fieldName = field.name;
+  switch (field.resource_subtype) {
+    case 'enum': {
+      if (
+        String(field.enum_value?.name ?? '').toLowerCase() ===
+        String(intercomValue).toLowerCase()
+      ) {
+        return {
+          value: field.enum_value.gid,
+          compareValue: field.enum_value.name,
+        };
+      }
+      const optionId = await getAsanaEnumOptionId(
+        field.gid,
+        String(intercomValue),
+      );
+      return optionId
+        ? { value: optionId, compareValue: String(intercomValue) }
+        : null;
+    }
+    case 'date': {
+      const date = formatDateForAsanaDateField(intercomValue);
+      return date ? { value: date, compareValue: date } : null;
+    }
+    case 'number': {
+      const number = Number(String(intercomValue).replace(/,/g, ''));
+      return isNaN(number) ? null : { value: number, compareValue: number };
+    }
+    case 'text': {
+      let text = String(intercomValue);
+      // Date/time attributes are written as formatted text, as on task creation
+      if (
+        fieldName.toLowerCase().includes('date') ||
+        fieldName.toLowerCase().includes('time')
+      ) {
+        text =
+          formatDateForAsana(intercomValue, ticketAttrs['Timezone']) || text;
+      }
+      return { value: text, compareValue: text };
+    }
+    default:
+      return null;
+  }
+}
+
+/*
+  Work out which task custom fields need updating after the ticket's attributes changed.
+  Only fields whose direction includes Intercom → Asana are compared; values the integration
+  itself wrote to the ticket are left alone. Returns
+    {
+      customFields: { gid: value },          // ready for updateAsanaTask()
+      changes: [{ name, from, to }],
+      fileUrls: [url],                       // every file in the ticket's file attributes
+    }
+  Attributes present but emptied clear the field; fields with no attribute of the same name
+  are skipped, as are fields that can't be converted.
+*/
+export async function getTaskFieldChanges(customFields, ticket) {
+  const ticketAttrs = ticket?.ticket_attributes || {};
+  const result = { customFields: {}, changes: [], fileUrls: [] };
+
+  for (const field of customFields) {
+    if (!syncsToAsana(field.name)) continue;
+
+    // Fields without a ticket attribute of the same name are Asana-only - leave them alone
+    if (!Object.hasOwn(ticketAttrs, field.name)) continue;
+
+    const intercomValue = ticketAttrs[field.name];
+
+    // Files become attachments rather than field values
+    if (isFileValue(intercomValue)) {
+      result.fileUrls.push(...extractAttachmentUrls(intercomValue, field.name));
+      continue;
+    }
+    if (Array.isArray(intercomValue)) continue;
+
+    if (isEchoedWrite('intercom', ticket.id, field.name, intercomValue)) {
+      console.log(
+        `  ⊘ "${field.name}" was written from Asana, not syncing it back`,
+      );
+      continue;
+    }
+
+    const currentValue = getAsanaFieldValue(field);
+    const isEmpty = (value) =>
+      value === undefined || value === null || value === '';
+
+    if (isEmpty(intercomValue)) {
+      if (!isEmpty(currentValue)) {
+        result.customFields[field.gid] = null;
+        result.changes.push({ name: field.name, from: currentValue, to: null });
+      }
+      continue;
+    }
+
+    const converted = await convertIntercomValueForAsana(
+      field,
+      intercomValue,
+      ticketAttrs,
+    );
+    if (!converted) {
+      console.log(
+        `  ⚠ Could not convert "${field.name}" (${JSON.stringify(intercomValue)}) for Asana, skipping`,
+      );
+      continue;
+    }
+    if (String(converted.compareValue) === String(currentValue ?? '')) continue;
+
+    console.log(
+      `  → "${field.name}" changed in Intercom: ${JSON.stringify(currentValue)} → ${JSON.stringify(converted.compareValue)}`,
+    );
+    result.customFields[field.gid] = converted.value;
+    result.changes.push({
+      name: field.name,
+      from: currentValue,
+      to: converted.compareValue,
+    });
+  }
+
+  return result;
+}
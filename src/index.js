@@ -3,1203 +3,1310 @@ import express from 'express';
 import bodyParser from 'body-parser';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import fetch from 'node-fetch';
-import FormData from 'form-data';
 import whitelistStatus from './whitelistStatus.js';
 import projects from './projects.js';
+import {
+  matchProjectForTicket,
+  describeRule,
+  hasRoutingRules,
+} from './projectRouting.js';
+import { createJobQueue } from './jobQueue.js';
+import {
+  addDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  removeDeadLetter,
+  clearDeadLetters,
+} from './deadLetterStore.js';
+import linkStore from './linkStore.js';
+import { ASANA_TOKEN, ASANA_PROJECT, INTERCOM_TOKEN } from './config.js';
+import {
+  asanaApi,
+  ASANA_CUSTOM_FIELDS,
+  getAsanaApiUserGid,
+  intercomUploadedAttachmentGids,
+  getConversationIdFromTask,
+  getAsanaCustomFields,
+  getAsanaTask,
+  getAsanaTaskComments,
+  clearAsanaTaskCommentsCache,
+  getAsanaSections,
+  getAsanaProjectMembers,
+  initializeCustomFieldMappings,
+  postAsanaStory,
+  createAsanaWebhook,
+} from './asana.js';
+import {
+  intercomApi,
+  initializeTicketStates,
+  getTicketStateId,
+  getConversation,
+  getTicket,
+} from './intercom.js';
+import { isValidUrl, isValidDueDate } from './fieldFormatting.js';
+import {
+  registerSyncOperation,
+  runSyncOperation,
+  replayDeadLetter,
+} from './syncOperations.js';
+import {
+  createTaskForTicket,
+  linkTaskToTicket,
+  unlinkTaskFromTicket,
+  moveTaskToProject,
+  findTaskIdForTicket,
+  syncTicketChangesToTask,
+  syncTicketStateToTask,
+} from './taskService.js';
+import { getTicketAttributeChanges } from './fieldSync.js';
+import { recordSyncedWrite, isEchoedWrite } from './echoGuard.js';
+import {
+  getMappedTicketStateId,
+  getTicketAsanaStatus,
+  validateStatusMappings,
+} from './ticketStateMapping.js';
+import {
+  getTaskActionForEvent,
+  buildTicketUpdate,
+  validateTaskActions,
+} from './taskActions.js';
+import {
+  asanaEventKey,
+  intercomPartKey,
+  hasProcessedEvent,
+  markEventProcessed,
+} from './eventLedger.js';
+import {
+  verifyAsanaSignature,
+  verifyIntercomSignature,
+  verifyCanvasSignature,
+} from './webhookSignatures.js';
+import {
+  getWebhookSecret,
+  saveWebhookSecret,
+  getWebhookSecretStatus,
+  markHandshakePending,
+  clearPendingHandshake,
+  isHandshakePending,
+} from './webhookSecretStore.js';
+import {
+  requireAdmin,
+  redactSecrets,
+  isAdminAuthConfigured,
+} from './adminAuth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Asana configuration
-const ASANA_TOKEN = process.env.ASANA_TOKEN;
-const ASANA_WORKSPACE = process.env.ASANA_WORKSPACE;
-const ASANA_PROJECT = process.env.ASANA_PROJECT;
+// Intercom app client secret - used to verify webhook and canvas request signatures
+const INTERCOM_CLIENT_SECRET = process.env.INTERCOM_CLIENT_SECRET;
 
-if (!ASANA_TOKEN || !ASANA_WORKSPACE || !ASANA_PROJECT) {
+// Signature verification on /intercom-webhook can only be switched off outside production
+const IS_PRODUCTION =
+  process.env.NODE_ENV === 'production' || !!process.env.VERCEL;
+
+// Serverless functions are frozen once they respond, so webhook jobs and reconciliations
+// run before the response there instead of in the background
+const IS_SERVERLESS = !!process.env.VERCEL;
+const INTERCOM_WEBHOOK_VERIFY_DISABLED =
+  process.env.INTERCOM_WEBHOOK_VERIFY === 'false';
+
+if (INTERCOM_WEBHOOK_VERIFY_DISABLED && IS_PRODUCTION) {
   throw new Error(
-    [
-      'Missing required Asana environment variables.',
-      'Set these in your environment (or copy .env.example to .env):',
-      '- ASANA_TOKEN',
-      '- ASANA_WORKSPACE',
-      '- ASANA_PROJECT',
-    ].join('\n'),
+    'INTERCOM_WEBHOOK_VERIFY=false is only allowed for local development (NODE_ENV is production).',
   );
 }
 
-// Asana Custom Field GIDs - Will be automatically populated on server start
-const ASANA_CUSTOM_FIELDS = {
-  CASH_OUT_DATE_AND_TIME: null, // Date field in Intercom, Text in Asana (GMT+6 timezone)
-  CASH_OUT_SLIP: null, // File upload field
-  E_WALLET: null, // Text field
-  TRANSACTION_ID: null, // Text field
-  AGENT_NUMBER: null, // Text field
-  AMOUNT: null, // Text field
-  REMARK: null, // Text field
-  CASHOUT_SLIP_ASANA: null, // File upload field (Asana specific)
-  INTERCOM_CONVERSATION_ID: null, // For webhook sync back to Intercom
-  TICKET_STATUS: null, // For syncing ticket status between Asana and Intercom
-};
+// Tickets entering a whitelisted status get an Asana task without a teammate clicking "Create Task"
+const AUTO_CREATE_TASKS = process.env.AUTO_CREATE_TASKS === 'true';
 
-// Cache for custom field mappings and types
-let customFieldsCache = null;
-let customFieldTypes = {};
+// Asana webhook secrets are persisted per project in webhookSecretStore.js
+// Webhooks are created with POST /admin/asana-webhooks, targeting
+// /asana-webhook-prod?project=<project GID>; handshakes are only accepted while one is pending
+// Deliveries without the query parameter are keyed by ASANA_PROJECT
+const ASANA_WEBHOOK_ALLOW_REHANDSHAKE =
+  process.env.ASANA_WEBHOOK_ALLOW_REHANDSHAKE === 'true';
 
-// Intercom configuration
-const INTERCOM_TOKEN = process.env.INTERCOM_TOKEN;
-const INTERCOM_ADMIN_ID = process.env.INTERCOM_ADMIN_ID;
+// Helper function to resolve the secret store key for an Asana webhook request
+function getAsanaWebhookKey(req) {
+  return String(req.query.project || ASANA_PROJECT);
+}
 
-if (!INTERCOM_TOKEN || !INTERCOM_ADMIN_ID) {
-  throw new Error(
-    [
-      'Missing required Intercom environment variables.',
-      'Set these in your environment (or copy .env.example to .env):',
-      '- INTERCOM_TOKEN',
-      '- INTERCOM_ADMIN_ID',
-    ].join('\n'),
-  );
+// Helper function to check that a webhook key is a project from projects.js
+function isKnownAsanaWebhookKey(key) {
+  return projects.some((project) => String(project.id) === key);
 }
 
-// Cache for ticket states fetched from Intercom API
-let ticketStatesCache = null;
+// Intercom webhook topics processIntercomNotification() handles
+const INTERCOM_WEBHOOK_TOPICS = [
+  'ticket.note.created',
+  'conversation.admin.noted',
+  'ticket.created',
+  'ticket.state.updated',
+  'ticket.attribute.updated',
+  'conversation.admin.closed',
+  'conversation.admin.opened',
+];
+
+// Counters for rejected webhook requests (reported by /webhook-info to spot misconfiguration)
+const webhookRejections = {
+  intercom_webhook: { count: 0, last_reason: null, last_rejected_at: null },
+  canvas: { count: 0, last_reason: null, last_rejected_at: null },
+};
 
-// Helper function to fetch all ticket states from Intercom API
-async function fetchTicketStates() {
-  try {
-    console.log('Fetching ticket states from Intercom API...');
-    const response = await fetch('https://api.intercom.io/ticket_states', {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${INTERCOM_TOKEN}`,
-        'Intercom-Version': '2.14',
-        Accept: 'application/json',
-      },
-    });
+// Helper function to record a rejected webhook request
+function recordWebhookRejection(source, reason) {
+  const counter = webhookRejections[source];
+  counter.count += 1;
+  counter.last_reason = reason;
+  counter.last_rejected_at = new Date().toISOString();
+  return counter.count;
+}
 
-    if (response.ok) {
-      const responseData = await response.json();
-      const states = responseData.data || []; // API returns states in 'data' array, not 'ticket_states'
-      console.log(`✓ Fetched ${states.length} ticket states from Intercom`);
+const app = express();
+const PORT = process.env.PORT || 3000;
 
-      // Log available states for reference
-      if (states.length > 0) {
-        console.log('Available ticket states:');
-        states.forEach((state) => {
-          const ticketTypesCount = state.ticket_types?.data?.length || 0;
-          console.log(
-            `  - ${state.internal_label} (category: ${state.category}, id: ${state.id}, applies to ${ticketTypesCount} ticket type(s))`,
-          );
-        });
-      }
+// Middleware - increase limit for Intercom canvas payloads (default 100kb is too small)
+// Keep the raw body alongside the parsed JSON so webhook signatures can be verified
+app.use(
+  bodyParser.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
+app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
-      return states;
-    } else {
-      const errorData = await response.json();
-      console.error('Error fetching ticket states from Intercom:', errorData);
-      return [];
-    }
-  } catch (error) {
-    console.error('Error fetching ticket states:', error);
-    return [];
-  }
-}
+// Serve static files from the public directory
+app.use(express.static(path.join(__dirname, 'public')));
 
-// Helper function to initialize ticket states cache
-async function initializeTicketStates() {
-  if (!ticketStatesCache) {
-    ticketStatesCache = await fetchTicketStates();
+/*
+  This builds the canvas that will display when your app initializes.
+  It includes a dropdown to select the project and a button to create an Asana task.
+  The project matched by the routing rules in projects.js is preselected; when no project
+  matches, nothing is preselected and the teammate is asked to choose.
+  
+  More information on these can be found in the reference docs.
+  Canvas docs: https://developers.intercom.com/docs/references/canvas-kit/responseobjects/canvas/
+  Components docs: https://developers.intercom.com/docs/references/canvas-kit/interactivecomponents/button/
+*/
+function buildInitialCanvas({
+  match = null,
+  selectedProjectId = null,
+  notice = null,
+} = {}) {
+  const preselectedProjectId = selectedProjectId || match?.project.id || null;
+
+  let routingText = 'No project matched this ticket - please choose one';
+  if (match) {
+    routingText = `Suggested project: ${match.project.name} (${describeRule(match.rule)})`;
+  } else if (!hasRoutingRules()) {
+    routingText =
+      'No routing rules are set up in projects.js - please choose the project';
   }
-  return ticketStatesCache;
-}
-
-// Helper function to get ticket state ID by label or category
-// Optionally filter by ticket type ID for more accurate matching
-async function getTicketStateId(labelOrCategory, ticketTypeId = null) {
-  // Ensure ticket states are loaded
-  const states = await initializeTicketStates();
 
-  if (!states || states.length === 0) {
-    console.error('No ticket states available');
-    return null;
+  const dropdown = {
+    type: 'dropdown',
+    id: 'project_dropdown',
+    label: 'Select Asana Project',
+    options: projects.map((project) => ({
+      type: 'option',
+      id: project.id,
+      text: project.name,
+    })),
+  };
+  if (preselectedProjectId) {
+    dropdown.value = preselectedProjectId;
   }
 
-  // Filter states by ticket type if provided
-  let applicableStates = states;
-  if (ticketTypeId) {
-    applicableStates = states.filter((state) =>
-      state.ticket_types?.data?.some(
-        (type) => String(type.id) === String(ticketTypeId),
-      ),
-    );
-    console.log(
-      `  Filtered to ${applicableStates.length} states for ticket type ${ticketTypeId} (from ${states.length} total states)`,
-    );
-
-    if (applicableStates.length > 0) {
-      console.log(
-        '  Applicable states:',
-        applicableStates.map((s) => s.internal_label).join(', '),
-      );
-    }
+  const components = [
+    {
+      type: 'text',
+      id: 'header',
+      text: 'Asana Integration',
+      align: 'center',
+      style: 'header',
+    },
+    {
+      type: 'text',
+      id: 'description',
+      text: 'Select Project and Create Asana Task',
+      align: 'center',
+      style: 'muted',
+    },
+  ];
+
+  if (notice) {
+    components.push({
+      type: 'text',
+      id: 'notice',
+      text: `⚠️ ${notice}`,
+      align: 'center',
+      style: 'error',
+    });
   }
 
-  const normalizedInput = labelOrCategory.toLowerCase().trim();
-
-  // Try to find by internal label
-  let state = applicableStates.find(
-    (s) => s.internal_label.toLowerCase() === normalizedInput,
+  components.push(
+    {
+      type: 'text',
+      id: 'routing',
+      text: routingText,
+      align: 'center',
+      style: 'muted',
+    },
+    {
+      type: 'spacer',
+      id: 'spacer_1',
+      size: 's',
+    },
+    dropdown,
+    {
+      type: 'spacer',
+      id: 'spacer_2',
+      size: 's',
+    },
+    {
+      type: 'button',
+      label: 'Create Task',
+      style: 'primary',
+      id: 'submit_button',
+      action: {
+        type: 'submit',
+      },
+    },
+    {
+      type: 'button',
+      label: 'Link Existing Task',
+      style: 'secondary',
+      id: 'link_task_button',
+      action: {
+        type: 'submit',
+      },
+    },
   );
 
-  // Try to find by external label
-  if (!state) {
-    state = applicableStates.find(
-      (s) => s.external_label.toLowerCase() === normalizedInput,
-    );
-  }
+  return {
+    canvas: {
+      content: {
+        components: components,
+      },
+    },
+  };
+}
 
-  // Try to find by category
-  if (!state) {
-    state = applicableStates.find(
-      (s) => s.category.toLowerCase() === normalizedInput,
-    );
+// Helper function to describe why a field was left out of the task
+function describeSkippedField(field) {
+  if (field.reason === 'no_enum_option') {
+    return `${field.name}: "${field.value}" is not an option in Asana - will be left empty`;
   }
-
-  return state ? state.id : null;
+  if (field.reason === 'invalid_date') {
+    return `${field.name}: could not read date "${field.value}" - will be left empty`;
+  }
+  return `${field.name}: not set on the ticket`;
 }
 
-// Asana webhook secret (will be set during webhook handshake)
-let asanaWebhookSecret = null;
-
-// Cache for Asana API user GID (used to detect our own uploads and prevent loops)
-let asanaApiUserGid = null;
+/*
+  This builds the review step shown before a task is created.
+  `result` is a createTaskForTicket() dry run: each field that will be synced with its value,
+  warnings for values that will be dropped, and the project's required fields that are
+  missing. Creation is blocked until the required fields are filled on the ticket.
+  The section, assignee and due date pickers start from result.placement (the project defaults
+  or the teammate's earlier choice).
+*/
+function buildTaskPreviewCanvas(
+  result,
+  { sections = [], members = [], notice = null } = {},
+) {
+  const project = projects.find(
+    (candidate) => String(candidate.id) === String(result.projectId),
+  );
+  const missingFields = result.missingFields || [];
+  const warnings = result.fields.skipped.filter(
+    (field) => !missingFields.includes(field.name),
+  );
 
-async function getAsanaApiUserGid() {
-  if (asanaApiUserGid) return asanaApiUserGid;
-  try {
-    const response = await fetch('https://app.asana.com/api/1.0/users/me', {
-      headers: {
-        Authorization: `Bearer ${ASANA_TOKEN}`,
-        Accept: 'application/json',
-      },
+  const components = [
+    {
+      type: 'text',
+      id: 'header',
+      text: 'Review Asana Task',
+      align: 'center',
+      style: 'header',
+    },
+    {
+      type: 'text',
+      id: 'task_name',
+      text: `📋 ${result.taskName}`,
+      align: 'center',
+      style: 'paragraph',
+    },
+    {
+      type: 'text',
+      id: 'project',
+      text: `Project: ${project?.name || result.projectId}`,
+      align: 'center',
+      style: 'muted',
+    },
+  ];
+
+  if (notice) {
+    components.push({
+      type: 'text',
+      id: 'notice',
+      text: `⚠️ ${notice}`,
+      align: 'center',
+      style: 'error',
     });
-    if (response.ok) {
-      const data = await response.json();
-      asanaApiUserGid = data.data?.gid;
-      console.log('Cached Asana API user GID:', asanaApiUserGid);
-      return asanaApiUserGid;
+  }
+
+  const { placement } = result;
+  if (sections.length > 0) {
+    const sectionDropdown = {
+      type: 'dropdown',
+      id: 'section_dropdown',
+      label: 'Section',
+      options: sections.map((section) => ({
+        type: 'option',
+        id: section.gid,
+        text: section.name,
+      })),
+    };
+    if (sections.some((section) => section.gid === placement.sectionId)) {
+      sectionDropdown.value = placement.sectionId;
     }
-  } catch (error) {
-    console.error('Error fetching Asana API user:', error.message);
+    components.push(sectionDropdown);
   }
-  return null;
-}
 
-// Map to store Asana task ID to Intercom conversation ID
-const asanaTaskToConversation = new Map();
+  const assignedMember = members.find(
+    (member) =>
+      member.gid === placement.assignee ||
+      (member.email && member.email === placement.assignee),
+  );
+  components.push(
+    {
+      type: 'dropdown',
+      id: 'assignee_dropdown',
+      label: 'Assignee',
+      options: [
+        { type: 'option', id: 'unassigned', text: 'Unassigned' },
+        ...members.map((member) => ({
+          type: 'option',
+          id: member.gid,
+          text: member.name,
+        })),
+      ],
+      value: assignedMember?.gid || 'unassigned',
+    },
+    {
+      type: 'input',
+      id: 'due_date',
+      label: 'Due date',
+      placeholder: 'YYYY-MM-DD',
+      value: placement.dueOn || '',
+    },
+  );
 
-// GIDs of attachments we uploaded from Intercom (to skip echo-back in Asana webhook)
-const intercomUploadedAttachmentGids = new Set();
+  if (result.fields.synced.length > 0) {
+    components.push({
+      type: 'data-table',
+      id: 'field_preview',
+      items: result.fields.synced.map((field) => ({
+        type: 'field-value',
+        field: field.name,
+        value: truncateText(String(field.value), 60),
+      })),
+    });
+  } else {
+    components.push({
+      type: 'text',
+      id: 'no_fields',
+      text: '⚠️ No custom fields will be synced',
+      align: 'center',
+      style: 'muted',
+    });
+  }
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+  if (result.attachments.length > 0) {
+    components.push({
+      type: 'text',
+      id: 'attachments',
+      text: `📎 ${result.attachments.length} attachment(s) will be uploaded`,
+      style: 'muted',
+    });
+  }
 
-// Middleware - increase limit for Intercom canvas payloads (default 100kb is too small)
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+  warnings.forEach((field, index) => {
+    components.push({
+      type: 'text',
+      id: `warning_${index + 1}`,
+      text: `⚠️ ${describeSkippedField(field)}`,
+      style: 'muted',
+    });
+  });
 
-// Serve static files from the public directory
-app.use(express.static(path.join(__dirname, 'public')));
+  if (missingFields.length > 0) {
+    components.push({
+      type: 'text',
+      id: 'missing_fields',
+      text: `⛔ Required for this project: ${missingFields.join(', ')}. Fill them on the ticket, then check again.`,
+      style: 'error',
+    });
+  }
 
-/*
-  This object defines the canvas that will display when your app initializes.
-  It includes a dropdown to select the project and a button to create an Asana task.
-  
-  More information on these can be found in the reference docs.
-  Canvas docs: https://developers.intercom.com/docs/references/canvas-kit/responseobjects/canvas/
-  Components docs: https://developers.intercom.com/docs/references/canvas-kit/interactivecomponents/button/
-*/
-const initialCanvas = {
-  canvas: {
-    content: {
-      components: [
-        {
-          type: 'text',
-          id: 'header',
-          text: 'Asana Integration',
-          align: 'center',
-          style: 'header',
-        },
-        {
-          type: 'text',
-          id: 'description',
-          text: 'Select Project and Create Asana Task',
-          align: 'center',
-          style: 'muted',
-        },
-        {
-          type: 'spacer',
-          id: 'spacer_1',
-          size: 's',
-        },
-        {
-          type: 'dropdown',
-          id: 'project_dropdown',
-          label: 'Select Asana Project',
-          value: projects[0].id, // Default to first project
-          options: projects.map((project) => ({
-            type: 'option',
-            id: project.id,
-            text: project.name,
-          })),
-        },
-        {
-          type: 'spacer',
-          id: 'spacer_2',
-          size: 's',
-        },
-        {
+  components.push(
+    {
+      type: 'spacer',
+      id: 'spacer_1',
+      size: 's',
+    },
+    missingFields.length > 0
+      ? {
           type: 'button',
-          label: 'Create Task',
+          label: 'Check Again',
           style: 'primary',
           id: 'submit_button',
           action: {
             type: 'submit',
           },
+        }
+      : {
+          type: 'button',
+          label: 'Confirm & Create Task',
+          style: 'primary',
+          id: 'confirm_create_button',
+          action: {
+            type: 'submit',
+          },
         },
-      ],
+    {
+      type: 'button',
+      label: 'Back',
+      style: 'secondary',
+      id: 'back_button',
+      action: {
+        type: 'submit',
+      },
     },
-  },
-};
+  );
 
-// Helper function to get contact name from Intercom API
-async function getContactName(contactId) {
-  try {
-    const response = await fetch(
-      `https://api.intercom.io/contacts/${contactId}`,
-      {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${INTERCOM_TOKEN}`,
-          Accept: 'application/json',
-        },
+  return {
+    canvas: {
+      content: {
+        components: components,
       },
-    );
-
-    if (response.ok) {
-      const data = await response.json();
-      return data.name || 'Unknown Contact';
-    }
-    return 'Unknown Contact';
-  } catch (error) {
-    console.error('Error fetching contact from Intercom:', error);
-    return 'Unknown Contact';
-  }
+      // Sent back with the next submit so the confirm step creates the task in the same project
+      stored_data: { project_id: result.projectId },
+    },
+  };
 }
 
-// Helper function to get conversation details from Intercom API
-async function getConversation(conversationId) {
-  try {
-    const response = await fetch(
-      `https://api.intercom.io/conversations/${conversationId}`,
-      {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${INTERCOM_TOKEN}`,
-          'Intercom-Version': '2.11',
-          Accept: 'application/json',
-        },
-      },
-    );
+// Helper function to load the project's sections and members and render the review step
+async function renderTaskPreviewCanvas(result, notice = null) {
+  const [sections, members] = await Promise.all([
+    getAsanaSections(result.projectId),
+    getAsanaProjectMembers(result.projectId),
+  ]);
+  return buildTaskPreviewCanvas(result, {
+    sections: sections || [],
+    members: members || [],
+    notice,
+  });
+}
 
-    if (response.ok) {
-      const data = await response.json();
-      return data;
-    }
-    return null;
-  } catch (error) {
-    console.error('Error fetching conversation from Intercom:', error);
-    return null;
+// Helper function to read the section, assignee and due date chosen on the review step
+// Pickers that weren't on the canvas stay undefined so the project defaults apply
+function readTaskPlacement(inputValues = {}) {
+  const placement = {};
+  if ('section_dropdown' in inputValues) {
+    placement.sectionId = inputValues.section_dropdown || null;
+  }
+  if ('assignee_dropdown' in inputValues) {
+    placement.assignee =
+      inputValues.assignee_dropdown === 'unassigned'
+        ? null
+        : inputValues.assignee_dropdown || null;
+  }
+  if ('due_date' in inputValues) {
+    placement.dueOn = inputValues.due_date?.trim() || null;
   }
+  return placement;
 }
 
-// Helper function to get ticket details from Intercom Tickets API
-async function getTicket(ticketId) {
-  try {
-    console.log(`  → Fetching ticket ${ticketId} from Intercom...`);
-    const response = await fetch(
-      `https://api.intercom.io/tickets/${ticketId}`,
-      {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${INTERCOM_TOKEN}`,
-          'Intercom-Version': '2.14',
-          Accept: 'application/json',
-        },
-      },
-    );
-
-    console.log(`  → Ticket API response status: ${response.status}`);
-
-    if (response.ok) {
-      const data = await response.json();
-      console.log(
-        `  ✓ Ticket fetched successfully. Has attributes:`,
-        !!data.ticket_attributes,
-      );
-      return data;
-    } else {
-      const errorData = await response.json().catch(() => ({}));
-      console.error(`  ✗ Ticket API error (${response.status}):`, errorData);
-      return null;
-    }
-  } catch (error) {
-    console.error('  ✗ Error fetching ticket from Intercom:', error.message);
-    return null;
+// Helper function to build the form for linking a task that already exists in Asana
+function buildLinkTaskCanvas({ notice = null, value = '' } = {}) {
+  const components = [
+    {
+      type: 'text',
+      id: 'header',
+      text: 'Link Existing Task',
+      align: 'center',
+      style: 'header',
+    },
+    {
+      type: 'text',
+      id: 'description',
+      text: 'Paste the task ID or its URL from Asana',
+      align: 'center',
+      style: 'muted',
+    },
+  ];
+
+  if (notice) {
+    components.push({
+      type: 'text',
+      id: 'notice',
+      text: `⚠️ ${notice}`,
+      align: 'center',
+      style: 'error',
+    });
   }
-}
 
-// Helper function to get conversation ID from Asana task
-async function getConversationIdFromTask(taskId) {
-  try {
-    console.log('  Fetching task details from Asana...');
-    const taskResponse = await fetch(
-      `https://app.asana.com/api/1.0/tasks/${taskId}`,
-      {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${ASANA_TOKEN}`,
-          Accept: 'application/json',
-        },
+  components.push(
+    {
+      type: 'input',
+      id: 'task_reference',
+      label: 'Asana task ID or URL',
+      placeholder: 'https://app.asana.com/0/…',
+      value,
+    },
+    {
+      type: 'spacer',
+      id: 'spacer_1',
+      size: 's',
+    },
+    {
+      type: 'button',
+      label: 'Link Task',
+      style: 'primary',
+      id: 'confirm_link_button',
+      action: {
+        type: 'submit',
       },
-    );
-
-    if (!taskResponse.ok) {
-      const errorText = await taskResponse.text();
-      console.error(
-        '  ✗ Failed to fetch task details. Status:',
-        taskResponse.status,
-      );
-      console.error('  Error response:', errorText);
-      return null;
-    }
+    },
+    {
+      type: 'button',
+      label: 'Back',
+      style: 'secondary',
+      id: 'cancel_link_button',
+      action: {
+        type: 'submit',
+      },
+    },
+  );
 
-    const taskData = await taskResponse.json();
-    const customFields = taskData.data.custom_fields || [];
+  return {
+    canvas: {
+      content: {
+        components: components,
+      },
+    },
+  };
+}
 
-    console.log(`  Found ${customFields.length} custom fields on task`);
+// Helper function to build a canvas that shows an error to the teammate
+function buildErrorCanvas(
+  title,
+  message,
+  hint = 'Please try again or contact support',
+) {
+  return {
+    canvas: {
+      content: {
+        components: [
+          {
+            type: 'text',
+            id: 'error',
+            text: `❌ ${title}`,
+            align: 'center',
+            style: 'header',
+          },
+          {
+            type: 'divider',
+            id: 'divider_1',
+          },
+          {
+            type: 'text',
+            id: 'error_message',
+            text: message || 'An unexpected error occurred',
+            align: 'center',
+            style: 'paragraph',
+          },
+          {
+            type: 'text',
+            id: 'error_hint',
+            text: hint,
+            align: 'center',
+            style: 'muted',
+          },
+        ],
+      },
+    },
+  };
+}
 
-    // Get conversation ID from custom fields
-    let conversationId = null;
+// Helper function to shorten long text for the canvas
+function truncateText(text, maxLength) {
+  const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+  return singleLine.length > maxLength
+    ? `${singleLine.substring(0, maxLength - 1)}…`
+    : singleLine;
+}
 
-    for (const field of customFields) {
-      // Match by GID or by field name (fallback if GID not mapped)
-      if (
-        field.gid === ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID ||
-        field.name === 'Intercom Conversation ID'
-      ) {
-        // Try multiple properties where the value might be stored
-        conversationId =
-          field.text_value ||
-          field.display_value ||
-          field.number_value ||
-          (typeof field.value === 'string' ? field.value : null);
+// Helper function to pick the section a task sits in within one of our projects
+function getTaskSectionName(task) {
+  const memberships = task?.memberships || [];
+  const membership =
+    memberships.find((m) =>
+      projects.some((project) => String(project.id) === m.project?.gid),
+    ) || memberships[0];
+  return membership?.section?.name || null;
+}
 
-        console.log(
-          '  ✓ Found Intercom Conversation ID field:',
-          JSON.stringify(field, null, 2),
-        );
-        console.log(
-          '  → Extracted conversation ID:',
-          conversationId,
-          `(matched by ${
-            field.gid === ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID
-              ? 'GID'
-              : 'name'
-          })`,
-        );
-        break;
-      }
-    }
+// Number of recent Asana comments shown on the status card
+const CANVAS_COMMENT_COUNT = 3;
+
+// Helper function to get a comment's author and text, unwrapping comments posted from Intercom
+// ("[Intercom Note by Jane]\n..." is shown as Jane's comment)
+function describeAsanaComment(comment) {
+  const text = comment.text || '';
+  const match = text.match(/^\[Intercom Note by ([^\]]+)\]\n?/);
+  return match
+    ? { author: match[1], text: text.substring(match[0].length) }
+    : { author: comment.created_by?.name || 'Unknown', text };
+}
 
-    // Fallback to in-memory map if custom field not found
-    if (!conversationId) {
-      conversationId = asanaTaskToConversation.get(taskId);
-      if (conversationId) {
-        console.log('  ✓ Found conversation ID in memory map:', conversationId);
-      }
-    }
+// Helper function to get the name of the teammate using the canvas
+function getActingTeammateName(body) {
+  return body.current_agent?.name || body.admin?.name || 'a teammate';
+}
 
-    if (!conversationId) {
-      console.log('  ✗ No conversation ID found for this task');
-      console.log('  Possible causes:');
-      console.log(
-        '    1. ⚠ The "Intercom Conversation ID" field has no value on this task',
-      );
-      console.log(
-        '    2. ⚠ This task was created before the field was added, OR',
-      );
-      console.log(
-        '    3. ⚠ The task was not created through the Intercom integration',
-      );
-    }
+/*
+  This builds the status card shown when the ticket already has an Asana task.
+  `task` and `comments` come from getAsanaTask() / getAsanaTaskComments(); when the task
+  can't be loaded, the card still shows the task ID, a link and the Refresh button.
+  `notice` confirms an action, `error` explains why one failed and `commentDraft` refills
+  the comment box after a failed post.
+*/
+function buildTaskStatusCanvas({
+  taskId,
+  task = null,
+  comments = null,
+  notice = null,
+  error = null,
+  commentDraft = '',
+}) {
+  const taskUrl =
+    task?.permalink_url || `https://app.asana.com/0/0/${taskId}/f`;
+
+  const components = [
+    {
+      type: 'text',
+      id: 'header',
+      text: 'Asana Task',
+      align: 'center',
+      style: 'header',
+    },
+  ];
+
+  if (notice) {
+    components.push({
+      type: 'text',
+      id: 'notice',
+      text: `✓ ${notice}`,
+      align: 'center',
+      style: 'muted',
+    });
+  }
 
-    return { conversationId, taskData: taskData.data };
-  } catch (error) {
-    console.error('  ✗ Error fetching conversation ID from task:', error);
-    return null;
+  if (error) {
+    components.push({
+      type: 'text',
+      id: 'error',
+      text: `⚠️ ${error}`,
+      align: 'center',
+      style: 'error',
+    });
   }
-}
 
-// Helper function to update Intercom ticket attributes
-async function updateTicketAttribute(ticketId, asanaTaskId) {
-  try {
-    console.log(
-      `Updating ticket ${ticketId} with Asana Task ID: ${asanaTaskId}`,
-    );
-    const response = await fetch(
-      `https://api.intercom.io/tickets/${ticketId}`,
+  if (task) {
+    components.push(
       {
-        method: 'PUT',
-        headers: {
-          Authorization: `Bearer ${INTERCOM_TOKEN}`,
-          'Intercom-Version': '2.14',
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        },
-        body: JSON.stringify({
-          ticket_attributes: {
-            'Asana Task ID': asanaTaskId, // Use exact field name with spaces
-          },
-        }),
+        type: 'text',
+        id: 'task_name',
+        text: `📋 ${task.name}`,
+        align: 'center',
+        style: 'paragraph',
       },
-    );
-
-    if (response.ok) {
-      const data = await response.json();
-      console.log('✓ Successfully updated ticket with Asana task ID');
-      console.log(
-        'Updated ticket attributes:',
-        data.ticket_attributes?.['Asana Task ID'],
-      );
-      return true;
-    } else {
-      const errorData = await response.json();
-      console.error('✗ Error updating ticket:', errorData);
-      return false;
-    }
-  } catch (error) {
-    console.error('✗ Error updating ticket attribute:', error);
-    return false;
-  }
-}
-
-// Helper function to update Intercom ticket Ticket Status field
-async function updateTicketStatus(ticketId, status) {
-  try {
-    console.log(`Updating ticket ${ticketId} Ticket Status to: "${status}"`);
-
-    const response = await fetch(
-      `https://api.intercom.io/tickets/${ticketId}`,
       {
-        method: 'PUT',
-        headers: {
-          Authorization: `Bearer ${INTERCOM_TOKEN}`,
-          'Intercom-Version': '2.14',
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        },
-        body: JSON.stringify({
-          ticket_attributes: {
-            'Ticket Status': status,
+        type: 'data-table',
+        id: 'task_details',
+        items: [
+          {
+            type: 'field-value',
+            field: 'Ticket Status',
+            value: getTaskTicketStatus(task.custom_fields) || 'Not set',
           },
-        }),
+          {
+            type: 'field-value',
+            field: 'Section',
+            value: getTaskSectionName(task) || 'None',
+          },
+          {
+            type: 'field-value',
+            field: 'Assignee',
+            value: task.assignee?.name || 'Unassigned',
+          },
+          {
+            type: 'field-value',
+            field: 'Due date',
+            value: task.due_on || 'None',
+          },
+          {
+            type: 'field-value',
+            field: 'Completed',
+            value: task.completed
+              ? `Yes (${task.completed_at?.substring(0, 10) || 'date unknown'})`
+              : 'No',
+          },
+        ],
       },
     );
 
-    if (response.ok) {
-      console.log(`✓ Successfully updated Ticket Status to "${status}"`);
-      return true;
+    const recentComments = (comments || []).slice(-CANVAS_COMMENT_COUNT);
+    if (recentComments.length > 0) {
+      recentComments.forEach((comment, index) => {
+        const { author, text } = describeAsanaComment(comment);
+        components.push({
+          type: 'text',
+          id: `comment_${index + 1}`,
+          text: `💬 ${author} (${comment.created_at?.substring(0, 10) || 'unknown date'}): ${truncateText(text, 200)}`,
+          style: 'muted',
+        });
+      });
     } else {
-      const errorData = await response.json();
-      console.error('✗ Error updating Ticket Status:', errorData);
-      return false;
+      components.push({
+        type: 'text',
+        id: 'no_comments',
+        text: comments ? '💬 No comments yet' : '⚠️ Could not load comments',
+        style: 'muted',
+      });
     }
-  } catch (error) {
-    console.error('Error updating Ticket Status:', error);
-    return false;
-  }
-}
-
-// Helper function to update Intercom ticket Asana Status field
-async function updateTicketAsanaStatus(ticketId, status) {
-  try {
-    console.log(`Updating ticket ${ticketId} Asana Status to: "${status}"`);
 
-    const response = await fetch(
-      `https://api.intercom.io/tickets/${ticketId}`,
+    components.push(
       {
-        method: 'PUT',
-        headers: {
-          Authorization: `Bearer ${INTERCOM_TOKEN}`,
-          'Intercom-Version': '2.14',
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
+        type: 'textarea',
+        id: 'asana_comment',
+        label: 'Comment on the Asana task',
+        placeholder: 'Visible to everyone following the task',
+        value: commentDraft,
+      },
+      {
+        type: 'button',
+        label: 'Post Comment',
+        style: 'secondary',
+        id: 'post_comment_button',
+        action: {
+          type: 'submit',
         },
-        body: JSON.stringify({
-          ticket_attributes: {
-            'Asana Status': status,
-          },
-        }),
       },
     );
-
-    if (response.ok) {
-      console.log(`✓ Successfully updated Asana Status to "${status}"`);
-      return true;
-    } else {
-      const errorData = await response.json();
-      console.error('✗ Error updating Asana Status:', errorData);
-      return false;
-    }
-  } catch (error) {
-    console.error('Error updating Asana Status:', error);
-    return false;
+  } else {
+    components.push({
+      type: 'text',
+      id: 'task_unavailable',
+      text: '⚠️ Could not load task details from Asana',
+      align: 'center',
+      style: 'error',
+    });
   }
+
+  components.push(
+    {
+      type: 'text',
+      id: 'task_id',
+      text: `Task ID: ${taskId}`,
+      align: 'center',
+      style: 'muted',
+    },
+    {
+      type: 'spacer',
+      id: 'spacer_1',
+      size: 's',
+    },
+    {
+      type: 'button',
+      label: 'Open in Asana',
+      style: 'primary',
+      id: 'open_task_button',
+      action: {
+        type: 'url',
+        url: taskUrl,
+      },
+    },
+    {
+      type: 'button',
+      label: 'Refresh',
+      style: 'secondary',
+      id: 'refresh_task_button',
+      action: {
+        type: 'submit',
+      },
+    },
+    {
+      type: 'button',
+      label: 'Move to Project',
+      style: 'secondary',
+      id: 'move_task_button',
+      action: {
+        type: 'submit',
+      },
+    },
+    {
+      type: 'button',
+      label: 'Unlink Task',
+      style: 'secondary',
+      id: 'unlink_task_button',
+      action: {
+        type: 'submit',
+      },
+    },
+  );
+
+  return {
+    canvas: {
+      content: {
+        components: components,
+      },
+    },
+  };
 }
 
-// Helper function to update Intercom ticket state ID based on label or category
-// Optionally accepts ticket type ID for filtering states and shouldClose to close ticket in same request
-async function updateTicketStateId(
-  ticketId,
-  labelOrCategory,
-  ticketTypeId = null,
-  shouldClose = false,
-) {
-  try {
-    const stateId = await getTicketStateId(labelOrCategory, ticketTypeId);
+// Helper function to load a task and render its status card
+// `options` are passed through to buildTaskStatusCanvas (notice, error, commentDraft)
+async function renderTaskStatusCanvas(taskId, options = {}) {
+  const [task, comments] = await Promise.all([
+    getAsanaTask(taskId),
+    getAsanaTaskComments(taskId),
+  ]);
+  return buildTaskStatusCanvas({ taskId, task, comments, ...options });
+}
 
-    if (!stateId) {
-      console.error(
-        `✗ Could not find ticket state ID for: "${labelOrCategory}"${ticketTypeId ? ` (ticket type: ${ticketTypeId})` : ''}`,
-      );
+// Helper function to build the confirmation step for unlinking a task
+function buildUnlinkConfirmCanvas(taskId) {
+  return {
+    canvas: {
+      content: {
+        components: [
+          {
+            type: 'text',
+            id: 'header',
+            text: 'Unlink Asana Task?',
+            align: 'center',
+            style: 'header',
+          },
+          {
+            type: 'text',
+            id: 'description',
+            text: `Task ${taskId} stays in Asana but stops syncing with this ticket.`,
+            align: 'center',
+            style: 'muted',
+          },
+          {
+            type: 'button',
+            label: 'Unlink',
+            style: 'primary',
+            id: 'confirm_unlink_button',
+            action: {
+              type: 'submit',
+            },
+          },
+          {
+            type: 'button',
+            label: 'Cancel',
+            style: 'secondary',
+            id: 'refresh_task_button',
+            action: {
+              type: 'submit',
+            },
+          },
+        ],
+      },
+    },
+  };
+}
 
-      // Show available states from cache
-      const states = await initializeTicketStates();
-      if (states && states.length > 0) {
-        // Filter by ticket type if provided
-        const applicableStates = ticketTypeId
-          ? states.filter((state) =>
-              state.ticket_types?.data?.some(
-                (type) => String(type.id) === String(ticketTypeId),
-              ),
-            )
-          : states;
+// Helper function to build the project picker for moving a task
+function buildMoveTaskCanvas(taskId) {
+  return {
+    canvas: {
+      content: {
+        components: [
+          {
+            type: 'text',
+            id: 'header',
+            text: 'Move Asana Task',
+            align: 'center',
+            style: 'header',
+          },
+          {
+            type: 'text',
+            id: 'description',
+            text: `Task ${taskId} keeps its link to this ticket.`,
+            align: 'center',
+            style: 'muted',
+          },
+          {
+            type: 'dropdown',
+            id: 'move_project_dropdown',
+            label: 'Move to project',
+            options: projects.map((project) => ({
+              type: 'option',
+              id: project.id,
+              text: project.name,
+            })),
+          },
+          {
+            type: 'spacer',
+            id: 'spacer_1',
+            size: 's',
+          },
+          {
+            type: 'button',
+            label: 'Move Task',
+            style: 'primary',
+            id: 'confirm_move_button',
+            action: {
+              type: 'submit',
+            },
+          },
+          {
+            type: 'button',
+            label: 'Cancel',
+            style: 'secondary',
+            id: 'refresh_task_button',
+            action: {
+              type: 'submit',
+            },
+          },
+        ],
+      },
+    },
+  };
+}
 
-        console.error(
-          `Available states${ticketTypeId ? ` for ticket type ${ticketTypeId}` : ''}:`,
-          applicableStates.map((s) => s.internal_label).join(', '),
-        );
-      }
-      return false;
-    }
+// Middleware - verify Intercom's X-Body-Signature on Canvas Kit requests
+function verifyCanvasRequest(req, res, next) {
+  const verification = verifyCanvasSignature(
+    req.rawBody,
+    req.headers['x-body-signature'],
+    INTERCOM_CLIENT_SECRET,
+  );
 
-    console.log(
-      `Updating ticket ${ticketId} ticket_state_id to: "${stateId}" (${labelOrCategory})${shouldClose ? ' and closing ticket' : ''}`,
+  if (!verification.valid) {
+    const rejectionCount = recordWebhookRejection(
+      'canvas',
+      verification.reason,
     );
+    console.error('===== CANVAS REQUEST REJECTED =====');
+    console.error('✗ Signature verification failed:', verification.reason);
+    console.error('  Route:', req.path);
+    console.error('  Remote address:', req.ip);
+    console.error('  Total rejections since start:', rejectionCount);
+    console.error('===================================\n');
+    // Sent with 200 - Intercom only renders canvases from successful responses, and the
+    // rejection is already logged and counted above
+    return res.send(
+      buildErrorCanvas(
+        'Request Not Verified',
+        'This request could not be verified as coming from Intercom.',
+      ),
+    );
+  }
 
-    // Build request body - combine state update and close in one request
-    const requestBody = {
-      ticket_state_id: stateId,
-    };
-
-    // Add open: false if should close
-    if (shouldClose) {
-      requestBody.open = false;
-    }
+  next();
+}
 
-    const response = await fetch(
-      `https://api.intercom.io/tickets/${ticketId}`,
-      {
-        method: 'PUT',
-        headers: {
-          Authorization: `Bearer ${INTERCOM_TOKEN}`,
-          'Intercom-Version': '2.14',
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      },
+// Middleware - strip secret values from any JSON an admin route sends back
+function redactJsonResponses(req, res, next) {
+  const sendJson = res.json.bind(res);
+  res.json = (body) =>
+    sendJson(
+      redactSecrets(body, [
+        ASANA_TOKEN,
+        INTERCOM_TOKEN,
+        INTERCOM_CLIENT_SECRET,
+        process.env.ADMIN_API_KEY,
+        process.env.ADMIN_PASSWORD,
+      ]),
     );
-
-    if (response.ok) {
-      console.log(
-        `✓ Successfully updated ticket_state_id to "${stateId}" (${labelOrCategory})${shouldClose ? ' and closed ticket' : ''}`,
-      );
-      return true;
-    } else {
-      const errorData = await response.json();
-      console.error('✗ Error updating ticket_state_id:', errorData);
-      return false;
-    }
-  } catch (error) {
-    console.error('Error updating ticket_state_id:', error);
-    return false;
-  }
+  next();
 }
 
-// Helper function to update Intercom ticket Due Date from Asana Ticket Date
-async function updateTicketDueDate(ticketId, asanaDateValue) {
-  try {
-    if (!asanaDateValue) {
-      console.log('  ℹ No date value provided, skipping Due Date update');
-      return false;
-    }
+// Middleware chain for diagnostic/admin routes
+const adminRoute = [requireAdmin, redactJsonResponses];
 
-    // Asana date fields return date in YYYY-MM-DD format or with date_time in ISO format
-    // We need to convert to Unix timestamp for Intercom
-    let dateString = null;
+// Register a Canvas Kit route - every canvas route must go through signature verification
+function canvasRoute(routePath, handler) {
+  app.post(routePath, verifyCanvasRequest, handler);
+}
 
-    // Handle Asana date_value object (date field)
-    if (typeof asanaDateValue === 'object') {
-      // Prefer date_time if available (includes time), otherwise use date
-      dateString = asanaDateValue.date_time || asanaDateValue.date;
-    } else if (typeof asanaDateValue === 'string') {
-      dateString = asanaDateValue;
-    }
+// Helper function to pick the projects.js project a task belongs to
+function getTaskProjectGid(taskData) {
+  const taskProjectGids = (taskData?.projects || []).map((p) => String(p.gid));
+  const knownProject = projects.find((project) =>
+    taskProjectGids.includes(String(project.id)),
+  );
+  return knownProject?.id || taskProjectGids[0] || null;
+}
 
-    if (!dateString) {
-      console.log('  ⚠ Could not extract date from Asana date value');
-      return false;
-    }
+// Helper function to read the Ticket Status enum value from an Asana task's custom fields
+function getTaskTicketStatus(customFields = []) {
+  const field = customFields.find(
+    (f) =>
+      f.gid === ASANA_CUSTOM_FIELDS.TICKET_STATUS || f.name === 'Ticket Status',
+  );
+  if (!field) return null;
+  return field.enum_value?.name || field.display_value || null;
+}
 
-    // Convert to Unix timestamp (seconds)
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) {
-      console.error(`  ✗ Invalid date: "${dateString}"`);
-      return false;
-    }
+// Helper function to decide whether an Asana Ticket Status should close the Intercom ticket
+// Statuses outside the whitelist close the ticket if it's still open
+function shouldCloseTicketForStatus(ticketStatus, ticket) {
+  return !whitelistStatus.includes(ticketStatus) && ticket?.open === true;
+}
 
-    const unixTimestamp = Math.floor(date.getTime() / 1000);
-    console.log(
-      `  Updating ticket ${ticketId} Due Date to: "${dateString}" (Unix: ${unixTimestamp})`,
-    );
+// Helper function to find the Intercom ticket state an Asana Ticket Status maps to
+// statusMappings.js first, then the state labels
+async function getExpectedTicketStateId(
+  ticketStatus,
+  { projectId, ticketTypeId },
+) {
+  return (
+    getMappedTicketStateId(ticketStatus, { projectId, ticketTypeId }) ||
+    (await getTicketStateId(ticketStatus, ticketTypeId))
+  );
+}
 
-    const response = await fetch(
-      `https://api.intercom.io/tickets/${ticketId}`,
-      {
-        method: 'PUT',
-        headers: {
-          Authorization: `Bearer ${INTERCOM_TOKEN}`,
-          'Intercom-Version': '2.14',
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-        },
-        body: JSON.stringify({
-          ticket_attributes: {
-            'Due Date': unixTimestamp,
-          },
-        }),
-      },
+// Helper function to copy the Asana custom field a change event names onto the linked ticket
+// Only fields configured as asana_to_intercom or both in fieldDirections.js are written
+async function syncAsanaFieldsToTicket({
+  taskId,
+  link,
+  ticket,
+  customFields,
+  changedFieldGid,
+}) {
+  const { attributes, dueDate } = getTicketAttributeChanges(
+    customFields,
+    ticket,
+    taskId,
+    changedFieldGid,
+  );
+  const syncTargets = {
+    task_gid: taskId,
+    ticket_id: link.ticket_id,
+    conversation_id: link.conversation_id,
+  };
+
+  if (Object.keys(attributes).length > 0) {
+    // Recorded first - Intercom's attribute webhook can arrive before the update returns
+    recordSyncedWrite('intercom', link.ticket_id, attributes);
+    await runSyncOperation(
+      'intercom.ticket_attributes',
+      { ticket_id: link.ticket_id, attributes },
+      syncTargets,
     );
-
-    if (response.ok) {
-      console.log(`  ✓ Successfully updated Due Date to "${dateString}"`);
-      return true;
-    } else {
-      const errorData = await response.json();
-      console.error('  ✗ Error updating Due Date:', errorData);
-      return false;
-    }
-  } catch (error) {
-    console.error('Error updating ticket Due Date:', error);
-    return false;
+  }
+  if (dueDate) {
+    await runSyncOperation(
+      'intercom.due_date',
+      { ticket_id: link.ticket_id, date_value: dueDate },
+      syncTargets,
+    );
+  }
+  if (Object.keys(attributes).length === 0 && !dueDate) {
+    console.log('  ℹ No reverse-synced fields changed');
   }
 }
 
-// Helper function to format date for Asana date field (YYYY-MM-DD)
-function formatDateForAsanaDateField(dateValue) {
-  if (!dateValue) return null;
-
-  try {
-    let date;
-
-    // Handle Unix timestamp (number or string number)
-    if (typeof dateValue === 'number' || !isNaN(Number(dateValue))) {
-      date = new Date(Number(dateValue) * 1000); // Convert seconds to milliseconds
-    }
-    // Handle ISO string or other date formats
-    else if (typeof dateValue === 'string') {
-      date = new Date(dateValue);
-    }
-    // Handle Date object
-    else if (dateValue instanceof Date) {
-      date = dateValue;
-    } else {
-      console.warn('Unknown date format:', dateValue);
-      return null;
-    }
+// Helper function to push an Asana Ticket Status onto the linked Intercom ticket
+// Shared by the Asana webhook and the reconciliation job. Returns null on failure
+// (the update is captured in the dead-letter store).
+async function applyAsanaStatusToTicket({
+  taskId,
+  link,
+  ticket,
+  ticketStatus,
+}) {
+  const ticketTypeId = link.ticket_type_id || ticket?.ticket_type?.id;
+  if (ticketTypeId) {
+    console.log(`  ℹ Ticket type ID: ${ticketTypeId}`);
+  }
 
-    // Validate the date
-    if (isNaN(date.getTime())) {
-      console.warn('Invalid date value:', dateValue);
-      return null;
-    }
+  const shouldCloseTicket = shouldCloseTicketForStatus(ticketStatus, ticket);
+  console.log(
+    `  Status "${ticketStatus}" whitelisted: ${whitelistStatus.includes(ticketStatus)}`,
+  );
+  console.log(`  Ticket open: ${ticket?.open === true}`);
 
-    // Format as YYYY-MM-DD for Asana date field
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
+  if (shouldCloseTicket) {
+    console.log(
+      '  → Status not whitelisted and ticket is open, will close ticket in same request',
+    );
+  }
 
-    return `${year}-${month}-${day}`;
-  } catch (error) {
-    console.error('Error formatting date for Asana:', error);
-    return null;
+  // Recorded first - the ticket's state webhook must not copy the state back onto the task
+  const expectedStateId = await getExpectedTicketStateId(ticketStatus, {
+    projectId: link.project_gid,
+    ticketTypeId,
+  });
+  if (expectedStateId) {
+    recordSyncedWrite('intercom', link.ticket_id, {
+      ticket_state_id: expectedStateId,
+    });
   }
+
+  // Update ticket state (and close if needed) in a single API call
+  return runSyncOperation(
+    'intercom.ticket_state',
+    {
+      ticket_id: link.ticket_id,
+      status: ticketStatus,
+      ticket_type_id: ticketTypeId, // For filtering states by ticket type
+      project_id: link.project_gid, // For project-specific status mappings
+      close: shouldCloseTicket, // Close ticket in same request
+    },
+    {
+      task_gid: taskId,
+      ticket_id: link.ticket_id,
+      conversation_id: link.conversation_id,
+    },
+  );
 }
 
-// Helper function to get enum option ID from custom field
-async function getAsanaEnumOptionId(fieldGid, optionName) {
-  try {
-    const response = await fetch(
-      `https://app.asana.com/api/1.0/custom_fields/${fieldGid}`,
-      {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${ASANA_TOKEN}`,
-          Accept: 'application/json',
-        },
-      },
+// Helper function to run the project's taskActions (projects.js) for a completion or section move
+async function applyTaskActions({ event, taskId, link, taskData }) {
+  const projectGid = link.project_gid || getTaskProjectGid(taskData);
+  const project = projects.find(
+    (candidate) => String(candidate.id) === String(projectGid),
+  );
+  const match = getTaskActionForEvent(project, event, taskData);
+  if (!match) return;
+
+  // Completions and section placements made by the integration itself don't trigger actions
+  if (
+    event.change?.field === 'completed' &&
+    isEchoedWrite('asana', taskId, 'completed', taskData.completed)
+  ) {
+    console.log(
+      '  ℹ Task completion was synced from the Intercom ticket, skipping task actions',
     );
+    return;
+  }
+  if (
+    event.parent?.resource_type === 'section' &&
+    isEchoedWrite('asana', taskId, 'section', event.parent.gid)
+  ) {
+    console.log(
+      '  ℹ Task was placed in this section by the integration, skipping task actions',
+    );
+    return;
+  }
 
-    if (response.ok) {
-      const data = await response.json();
-      const enumOptions = data.data.enum_options || [];
+  const update = buildTicketUpdate(match.action);
+  console.log(
+    `  → ${project.name} task action for ${match.trigger}: ${JSON.stringify(update)}`,
+  );
 
-      // Find the option that matches the name
-      const matchingOption = enumOptions.find(
-        (option) => option.name === optionName,
-      );
+  // Recorded first - the ticket's webhooks must not copy these changes back onto the task
+  recordSyncedWrite('intercom', link.ticket_id, {
+    ...(update.ticket_state_id && { ticket_state_id: update.ticket_state_id }),
+    ...update.ticket_attributes,
+  });
 
-      if (matchingOption) {
-        console.log(
-          `Found enum option ID for "${optionName}": ${matchingOption.gid}`,
-        );
-        return matchingOption.gid;
-      } else {
-        console.warn(
-          `No enum option found for "${optionName}" in field ${fieldGid}`,
-        );
-        console.warn(
-          'Available options:',
-          enumOptions.map((o) => o.name).join(', '),
-        );
-        return null;
-      }
-    }
-    return null;
-  } catch (error) {
-    console.error('Error fetching enum options:', error);
-    return null;
+  const result = await runSyncOperation(
+    'intercom.ticket',
+    { ticket_id: link.ticket_id, data: update },
+    {
+      task_gid: taskId,
+      ticket_id: link.ticket_id,
+      conversation_id: link.conversation_id,
+    },
+  );
+  if (result) {
+    console.log(`  ✓ Applied task action for ${match.trigger}`);
+  } else {
+    console.log(
+      '  ℹ Could not apply task action - captured in dead-letter store for replay',
+    );
   }
 }
 
-// Helper function to get custom field settings for a project
-async function getAsanaCustomFields(projectId = ASANA_PROJECT) {
-  try {
-    const response = await fetch(
-      `https://app.asana.com/api/1.0/projects/${projectId}/custom_field_settings`,
-      {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${ASANA_TOKEN}`,
-          Accept: 'application/json',
-        },
-      },
+// Helper function to resolve the task ↔ ticket link for an Asana task
+// Uses the link store first and only falls back to the Asana/Intercom APIs on a miss.
+// Pass an already-fetched getConversationIdFromTask() result to avoid refetching the task.
+async function resolveTaskLink(taskId, taskResult = null) {
+  const storedLink = await linkStore.getByTask(taskId);
+  if (storedLink) {
+    console.log(
+      `  ✓ Found link in ${linkStore.backendName} store: task ${taskId} → ticket ${storedLink.ticket_id}`,
     );
+    return storedLink;
+  }
 
-    if (response.ok) {
-      const data = await response.json();
-      return data.data;
-    }
-    return null;
-  } catch (error) {
-    console.error('Error fetching custom fields:', error);
+  console.log('  ℹ No stored link for task, resolving via APIs...');
+  const result = taskResult || (await getConversationIdFromTask(taskId));
+  if (!result || !result.conversationId) {
     return null;
   }
-}
-
-// Helper function to get sections from a project
-async function getAsanaSections(projectId = ASANA_PROJECT) {
-  try {
-    const response = await fetch(
-      `https://app.asana.com/api/1.0/projects/${projectId}/sections`,
-      {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${ASANA_TOKEN}`,
-          Accept: 'application/json',
-        },
-      },
-    );
 
-    if (response.ok) {
-      const data = await response.json();
-      return data.data;
-    }
-    return null;
-  } catch (error) {
-    console.error('Error fetching sections:', error);
+  const conversation = await getConversation(result.conversationId);
+  const ticketId = conversation?.ticket?.id;
+  if (!ticketId) {
+    console.log('  ⚠ No ticket found for conversation:', result.conversationId);
     return null;
   }
-}
 
-// Helper function to get section ID by name
-async function getAsanaSectionId(sectionName, projectId = ASANA_PROJECT) {
-  try {
-    const sections = await getAsanaSections(projectId);
-    if (!sections || sections.length === 0) {
-      console.warn('⚠ No sections found in Asana project');
-      return null;
-    }
+  const ticket = await getTicket(ticketId);
 
-    const section = sections.find((s) => s.name === sectionName);
-    if (section) {
-      console.log(`✓ Found section "${sectionName}" with ID: ${section.gid}`);
-      return section.gid;
-    } else {
-      console.warn(`⚠ Section "${sectionName}" not found in project`);
-      console.warn(
-        'Available sections:',
-        sections.map((s) => s.name).join(', '),
-      );
-      return null;
-    }
-  } catch (error) {
-    console.error('Error getting section ID:', error);
-    return null;
-  }
+  // Backfill the store so the next event for this task skips the API lookups
+  return linkStore.save({
+    task_gid: taskId,
+    project_gid: getTaskProjectGid(result.taskData),
+    conversation_id: result.conversationId,
+    ticket_id: ticketId,
+    ticket_type_id: ticket?.ticket_type?.id,
+  });
 }
 
-// Helper function to initialize custom field mappings
-// Can accept already-fetched customFieldSettings to avoid duplicate API calls
-async function initializeCustomFieldMappings(customFieldSettings = null) {
-  try {
-    // Only fetch if not provided
-    if (!customFieldSettings) {
-      console.log('Fetching Asana custom field mappings...');
-      customFieldSettings = await getAsanaCustomFields();
-    }
-
-    if (!customFieldSettings || customFieldSettings.length === 0) {
-      console.warn('⚠ No custom fields found in Asana project');
-      console.warn(
-        'Custom field syncing will be disabled. Please add custom fields to your Asana project.',
-      );
-      return null;
-    }
+// Helper function to describe which task/ticket a queued webhook job targets
+function getJobTargets(job) {
+  if (job.type === 'asana.event') {
+    const event = job.payload;
+    return {
+      task_gid:
+        event.parent?.resource_type === 'task'
+          ? event.parent.gid
+          : event.resource?.gid,
+    };
+  }
+  const item = job.payload?.data?.item;
+  return {
+    ticket_id: item?.type === 'ticket' ? item.id : item?.ticket?.id,
+    conversation_id: item?.type === 'conversation' ? item.id : undefined,
+  };
+}
 
-    const fieldTypes = {};
+// Root route - serves the HTML file
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
 
-    // Track critical system fields
-    let hasIntercomConversationId = false;
-    let hasTicketStatus = false;
-
-    // Map all custom fields dynamically (no hardcoded list)
-    console.log(
-      `Mapping ${customFieldSettings.length} custom fields from Asana...`,
-    );
-    customFieldSettings.forEach((setting) => {
-      const fieldName = setting.custom_field.name;
-      const fieldGid = setting.custom_field.gid;
-      const fieldType = setting.custom_field.resource_subtype;
-
-      // Track critical fields
-      if (fieldName === 'Intercom Conversation ID') {
-        hasIntercomConversationId = true;
-        ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID = fieldGid;
-        console.log(
-          `✓ Mapped critical field: "${fieldName}" → ${fieldGid} (type: ${fieldType})`,
-        );
-      } else if (fieldName === 'Ticket Status') {
-        hasTicketStatus = true;
-        ASANA_CUSTOM_FIELDS.TICKET_STATUS = fieldGid;
-        console.log(
-          `✓ Mapped critical field: "${fieldName}" → ${fieldGid} (type: ${fieldType})`,
-        );
-      } else {
-        console.log(
-          `✓ Mapped: "${fieldName}" → ${fieldGid} (type: ${fieldType})`,
-        );
-      }
-
-      // Store all field types for ALL fields (including system fields)
-      fieldTypes[fieldGid] = fieldType;
-    });
-
-    // Store field types globally
-    customFieldTypes = fieldTypes;
-
-    // Warn about missing critical fields
-    if (!hasIntercomConversationId) {
-      console.warn('\n⚠⚠⚠ CRITICAL WARNING ⚠⚠⚠');
-      console.warn(
-        'The "Intercom Conversation ID" field is REQUIRED for webhook sync!',
-      );
-      console.warn(
-        'Without this field, Asana webhooks cannot update Intercom tickets.',
-      );
-      console.warn(
-        'Please create a TEXT field named "Intercom Conversation ID" in your Asana project.',
-      );
-      console.warn('⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠⚠\n');
-    }
-
-    if (!hasTicketStatus) {
-      console.warn(
-        '⚠️ WARNING: "Ticket Status" field not found in Asana project',
-      );
-      console.warn(
-        '   Please add "Ticket Status" enum field to your Asana project for status sync',
-      );
-    }
-
-    if (hasIntercomConversationId && hasTicketStatus) {
-      console.log('✓ All critical fields mapped successfully');
-    }
-
-    // Mark as initialized by storing the custom field settings
-    customFieldsCache = customFieldSettings;
-    return customFieldSettings;
-  } catch (error) {
-    console.error('Error initializing custom field mappings:', error);
-    return null;
-  }
-}
-
-// Helper function to validate if string is a valid URL
-function isValidUrl(string) {
-  try {
-    const url = new URL(string);
-    return url.protocol === 'http:' || url.protocol === 'https:';
-  } catch (err) {
-    return false;
-  }
-}
-
-// Helper function to format date for Asana as text
-// Uses ticket "Timezone" custom attribute: "GMT+6" or "GMT+5"
-// Format: M/D/YYYY, h:mm AM/PM
-function formatDateForAsana(dateValue, timezoneValue) {
-  if (!dateValue) return null;
-
-  try {
-    let date;
-
-    // Handle Unix timestamp (number or string number)
-    if (typeof dateValue === 'number' || !isNaN(Number(dateValue))) {
-      date = new Date(Number(dateValue) * 1000); // Convert seconds to milliseconds
-    }
-    // Handle ISO string or other date formats
-    else if (typeof dateValue === 'string') {
-      date = new Date(dateValue);
-    }
-    // Handle Date object
-    else if (dateValue instanceof Date) {
-      date = dateValue;
-    } else {
-      console.warn('Unknown date format:', dateValue);
-      return null;
-    }
-
-    // Validate the date
-    if (isNaN(date.getTime())) {
-      console.warn('Invalid date value:', dateValue);
-      return null;
-    }
-
-    // Use ticket Timezone: GMT+5 -> Asia/Karachi, GMT+6 (default) -> Asia/Dhaka
-    const timeZone =
-      timezoneValue === 'GMT+5' ? 'Asia/Karachi' : 'Asia/Dhaka';
-    const options = {
-      timeZone,
-      year: 'numeric',
-      month: 'numeric',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true,
-    };
-
-    const formatter = new Intl.DateTimeFormat('en-US', options);
-    const formattedDate = formatter.format(date);
-
-    return formattedDate;
-  } catch (error) {
-    console.error('Error formatting date:', error);
-    return null;
-  }
-}
-
-// Helper function to extract attachment URLs from field value
-function extractAttachmentUrls(fieldValue, fieldName) {
-  const urls = [];
-
-  if (!fieldValue) {
-    return urls;
-  }
-
-  // Handle array of attachment objects
-  if (Array.isArray(fieldValue) && fieldValue.length > 0) {
-    console.log(`  Found ${fieldValue.length} file(s) in ${fieldName}`);
-    for (let i = 0; i < fieldValue.length; i++) {
-      const attachment = fieldValue[i];
-      if (attachment && attachment.url) {
-        urls.push(attachment.url);
-        console.log(`  ✓ File ${i + 1}:`, attachment.url);
-        if (attachment.name) console.log(`    Name: ${attachment.name}`);
-        if (attachment.content_type)
-          console.log(`    Type: ${attachment.content_type}`);
-      } else {
-        console.log(`  ⚠ File ${i + 1} missing URL property`);
-      }
-    }
-  }
-  // Handle single attachment object
-  else if (typeof fieldValue === 'object' && fieldValue.url) {
-    urls.push(fieldValue.url);
-    console.log(`  ✓ Found single file in ${fieldName}`);
-    if (fieldValue.name) console.log(`    Name: ${fieldValue.name}`);
-  }
-  // Handle URL string
-  else if (isValidUrl(String(fieldValue))) {
-    urls.push(String(fieldValue));
-    console.log(`  ✓ ${fieldName} contains URL string`);
-  } else {
-    console.log(`  ⚠ ${fieldName} is not a valid URL or file object`);
-  }
-
-  return urls;
-}
-
-// Helper function to upload attachment to Asana task
-async function uploadAttachmentToAsana(taskId, attachmentUrl) {
-  try {
-    // Validate if it's a proper URL
-    if (!isValidUrl(attachmentUrl)) {
-      console.error('Invalid attachment URL:', attachmentUrl);
-      console.log(
-        'The attachment field appears to be an ID or invalid URL. Please provide a full URL.',
-      );
-      return null;
-    }
-
-    // Download the file from the attachment URL
-    console.log('===== ATTACHMENT DOWNLOAD PROCESS =====');
-    console.log('Full attachment URL:', attachmentUrl);
-    console.log('Attempting to download...');
-
-    const fileResponse = await fetch(attachmentUrl);
-
-    if (!fileResponse.ok) {
-      console.error(
-        'Failed to download attachment. Status:',
-        fileResponse.status,
-      );
-      console.error('Status Text:', fileResponse.statusText);
-      return null;
-    }
-
-    console.log('✓ Successfully downloaded attachment');
-    console.log('Content-Type:', fileResponse.headers.get('content-type'));
-    console.log('Content-Length:', fileResponse.headers.get('content-length'));
-
-    // Get the file buffer and content type
-    const fileBuffer = await fileResponse.buffer();
-    const contentType =
-      fileResponse.headers.get('content-type') || 'application/octet-stream';
-
-    // Extract filename from URL or use a default
-    const urlParts = attachmentUrl.split('/');
-    const fileName =
-      urlParts[urlParts.length - 1].split('?')[0] || 'attachment';
-
-    // Create form data for multipart upload
-    const formData = new FormData();
-    formData.append('parent', taskId);
-    formData.append('file', fileBuffer, {
-      filename: fileName,
-      contentType: contentType,
-    });
-
-    // Upload to Asana
-    console.log('===== ASANA UPLOAD PROCESS =====');
-    console.log('Uploading to Asana task ID:', taskId);
-    console.log('File name:', fileName);
-    console.log('Content type:', contentType);
-    console.log('File size:', fileBuffer.length, 'bytes');
-
-    const asanaResponse = await fetch(
-      'https://app.asana.com/api/1.0/attachments',
-      {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${ASANA_TOKEN}`,
-          ...formData.getHeaders(),
-        },
-        body: formData,
-      },
-    );
-
-    if (asanaResponse.ok) {
-      const asanaData = await asanaResponse.json();
-      const attachmentGid = asanaData.data?.gid;
-      const permanentUrl =
-        asanaData.data?.permanent_url ||
-        asanaData.data?.download_url ||
-        asanaData.data?.url ||
-        'uploaded'; // Return a truthy value even if URL is missing
-      console.log('✓ Successfully uploaded attachment to Asana');
-      if (attachmentGid) {
-        intercomUploadedAttachmentGids.add(String(attachmentGid));
-        console.log('  Tracked GID for echo-back prevention:', attachmentGid);
-      }
-      console.log('Asana response:', JSON.stringify(asanaData, null, 2));
-      if (permanentUrl && permanentUrl !== 'uploaded') {
-        console.log('Asana permanent URL:', permanentUrl);
-      } else {
-        console.log('Note: No permanent URL in response, but upload succeeded');
-      }
-      console.log('======================================');
-      return permanentUrl;
-    } else {
-      const errorData = await asanaResponse
-        .json()
-        .catch(() => ({ error: 'Unknown error' }));
-      console.error('✗ Error uploading attachment to Asana:', errorData);
-      console.error(
-        'Response status:',
-        asanaResponse.status,
-        asanaResponse.statusText,
-      );
-      console.error('======================================');
-      return null;
-    }
-  } catch (error) {
-    console.error('Error in uploadAttachmentToAsana:', error);
-    return null;
-  }
-}
-
-// Root route - serves the HTML file
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Helper endpoint to get custom field GIDs and current mappings
-app.get('/asana-custom-fields', async (req, res) => {
-  try {
-    const customFieldSettings = await getAsanaCustomFields();
+// Helper endpoint to get custom field GIDs and current mappings
+app.get('/asana-custom-fields', adminRoute, async (req, res) => {
+  try {
+    const customFieldSettings = await getAsanaCustomFields();
 
     if (customFieldSettings) {
       const fields = customFieldSettings.map((setting) => ({
@@ -1244,17 +1351,37 @@ app.get('/asana-custom-fields', async (req, res) => {
 });
 
 // Helper endpoint to view webhook setup information
-app.get('/webhook-info', (req, res) => {
+app.get('/webhook-info', adminRoute, (req, res) => {
   const webhookUrl = `${req.protocol}://${req.get('host')}/asana-webhook-prod`;
   const intercomWebhookUrl = `${req.protocol}://${req.get(
     'host',
   )}/intercom-webhook`;
+  const adminWebhookUrl = `${req.protocol}://${req.get('host')}/admin/asana-webhooks`;
+
+  // Report secret status for every configured project (and the default project)
+  const webhookProjects = [...projects];
+  if (!projects.some((project) => project.id === ASANA_PROJECT)) {
+    webhookProjects.push({
+      name: 'ASANA_PROJECT (default)',
+      id: ASANA_PROJECT,
+    });
+  }
+  const asanaWebhooks = webhookProjects.map((project) => ({
+    project_name: project.name,
+    project_gid: project.id,
+    webhook_target: `${webhookUrl}?project=${project.id}`,
+    ...getWebhookSecretStatus(String(project.id)),
+  }));
 
   res.json({
     success: true,
     asana_webhook_url: webhookUrl,
     intercom_webhook_url: intercomWebhookUrl,
-    webhook_secret_stored: asanaWebhookSecret ? true : false,
+    asana_webhooks: asanaWebhooks,
+    intercom_signature_verification: INTERCOM_WEBHOOK_VERIFY_DISABLED
+      ? 'disabled'
+      : 'enabled',
+    webhook_rejections: webhookRejections,
     project_gid: ASANA_PROJECT,
     custom_field_mappings: {
       CASH_OUT_DATE_AND_TIME: ASANA_CUSTOM_FIELDS.CASH_OUT_DATE_AND_TIME,
@@ -1272,258 +1399,402 @@ app.get('/webhook-info', (req, res) => {
       asana: {
         step1:
           'Make sure this server is publicly accessible (use ngrok for local development)',
-        step2: `Create webhook using: POST https://app.asana.com/api/1.0/webhooks`,
-        step3: 'Set resource to your project GID',
-        step4: `Set target to: ${webhookUrl}`,
-        step5: 'The handshake will be completed automatically',
+        step2: `For each project in projects.js, POST ${adminWebhookUrl}?project=<project GID> with your admin credential`,
+        step3: `The webhook targets ${webhookUrl}?project=<project GID> (send { "target": "<url>" } to override)`,
+        step4:
+          'The handshake is accepted while that call is pending and the secret is stored for the project',
+        note: 'Webhooks created directly through the Asana API are refused at the handshake (403)',
       },
       intercom: {
         step1: 'Go to Intercom Developer Hub → Webhooks',
         step2: `Add webhook URL: ${intercomWebhookUrl}`,
-        step3: 'Subscribe to topic: ticket.note.created',
+        step3: `Subscribe to topics: ${INTERCOM_WEBHOOK_TOPICS.join(', ')}`,
         step4: 'Save the webhook configuration',
-        note: 'This will sync admin notes from Intercom to Asana as comments',
+        note: 'Notes are synced to Asana as comments, new and re-stated tickets can create tasks (AUTO_CREATE_TASKS), and state, close/reopen and attribute changes update the linked task',
       },
     },
-    curl_example: `curl -X POST https://app.asana.com/api/1.0/webhooks \\
-  -H "Authorization: Bearer ${ASANA_TOKEN}" \\
-  -H "Content-Type: application/json" \\
-  -d '{
-    "data": {
-      "resource": "${ASANA_PROJECT}",
-      "target": "${webhookUrl}"
-    }
-  }'`,
-    task_to_conversation_mappings: asanaTaskToConversation.size,
+    curl_example: `curl -X POST "${adminWebhookUrl}?project=${projects[0]?.id}" \\
+  -H "Authorization: Bearer $ADMIN_API_KEY"`,
+    link_store_backend: linkStore.backendName,
+    webhook_queue: webhookQueue.stats(),
+    api_circuits: {
+      asana: asanaApi.circuitState(),
+      intercom: intercomApi.circuitState(),
+    },
+    dead_letters: listDeadLetters().length,
   });
 });
 
 /*
-  Intercom webhook endpoint to receive conversation note events
-  When an admin adds a note to a conversation, sync it to the linked Asana task
+  Create the Asana webhook for a project. The project must be configured, and the handshake
+  Asana sends to the target while the webhook is created is accepted because it's pending.
+  The target defaults to this server's /asana-webhook-prod?project=<project GID>; pass
+  { target } in the body when the server is reached through another URL.
 */
-app.post('/intercom-webhook', async (req, res) => {
-  console.log('\n===== INTERCOM WEBHOOK EVENT =====');
-  console.log('Received webhook event at:', new Date().toISOString());
-  console.log('Request body:', JSON.stringify(req.body, null, 2));
+app.post('/admin/asana-webhooks', adminRoute, async (req, res) => {
+  const projectId = String(req.query.project || '');
+  if (!isKnownAsanaWebhookKey(projectId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'project must be a project GID from projects.js',
+    });
+  }
+  if (getWebhookSecret(projectId) && !ASANA_WEBHOOK_ALLOW_REHANDSHAKE) {
+    return res.status(409).json({
+      success: false,
+      error:
+        'A secret is already stored for this project - set ASANA_WEBHOOK_ALLOW_REHANDSHAKE=true to replace it',
+    });
+  }
 
+  const target =
+    req.body?.target ||
+    `${req.protocol}://${req.get('host')}/asana-webhook-prod?project=${projectId}`;
+  console.log(`Creating Asana webhook for project ${projectId} → ${target}`);
+
+  // The pending marker lives in this instance's DATA_DIR - on Vercel, Asana's handshake can
+  // reach an instance that never saw this call, which refuses it
+  if (IS_SERVERLESS) {
+    console.warn(
+      '⚠ Pending handshakes are not shared between Vercel instances - create the webhook against a long-running deployment if the handshake is refused',
+    );
+  }
+  markHandshakePending(projectId);
   try {
-    const topic = req.body.topic;
-    const data = req.body.data?.item;
+    const webhook = await createAsanaWebhook(projectId, target);
+    console.log(`✓ Created Asana webhook ${webhook.gid}`);
+    res.json({
+      success: true,
+      webhook_gid: webhook.gid,
+      target,
+      ...getWebhookSecretStatus(projectId),
+    });
+  } catch (error) {
+    console.error('✗ Failed to create Asana webhook:', error.message);
+    res.status(502).json({ success: false, error: error.message });
+  } finally {
+    clearPendingHandshake(projectId);
+  }
+});
+
+/*
+  Dead-letter admin endpoints
+  Failed sync operations (comment/status/attachment syncs and exhausted webhook jobs)
+  can be listed, inspected, replayed or discarded here
+*/
+app.get('/admin/dead-letters', adminRoute, (req, res) => {
+  const entries = listDeadLetters();
+  res.json({
+    success: true,
+    count: entries.length,
+    dead_letters: entries.map((entry) => ({
+      id: entry.id,
+      operation: entry.operation,
+      targets: entry.targets,
+      error: entry.error,
+      attempts: entry.attempts,
+      failed_at: entry.failed_at,
+      last_attempt_at: entry.last_attempt_at,
+    })),
+  });
+});
 
-    console.log('Event topic:', topic);
+app.get('/admin/dead-letters/:id', adminRoute, (req, res) => {
+  const entry = getDeadLetter(req.params.id);
+  if (!entry) {
+    return res
+      .status(404)
+      .json({ success: false, error: 'Dead letter not found' });
+  }
+  res.json({ success: true, dead_letter: entry });
+});
 
-    // Handle ticket.note.created event
-    if (topic === 'ticket.note.created') {
-      console.log('  Processing ticket note created event');
+app.post('/admin/dead-letters/replay', adminRoute, async (req, res) => {
+  const entries = listDeadLetters();
+  console.log(`Replaying ${entries.length} dead letter(s)...`);
 
-      const ticket = data?.ticket;
-      const ticketPart = data?.ticket_part;
+  // Replay one at a time so per-ticket ordering is preserved
+  const results = [];
+  for (const entry of entries) {
+    results.push(await replayDeadLetter(entry));
+  }
 
-      if (!ticket || !ticketPart) {
-        console.log('  ⚠ Missing ticket or ticket_part in webhook data');
-        return res.status(200).send();
-      }
+  res.json({
+    success: results.every((result) => result.status === 'replayed'),
+    replayed: results.filter((result) => result.status === 'replayed').length,
+    failed: results.filter((result) => result.status === 'failed').length,
+    results,
+  });
+});
 
-      // Get Asana task ID directly from ticket attributes
-      const asanaTaskId = ticket?.ticket_attributes?.['Asana Task ID'];
+app.post('/admin/dead-letters/:id/replay', adminRoute, async (req, res) => {
+  const entry = getDeadLetter(req.params.id);
+  if (!entry) {
+    return res
+      .status(404)
+      .json({ success: false, error: 'Dead letter not found' });
+  }
 
-      if (!asanaTaskId) {
-        console.log('  ⚠ No Asana task ID found for this ticket');
-        console.log(
-          '  Ticket attributes:',
-          Object.keys(ticket?.ticket_attributes || {}).join(', '),
-        );
-        console.log('  Skipping note sync - ticket not linked to Asana');
-        return res.status(200).send();
-      }
+  const result = await replayDeadLetter(entry);
+  res.json({ success: result.status === 'replayed', ...result });
+});
 
-      console.log('  Ticket ID:', ticket.id);
-      console.log('  Asana Task ID:', asanaTaskId);
+app.delete('/admin/dead-letters', adminRoute, (req, res) => {
+  const removed = clearDeadLetters();
+  console.log(`Discarded ${removed} dead letter(s)`);
+  res.json({ success: true, discarded: removed });
+});
 
-      // Get note details from ticket_part
-      const noteBody = ticketPart.body || '';
-      const noteAuthor = ticketPart.author?.name || 'Admin';
-      const appPackageCode = ticketPart.app_package_code;
+app.delete('/admin/dead-letters/:id', adminRoute, (req, res) => {
+  if (!removeDeadLetter(req.params.id)) {
+    return res
+      .status(404)
+      .json({ success: false, error: 'Dead letter not found' });
+  }
+  console.log(`Discarded dead letter ${req.params.id}`);
+  res.json({ success: true, discarded: 1 });
+});
 
-      // Check if note was created by an integration app (to prevent loop)
-      if (appPackageCode) {
-        console.log(
-          `  ℹ Skipping - note was created by app package: ${appPackageCode} (preventing loop)`,
-        );
-        return res.status(200).send();
-      }
+// Helper function to pick the ordering key for a queued Intercom notification
+// Notifications for the same ticket (or conversation) are processed in order
+function getIntercomJobKey(notification) {
+  const item = notification?.data?.item;
+  if (item?.ticket?.id) return `ticket:${item.ticket.id}`;
+  if (item?.id) return `${item.type || 'item'}:${item.id}`;
+  return `topic:${notification?.topic || 'unknown'}`;
+}
 
-      console.log('  Note author:', noteAuthor);
-      console.log('  Note body:', noteBody);
+/*
+  Process a queued Intercom webhook notification
+  When an admin adds a note to a ticket, sync it to the linked Asana task
+*/
+async function processIntercomNotification(notification) {
+  console.log('\n===== INTERCOM WEBHOOK JOB =====');
 
-      // Strip HTML tags from note body (simple regex - could be improved)
-      const plainTextBody = noteBody
-        .replace(/<[^>]*>/g, '')
-        .replace(/&nbsp;/g, ' ')
-        .trim();
+  const topic = notification.topic;
+  const data = notification.data?.item;
 
-      // Check if this note was created by the integration (to prevent loop)
-      // Use includes() instead of startsWith() because Intercom may rewrite HTML
-      if (
-        plainTextBody.includes('[Asana Comment by') ||
-        plainTextBody.includes('[Asana File Sync]') ||
-        plainTextBody.includes('[File Sync from Intercom to Asana]') ||
-        plainTextBody.includes('[Intercom Note by')
-      ) {
-        console.log(
-          '  ℹ Skipping - note was synced from Asana or file sync (preventing loop)',
-        );
-        return res.status(200).send();
-      }
+  console.log('Event topic:', topic);
 
-      // Post comment text to Asana (only if there's actual text content)
-      if (plainTextBody) {
-        const commentBody = `[Intercom Note by ${noteAuthor}]\n${plainTextBody}`;
+  // Handle ticket.note.created event
+  if (topic === 'ticket.note.created') {
+    console.log('  Processing ticket note created event');
 
-        const asanaResponse = await fetch(
-          `https://app.asana.com/api/1.0/tasks/${asanaTaskId}/stories`,
-          {
-            method: 'POST',
-            headers: {
-              Authorization: `Bearer ${ASANA_TOKEN}`,
-              'Content-Type': 'application/json',
-              Accept: 'application/json',
-            },
-            body: JSON.stringify({
-              data: {
-                text: commentBody,
-              },
-            }),
-          },
-        );
+    const ticket = data?.ticket;
+    const ticketPart = data?.ticket_part;
 
-        if (asanaResponse.ok) {
-          const asanaData = await asanaResponse.json();
-          console.log('  ✓ Note posted to Asana task as comment');
-          console.log('  Asana story ID:', asanaData.data.gid);
-        } else {
-          const errorData = await asanaResponse.json();
-          console.error('  ✗ Failed to post note to Asana:', errorData);
-        }
-      } else {
-        console.log(
-          '  ℹ No text content in note, checking for attachments only',
-        );
-      }
+    if (!ticket || !ticketPart) {
+      console.log('  ⚠ Missing ticket or ticket_part in webhook data');
+      return;
+    }
 
-      // Check for attachments in all possible places
-      const allAttachmentUrls = [];
+    // Acknowledge redelivered notes without syncing them again
+    const noteEventKey = intercomPartKey('ticket_part', ticketPart.id);
+    if (hasProcessedEvent(noteEventKey)) {
+      console.log(
+        `  ℹ Skipping - ticket part ${ticketPart.id} was already processed (duplicate delivery)`,
+      );
+      return;
+    }
 
-      // 1. ticketPart.attachments array
-      const directAttachments = ticketPart.attachments || [];
-      for (const a of directAttachments) {
-        if (a?.url && !allAttachmentUrls.includes(a.url))
-          allAttachmentUrls.push(a.url);
-      }
+    // Get Asana task ID from the link store, falling back to the ticket attributes
+    const storedLink = await linkStore.getByTicket(ticket.id);
+    const asanaTaskId =
+      storedLink?.task_gid || ticket?.ticket_attributes?.['Asana Task ID'];
 
-      // 2. ticketPart.attachment_urls array
-      const directUrls = ticketPart.attachment_urls || [];
-      for (const url of directUrls) {
-        if (url && !allAttachmentUrls.includes(url))
-          allAttachmentUrls.push(url);
+    if (!asanaTaskId) {
+      console.log('  ⚠ No Asana task ID found for this ticket');
+      console.log(
+        '  Ticket attributes:',
+        Object.keys(ticket?.ticket_attributes || {}).join(', '),
+      );
+      console.log('  Skipping note sync - ticket not linked to Asana');
+      return;
+    }
+
+    console.log('  Ticket ID:', ticket.id);
+    console.log('  Asana Task ID:', asanaTaskId);
+
+    // Get note details from ticket_part
+    const noteBody = ticketPart.body || '';
+    const noteAuthor = ticketPart.author?.name || 'Admin';
+    const appPackageCode = ticketPart.app_package_code;
+
+    // Check if note was created by an integration app (to prevent loop)
+    if (appPackageCode) {
+      console.log(
+        `  ℹ Skipping - note was created by app package: ${appPackageCode} (preventing loop)`,
+      );
+      return;
+    }
+
+    console.log('  Note author:', noteAuthor);
+    console.log('  Note body:', noteBody);
+
+    // Strip HTML tags from note body (simple regex - could be improved)
+    const plainTextBody = noteBody
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .trim();
+
+    // Check if this note was created by the integration (to prevent loop)
+    // Use includes() instead of startsWith() because Intercom may rewrite HTML
+    if (
+      plainTextBody.includes('[Asana Comment by') ||
+      plainTextBody.includes('[Asana File Sync]') ||
+      plainTextBody.includes('[File Sync from Intercom to Asana]') ||
+      plainTextBody.includes('[Intercom Note by') ||
+      plainTextBody.includes('[Asana Link Update]')
+    ) {
+      console.log(
+        '  ℹ Skipping - note was synced from Asana or file sync (preventing loop)',
+      );
+      return;
+    }
+
+    const syncTargets = { task_gid: asanaTaskId, ticket_id: ticket.id };
+
+    // Post comment text to Asana (only if there's actual text content)
+    if (plainTextBody) {
+      const commentBody = `[Intercom Note by ${noteAuthor}]\n${plainTextBody}`;
+
+      const story = await runSyncOperation(
+        'asana.story',
+        { task_gid: asanaTaskId, text: commentBody },
+        syncTargets,
+      );
+
+      if (story) {
+        console.log('  ✓ Note posted to Asana task as comment');
+        console.log('  Asana story ID:', story.gid);
       }
 
-      // 3. Extract URLs from HTML body (<img src>, <a href>)
-      if (noteBody) {
-        // Match <img src="..."> tags
-        const imgRegex = /<img[^>]+src=["']([^"']+)["'][^>]*>/gi;
-        let imgMatch;
-        while ((imgMatch = imgRegex.exec(noteBody)) !== null) {
-          const url = imgMatch[1];
-          if (url && isValidUrl(url) && !allAttachmentUrls.includes(url)) {
-            allAttachmentUrls.push(url);
-          }
-        }
+      // A failed post is kept in the dead-letter store, and a retry of this job after a later
+      // step throws must not post the comment twice
+      markEventProcessed(noteEventKey);
+    } else {
+      console.log('  ℹ No text content in note, checking for attachments only');
+    }
 
-        // Match <a href="..."> download links
-        const linkRegex = /<a[^>]+href=["']([^"']+)["'][^>]*>/gi;
-        let linkMatch;
-        while ((linkMatch = linkRegex.exec(noteBody)) !== null) {
-          const url = linkMatch[1];
-          if (url && isValidUrl(url) && !allAttachmentUrls.includes(url)) {
-            allAttachmentUrls.push(url);
-          }
+    // Check for attachments in all possible places
+    const allAttachmentUrls = [];
+
+    // 1. ticketPart.attachments array
+    const directAttachments = ticketPart.attachments || [];
+    for (const a of directAttachments) {
+      if (a?.url && !allAttachmentUrls.includes(a.url))
+        allAttachmentUrls.push(a.url);
+    }
+
+    // 2. ticketPart.attachment_urls array
+    const directUrls = ticketPart.attachment_urls || [];
+    for (const url of directUrls) {
+      if (url && !allAttachmentUrls.includes(url)) allAttachmentUrls.push(url);
+    }
+
+    // 3. Extract URLs from HTML body (<img src>, <a href>)
+    if (noteBody) {
+      // Match <img src="..."> tags
+      const imgRegex = /<img[^>]+src=["']([^"']+)["'][^>]*>/gi;
+      let imgMatch;
+      while ((imgMatch = imgRegex.exec(noteBody)) !== null) {
+        const url = imgMatch[1];
+        if (url && isValidUrl(url) && !allAttachmentUrls.includes(url)) {
+          allAttachmentUrls.push(url);
         }
       }
 
-      console.log('  Direct attachments:', directAttachments.length);
-      console.log('  Direct attachment_urls:', directUrls.length);
-      console.log('  Total attachment URLs found:', allAttachmentUrls.length);
-      if (allAttachmentUrls.length > 0) {
-        console.log('  URLs:', allAttachmentUrls);
+      // Match <a href="..."> download links
+      const linkRegex = /<a[^>]+href=["']([^"']+)["'][^>]*>/gi;
+      let linkMatch;
+      while ((linkMatch = linkRegex.exec(noteBody)) !== null) {
+        const url = linkMatch[1];
+        if (url && isValidUrl(url) && !allAttachmentUrls.includes(url)) {
+          allAttachmentUrls.push(url);
+        }
       }
+    }
 
-      if (allAttachmentUrls.length > 0) {
-        console.log(
-          `  📎 Uploading ${allAttachmentUrls.length} attachment(s) to Asana task...`,
-        );
+    console.log('  Direct attachments:', directAttachments.length);
+    console.log('  Direct attachment_urls:', directUrls.length);
+    console.log('  Total attachment URLs found:', allAttachmentUrls.length);
+    if (allAttachmentUrls.length > 0) {
+      console.log('  URLs:', allAttachmentUrls);
+    }
 
-        for (let i = 0; i < allAttachmentUrls.length; i++) {
-          const attachmentUrl = allAttachmentUrls[i];
+    if (allAttachmentUrls.length > 0) {
+      console.log(
+        `  📎 Uploading ${allAttachmentUrls.length} attachment(s) to Asana task...`,
+      );
 
-          try {
-            console.log(`    Uploading attachment ${i + 1}...`);
-            console.log(`    URL: ${attachmentUrl}`);
-            const permanentUrl = await uploadAttachmentToAsana(
-              asanaTaskId,
-              attachmentUrl,
-            );
+      for (let i = 0; i < allAttachmentUrls.length; i++) {
+        const attachmentUrl = allAttachmentUrls[i];
 
-            if (permanentUrl) {
-              console.log(
-                `    ✓ Successfully uploaded attachment ${i + 1} to Asana`,
-              );
-            } else {
-              console.log(`    ✗ Failed to upload attachment ${i + 1}`);
-            }
-          } catch (error) {
-            console.error(
-              `    ✗ Error uploading attachment ${i + 1}:`,
-              error.message,
+        try {
+          console.log(`    Uploading attachment ${i + 1}...`);
+          console.log(`    URL: ${attachmentUrl}`);
+          const permanentUrl = await runSyncOperation(
+            'asana.attachment',
+            { task_gid: asanaTaskId, url: attachmentUrl },
+            syncTargets,
+          );
+
+          if (permanentUrl) {
+            console.log(
+              `    ✓ Successfully uploaded attachment ${i + 1} to Asana`,
             );
+          } else {
+            console.log(`    ✗ Failed to upload attachment ${i + 1}`);
           }
+        } catch (error) {
+          console.error(
+            `    ✗ Error uploading attachment ${i + 1}:`,
+            error.message,
+          );
         }
-
-        console.log('  ✓ Finished uploading attachments');
       }
+
+      console.log('  ✓ Finished uploading attachments');
     }
-    // Handle conversation.admin.noted event (legacy support)
-    else if (topic === 'conversation.admin.noted') {
-      console.log('  Processing admin note event');
-
-      const conversationId = data?.id;
-      if (!conversationId) {
-        console.log('  ⚠ No conversation ID in webhook data');
-        return res.status(200).send();
-      }
 
-      console.log('  Conversation ID:', conversationId);
+    // Notes with attachments only are recorded once their uploads were attempted
+    if (!plainTextBody) markEventProcessed(noteEventKey);
+  }
+  // Handle conversation.admin.noted event (legacy support)
+  else if (topic === 'conversation.admin.noted') {
+    console.log('  Processing admin note event');
 
-      // Get the full conversation details to access the note
-      const conversation = await getConversation(conversationId);
-      if (!conversation) {
-        console.log('  ⚠ Could not fetch conversation details');
-        return res.status(200).send();
-      }
+    const conversationId = data?.id;
+    if (!conversationId) {
+      console.log('  ⚠ No conversation ID in webhook data');
+      return;
+    }
 
-      // Get ticket ID from conversation
-      const ticketId = conversation?.ticket?.id;
-      if (!ticketId) {
-        console.log('  ⚠ No ticket found for this conversation');
-        return res.status(200).send();
-      }
+    console.log('  Conversation ID:', conversationId);
+
+    // Get the full conversation details to access the note
+    const conversation = await getConversation(conversationId);
+    if (!conversation) {
+      console.log('  ⚠ Could not fetch conversation details');
+      return;
+    }
+
+    // Get ticket ID from conversation
+    const ticketId = conversation?.ticket?.id;
+    if (!ticketId) {
+      console.log('  ⚠ No ticket found for this conversation');
+      return;
+    }
+
+    console.log('  Ticket ID:', ticketId);
 
-      console.log('  Ticket ID:', ticketId);
+    // Find the Asana task ID in the link store, falling back to the ticket attributes
+    let asanaTaskId = (await linkStore.getByConversation(conversationId))
+      ?.task_gid;
 
-      // Get ticket details to find Asana task ID
+    if (!asanaTaskId) {
       const ticket = await getTicket(ticketId);
-      const asanaTaskId = ticket?.ticket_attributes?.['Asana Task ID'];
+      asanaTaskId = ticket?.ticket_attributes?.['Asana Task ID'];
 
       if (!asanaTaskId) {
         console.log('  ⚠ No Asana task ID found for this ticket');
@@ -1532,168 +1803,252 @@ app.post('/intercom-webhook', async (req, res) => {
           Object.keys(ticket?.ticket_attributes || {}).join(', '),
         );
         console.log('  Skipping note sync - ticket not linked to Asana');
-        return res.status(200).send();
+        return;
       }
+    }
 
-      console.log('  Asana Task ID:', asanaTaskId);
+    console.log('  Asana Task ID:', asanaTaskId);
 
-      // Get the latest note from conversation parts
-      const conversationParts =
-        conversation?.conversation_parts?.conversation_parts || [];
+    // Get the latest note from conversation parts
+    const conversationParts =
+      conversation?.conversation_parts?.conversation_parts || [];
 
-      // Find the most recent admin note
-      let latestNote = null;
-      for (let i = conversationParts.length - 1; i >= 0; i--) {
-        const part = conversationParts[i];
-        if (part.part_type === 'note' && part.body) {
-          latestNote = part;
-          break;
-        }
+    // Find the most recent admin note
+    let latestNote = null;
+    for (let i = conversationParts.length - 1; i >= 0; i--) {
+      const part = conversationParts[i];
+      if (part.part_type === 'note' && part.body) {
+        latestNote = part;
+        break;
       }
+    }
 
-      if (!latestNote) {
-        console.log('  ⚠ No note found in conversation parts');
-        return res.status(200).send();
-      }
+    if (!latestNote) {
+      console.log('  ⚠ No note found in conversation parts');
+      return;
+    }
 
-      // Check if note was created by an integration app (to prevent loop)
-      if (latestNote.app_package_code) {
-        console.log(
-          `  ℹ Skipping - note was created by app package: ${latestNote.app_package_code} (preventing loop)`,
-        );
-        return res.status(200).send();
-      }
+    // Acknowledge redelivered notes without syncing them again
+    const noteEventKey = intercomPartKey('conversation_part', latestNote.id);
+    if (hasProcessedEvent(noteEventKey)) {
+      console.log(
+        `  ℹ Skipping - conversation part ${latestNote.id} was already processed (duplicate delivery)`,
+      );
+      return;
+    }
 
-      console.log('  Note author:', latestNote.author?.name || 'Unknown');
-      console.log('  Note body:', latestNote.body);
+    // Check if note was created by an integration app (to prevent loop)
+    if (latestNote.app_package_code) {
+      console.log(
+        `  ℹ Skipping - note was created by app package: ${latestNote.app_package_code} (preventing loop)`,
+      );
+      return;
+    }
 
-      // Strip HTML tags
-      const plainTextBody = latestNote.body
-        .replace(/<[^>]*>/g, '')
-        .replace(/&nbsp;/g, ' ')
-        .trim();
+    console.log('  Note author:', latestNote.author?.name || 'Unknown');
+    console.log('  Note body:', latestNote.body);
+
+    // Strip HTML tags
+    const plainTextBody = latestNote.body
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .trim();
+
+    // Check if this note was created by the integration (to prevent loop)
+    // Use includes() instead of startsWith() because Intercom may rewrite HTML
+    if (
+      plainTextBody.includes('[Asana Comment by') ||
+      plainTextBody.includes('[Asana File Sync]') ||
+      plainTextBody.includes('[File Sync from Intercom to Asana]') ||
+      plainTextBody.includes('[Intercom Note by') ||
+      plainTextBody.includes('[Asana Link Update]')
+    ) {
+      console.log(
+        '  ℹ Skipping - note was synced from Asana or file sync (preventing loop)',
+      );
+      return;
+    }
 
-      // Check if this note was created by the integration (to prevent loop)
-      // Use includes() instead of startsWith() because Intercom may rewrite HTML
-      if (
-        plainTextBody.includes('[Asana Comment by') ||
-        plainTextBody.includes('[Asana File Sync]') ||
-        plainTextBody.includes('[File Sync from Intercom to Asana]') ||
-        plainTextBody.includes('[Intercom Note by')
-      ) {
-        console.log(
-          '  ℹ Skipping - note was synced from Asana or file sync (preventing loop)',
-        );
-        return res.status(200).send();
-      }
+    // Format note for Asana comment
+    const commentBody = `[Intercom Note by ${
+      latestNote.author?.name || 'Admin'
+    }]\n${plainTextBody}`;
 
-      // Format note for Asana comment
-      const commentBody = `[Intercom Note by ${
-        latestNote.author?.name || 'Admin'
-      }]\n${plainTextBody}`;
+    const syncTargets = {
+      task_gid: asanaTaskId,
+      ticket_id: ticketId,
+      conversation_id: conversationId,
+    };
 
-      // Post comment to Asana task
-      const asanaResponse = await fetch(
-        `https://app.asana.com/api/1.0/tasks/${asanaTaskId}/stories`,
-        {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${ASANA_TOKEN}`,
-            'Content-Type': 'application/json',
-            Accept: 'application/json',
-          },
-          body: JSON.stringify({
-            data: {
-              text: commentBody,
-            },
-          }),
-        },
-      );
+    // Post comment to Asana task
+    const story = await runSyncOperation(
+      'asana.story',
+      { task_gid: asanaTaskId, text: commentBody },
+      syncTargets,
+    );
 
-      if (asanaResponse.ok) {
-        const asanaData = await asanaResponse.json();
-        console.log('  ✓ Note posted to Asana task as comment');
-        console.log('  Asana story ID:', asanaData.data.gid);
-      } else {
-        const errorData = await asanaResponse.json();
-        console.error('  ✗ Failed to post note to Asana:', errorData);
-      }
+    if (story) {
+      console.log('  ✓ Note posted to Asana task as comment');
+      console.log('  Asana story ID:', story.gid);
+    }
 
-      // Check for attachments in multiple places
-      const legacyDirectAttachments = latestNote.attachments || [];
-      const legacyAttachmentUrlsFromBody = [];
-
-      // Extract image/file URLs from HTML body
-      if (latestNote.body) {
-        const imgRegex = /<img[^>]+src=["']([^"']+)["'][^>]*>/gi;
-        let imgMatch;
-        while ((imgMatch = imgRegex.exec(latestNote.body)) !== null) {
-          const url = imgMatch[1];
-          if (url && isValidUrl(url)) {
-            legacyAttachmentUrlsFromBody.push(url);
-          }
+    // Recorded before the attachments, like the ticket note above
+    markEventProcessed(noteEventKey);
+
+    // Check for attachments in multiple places
+    const legacyDirectAttachments = latestNote.attachments || [];
+    const legacyAttachmentUrlsFromBody = [];
+
+    // Extract image/file URLs from HTML body
+    if (latestNote.body) {
+      const imgRegex = /<img[^>]+src=["']([^"']+)["'][^>]*>/gi;
+      let imgMatch;
+      while ((imgMatch = imgRegex.exec(latestNote.body)) !== null) {
+        const url = imgMatch[1];
+        if (url && isValidUrl(url)) {
+          legacyAttachmentUrlsFromBody.push(url);
         }
+      }
 
-        const linkRegex =
-          /<a[^>]+href=["']([^"']*intercom-attachments[^"']*)["'][^>]*>/gi;
-        let linkMatch;
-        while ((linkMatch = linkRegex.exec(latestNote.body)) !== null) {
-          const url = linkMatch[1];
-          if (
-            url &&
-            isValidUrl(url) &&
-            !legacyAttachmentUrlsFromBody.includes(url)
-          ) {
-            legacyAttachmentUrlsFromBody.push(url);
-          }
+      const linkRegex =
+        /<a[^>]+href=["']([^"']*intercom-attachments[^"']*)["'][^>]*>/gi;
+      let linkMatch;
+      while ((linkMatch = linkRegex.exec(latestNote.body)) !== null) {
+        const url = linkMatch[1];
+        if (
+          url &&
+          isValidUrl(url) &&
+          !legacyAttachmentUrlsFromBody.includes(url)
+        ) {
+          legacyAttachmentUrlsFromBody.push(url);
         }
       }
+    }
 
-      const legacyAllAttachmentUrls = [
-        ...legacyDirectAttachments.map((a) => a.url).filter(Boolean),
-        ...legacyAttachmentUrlsFromBody,
-      ];
+    const legacyAllAttachmentUrls = [
+      ...legacyDirectAttachments.map((a) => a.url).filter(Boolean),
+      ...legacyAttachmentUrlsFromBody,
+    ];
 
-      if (legacyAllAttachmentUrls.length > 0) {
-        console.log(
-          `  📎 Uploading ${legacyAllAttachmentUrls.length} attachment(s) to Asana task...`,
-        );
+    if (legacyAllAttachmentUrls.length > 0) {
+      console.log(
+        `  📎 Uploading ${legacyAllAttachmentUrls.length} attachment(s) to Asana task...`,
+      );
 
-        for (let i = 0; i < legacyAllAttachmentUrls.length; i++) {
-          const attachmentUrl = legacyAllAttachmentUrls[i];
+      for (let i = 0; i < legacyAllAttachmentUrls.length; i++) {
+        const attachmentUrl = legacyAllAttachmentUrls[i];
 
-          try {
-            console.log(`    Uploading attachment ${i + 1}...`);
-            const permanentUrl = await uploadAttachmentToAsana(
-              asanaTaskId,
-              attachmentUrl,
-            );
+        try {
+          console.log(`    Uploading attachment ${i + 1}...`);
+          const permanentUrl = await runSyncOperation(
+            'asana.attachment',
+            { task_gid: asanaTaskId, url: attachmentUrl },
+            syncTargets,
+          );
 
-            if (permanentUrl) {
-              console.log(
-                `    ✓ Successfully uploaded attachment ${i + 1} to Asana`,
-              );
-            } else {
-              console.log(`    ✗ Failed to upload attachment ${i + 1}`);
-            }
-          } catch (error) {
-            console.error(
-              `    ✗ Error uploading attachment ${i + 1}:`,
-              error.message,
+          if (permanentUrl) {
+            console.log(
+              `    ✓ Successfully uploaded attachment ${i + 1} to Asana`,
             );
+          } else {
+            console.log(`    ✗ Failed to upload attachment ${i + 1}`);
           }
+        } catch (error) {
+          console.error(
+            `    ✗ Error uploading attachment ${i + 1}:`,
+            error.message,
+          );
         }
-
-        console.log('  ✓ Finished uploading attachments');
       }
-    } else {
-      console.log('  ℹ Ignoring event topic:', topic);
+
+      console.log('  ✓ Finished uploading attachments');
+    }
+  }
+
+  // Tickets entering a whitelisted status get an Asana task automatically
+  else if (topic === 'ticket.created' || topic === 'ticket.state.updated') {
+    console.log(`  Processing ${topic} event`);
+    await autoCreateTaskForTicket(data);
+
+    // Linked tasks follow the ticket's new state
+    if (topic === 'ticket.state.updated') {
+      await syncTicketStateToLinkedTask(data?.id);
+    }
+  }
+
+  // Closing or reopening the ticket's conversation updates the task too
+  else if (
+    topic === 'conversation.admin.closed' ||
+    topic === 'conversation.admin.opened'
+  ) {
+    console.log(`  Processing ${topic} event`);
+    const conversationId = data?.id;
+    const ticketId =
+      (await linkStore.getByConversation(conversationId))?.ticket_id ||
+      (conversationId
+        ? (await getConversation(conversationId))?.ticket?.id
+        : null);
+    await syncTicketStateToLinkedTask(ticketId);
+  }
+
+  // Attribute edits on a linked ticket are copied to its Asana task
+  else if (topic === 'ticket.attribute.updated') {
+    console.log('  Processing ticket attribute updated event');
+    await syncTicketChangesToLinkedTask(data);
+  } else {
+    console.log('  ℹ Ignoring event topic:', topic);
+  }
+
+  console.log('==================================\n');
+}
+
+/*
+  Intercom webhook endpoint to receive conversation note events
+  Verifies the signature, queues the notification and responds right away
+*/
+app.post('/intercom-webhook', async (req, res) => {
+  // Verify the notification was signed with our app's client secret
+  if (INTERCOM_WEBHOOK_VERIFY_DISABLED) {
+    console.warn(
+      '⚠ Intercom webhook signature verification is disabled (INTERCOM_WEBHOOK_VERIFY=false)',
+    );
+  } else {
+    const verification = verifyIntercomSignature(
+      req.rawBody,
+      req.headers['x-hub-signature'],
+      INTERCOM_CLIENT_SECRET,
+    );
+
+    if (!verification.valid) {
+      const rejectionCount = recordWebhookRejection(
+        'intercom_webhook',
+        verification.reason,
+      );
+      console.error('===== INTERCOM WEBHOOK REJECTED =====');
+      console.error('✗ Signature verification failed:', verification.reason);
+      console.error('  Topic:', req.body?.topic);
+      console.error('  Remote address:', req.ip);
+      console.error('  Total rejections since start:', rejectionCount);
+      console.error('=====================================\n');
+      return res.status(401).send();
     }
+  }
 
+  console.log('\n===== INTERCOM WEBHOOK EVENT =====');
+  console.log('Received webhook event at:', new Date().toISOString());
+  console.log('Request body:', JSON.stringify(req.body, null, 2));
+
+  // Acknowledge immediately and process the notification in the background (inline on Vercel)
+  try {
+    await webhookQueue.enqueue(
+      'intercom.notification',
+      getIntercomJobKey(req.body),
+      req.body,
+    );
     console.log('==================================\n');
     res.status(200).send();
   } catch (error) {
-    console.error('Error processing Intercom webhook:', error);
+    console.error('Error queueing Intercom webhook:', error);
     res.status(500).send();
   }
 });
@@ -1702,11 +2057,12 @@ app.post('/intercom-webhook', async (req, res) => {
   This is an endpoint that Intercom will POST HTTP request when a teammate inserts 
   the app into the inbox, or a new conversation is viewed.
 */
-app.post('/initialize', async (req, res) => {
+canvasRoute('/initialize', async (req, res) => {
   console.log('Initialize endpoint hit');
   console.log('Initialize request body:', JSON.stringify(req.body, null, 2));
 
   const conversationId = req.body.conversation?.id;
+  let ticket = null;
 
   // Check if this conversation already has an Asana task
   if (conversationId) {
@@ -1714,51 +2070,156 @@ app.post('/initialize', async (req, res) => {
     const ticketId = conversation?.ticket?.id;
 
     if (ticketId) {
-      const ticket = await getTicket(ticketId);
-      const asanaTaskId = ticket?.ticket_attributes?.['Asana Task ID'];
+      ticket = await getTicket(ticketId);
+      const asanaTaskId = await findTaskIdForTicket(ticket);
 
       if (asanaTaskId) {
-        // Ticket already has an Asana task
+        // Ticket already has an Asana task - show its live status
         console.log('Existing Asana task found:', asanaTaskId);
-        const components = [
-          {
-            type: 'text',
-            id: 'success',
-            text: '✓ Asana Task Already Created',
-            align: 'center',
-            style: 'header',
-          },
-          {
-            type: 'text',
-            id: 'task_id',
-            text: `Task ID: ${asanaTaskId}`,
-            align: 'center',
-            style: 'paragraph',
-          },
-        ];
-
-        const completedCanvas = {
-          canvas: {
-            content: {
-              components: components,
-            },
-          },
-        };
-        return res.send(completedCanvas);
+        return res.send(await renderTaskStatusCanvas(asanaTaskId));
       }
     }
   }
 
-  // No existing task, show create button
-  res.send(initialCanvas);
+  // No existing task, show create button with the routed project preselected
+  const match = ticket ? matchProjectForTicket(ticket) : null;
+  console.log(
+    match
+      ? `Routing rules matched project ${match.project.name} (${describeRule(match.rule)})`
+      : hasRoutingRules()
+        ? 'No routing rule matched - teammate will choose the project'
+        : 'No routing rules in projects.js - teammate will choose the project',
+  );
+  res.send(buildInitialCanvas({ match }));
 });
 
+// Helper function to create a task when a ticket without one enters a whitelisted status
+async function autoCreateTaskForTicket(item) {
+  const ticketId = item?.id;
+  if (!ticketId) {
+    console.log('  ⚠ Missing ticket in webhook data');
+    return;
+  }
+
+  if (!AUTO_CREATE_TASKS) {
+    console.log(
+      '  ℹ Automatic task creation is disabled (set AUTO_CREATE_TASKS=true to enable)',
+    );
+    return;
+  }
+
+  if (!hasRoutingRules()) {
+    console.log(
+      '  ℹ No project in projects.js declares routing rules - leaving task creation to a teammate',
+    );
+    return;
+  }
+
+  // Re-fetch the ticket - its state or attributes may have changed since the event was sent
+  const ticket = await getTicket(ticketId);
+  if (!ticket) {
+    throw new Error(`Failed to fetch ticket ${ticketId}`);
+  }
+
+  // statusMappings.js first, then the state's internal label
+  const ticketStatus = getTicketAsanaStatus(ticket, {
+    projectId: matchProjectForTicket(ticket)?.project.id,
+  });
+  if (!whitelistStatus.includes(ticketStatus)) {
+    console.log(
+      `  ℹ Ticket status "${ticketStatus}" is not whitelisted, not creating a task`,
+    );
+    return;
+  }
+
+  if (ticket.ticket_attributes?.['Asana Task ID']) {
+    console.log(
+      '  ℹ Ticket already has an Asana task:',
+      ticket.ticket_attributes['Asana Task ID'],
+    );
+    return;
+  }
+
+  const unlinked = await linkStore.getUnlinked(ticketId);
+  if (unlinked) {
+    console.log(
+      `  ℹ Task ${unlinked.task_gid} was unlinked from this ticket on ${unlinked.unlinked_at} - not creating a new one`,
+    );
+    return;
+  }
+
+  console.log(
+    `  → Status "${ticketStatus}" is whitelisted, creating task from the routing rules`,
+  );
+
+  // No project given - the task service picks one from the routing rules
+  const result = await createTaskForTicket(ticketId);
+
+  if (result.status === 'created') {
+    console.log(
+      `  ✓ Created Asana task ${result.taskId} for ticket ${ticketId}`,
+    );
+  } else if (result.status === 'unrouted') {
+    console.log(
+      '  ℹ No routing rule matched this ticket - leaving task creation to a teammate',
+    );
+  } else if (result.status === 'missing_fields') {
+    console.log(
+      `  ℹ Required fields are missing (${result.missingFields.join(', ')}) - leaving task creation to a teammate`,
+    );
+  } else {
+    console.log(`  ℹ Ticket is already linked to task ${result.taskId}`);
+  }
+}
+
+// Helper function to copy a ticket's state (and closed/open flag) to its linked task
+async function syncTicketStateToLinkedTask(ticketId) {
+  if (!ticketId) {
+    console.log('  ⚠ No ticket found for this event');
+    return;
+  }
+
+  const result = await syncTicketStateToTask(ticketId);
+
+  if (result.status === 'not_linked') {
+    console.log('  ℹ Ticket has no Asana task, nothing to update');
+  } else if (result.status === 'synced') {
+    console.log(
+      `  ✓ Task ${result.taskId} now shows "${result.ticketStatus}"${result.completed ? ' (completed)' : ''}`,
+    );
+  } else if (result.status === 'failed') {
+    console.log(
+      '  ℹ Could not update the task - captured in dead-letter store for replay',
+    );
+  }
+}
+
+// Helper function to copy a ticket's changed attributes and new files to its linked task
+async function syncTicketChangesToLinkedTask(item) {
+  const ticketId = item?.id;
+  if (!ticketId) {
+    console.log('  ⚠ Missing ticket in webhook data');
+    return;
+  }
+
+  // The task service re-fetches the ticket, so edits made since the event are included
+  const result = await syncTicketChangesToTask(ticketId);
+
+  if (result.status === 'not_linked') {
+    console.log('  ℹ Ticket has no Asana task yet, nothing to update');
+  } else if (result.status === 'synced') {
+    console.log(
+      `  ✓ Synced ${result.changes.length} field(s) and ${result.attachments.length} new file(s) to task ${result.taskId}`,
+    );
+  }
+}
+
 /*
   When a submit action is taken in a canvas component, it will hit this endpoint.
   This endpoint creates an Asana task with the contact's name and prevents
   duplicate submissions per conversation.
 */
-app.post('/submit', async (req, res) => {
+canvasRoute('/submit', async (req, res) => {
   console.log('\n===== SUBMIT ENDPOINT CALLED =====');
   console.log('Component ID:', req.body.component_id);
   console.log('Full request body:', JSON.stringify(req.body, null, 2));
@@ -1766,17 +2227,22 @@ app.post('/submit', async (req, res) => {
   const conversationId = req.body.conversation?.id;
   const ticketId = req.body.conversation?.ticket?.id;
 
-  // Get selected project ID from dropdown (or fallback to env variable)
+  // Get selected project ID from dropdown - preselected by the routing rules when one matched
+  // The preview canvas carries the chosen project in its stored_data
   const selectedProjectId =
-    req.body.input_values?.project_dropdown || ASANA_PROJECT;
+    req.body.input_values?.project_dropdown ||
+    req.body.current_canvas?.stored_data?.project_id;
 
   console.log('Extracted conversation ID:', conversationId);
   console.log('Extracted ticket ID:', ticketId);
   console.log('Selected project ID:', selectedProjectId);
   console.log('==================================\n');
 
-  // Check if this conversation already has an Asana task (only for submit_button)
-  if (req.body.component_id === 'submit_button') {
+  // submit_button shows the preview, confirm_create_button creates the task
+  if (
+    req.body.component_id === 'submit_button' ||
+    req.body.component_id === 'confirm_create_button'
+  ) {
     try {
       // Get ticket ID from request body
       console.log('=== SUBMIT ROUTE DEBUG ===');
@@ -1788,1199 +2254,1173 @@ app.post('/submit', async (req, res) => {
         throw new Error('No ticket found for this conversation');
       }
 
-      // Fetch all required data in parallel for optimal performance
-      console.log('📡 Fetching all required data in parallel...');
-
-      const contactId = req.body.contact?.id || req.body.customer?.id;
-      const contactNameFromBody =
-        req.body.contact?.name || req.body.customer?.name;
-
-      console.log('Contact ID:', contactId);
-      console.log('Contact Name from body:', contactNameFromBody);
-
-      const [ticket, asanaCustomFieldSettings, contactNameFromApi] =
-        await Promise.all([
-          getTicket(ticketId),
-          getAsanaCustomFields(selectedProjectId), // Pass selected project ID
-          // Only fetch contact name if not in request body and we have a contact ID
-          !contactNameFromBody && contactId
-            ? getContactName(contactId)
-            : Promise.resolve(null),
-        ]);
+      // Nothing matched and the teammate didn't choose - ask again instead of guessing
+      if (!selectedProjectId) {
+        console.log('No project selected, asking teammate to choose');
+        return res.send(
+          buildInitialCanvas({ notice: 'Please select a project first' }),
+        );
+      }
 
-      console.log('✓ Promise.all completed');
-      console.log(
-        'Ticket result:',
-        ticket ? 'Fetched successfully' : '❌ NULL/UNDEFINED',
-      );
-      console.log(
-        'Asana fields result:',
-        asanaCustomFieldSettings
-          ? `${asanaCustomFieldSettings.length} fields`
-          : '❌ NULL/UNDEFINED',
-      );
-      console.log('Contact name result:', contactNameFromApi || 'Not fetched');
-
-      // Ensure custom fields are initialized (pass already-fetched settings to avoid refetch)
-      // if (!customFieldsCache) {
-      console.log('Custom fields not initialized, initializing now...');
-      await initializeCustomFieldMappings(asanaCustomFieldSettings);
-      // }
-
-      // Determine contact name
-      const contactName =
-        contactNameFromBody || contactNameFromApi || 'Unknown Contact';
-
-      // Validate ticket was fetched successfully
-      if (!ticket) {
-        console.error('❌ TICKET FETCH FAILED');
-        console.error('Ticket ID used:', ticketId);
-        console.error('Ticket result:', ticket);
-        throw new Error('Failed to fetch ticket details');
+      // A bad due date sends the teammate back to the review step
+      const placement = readTaskPlacement(req.body.input_values);
+      let notice = null;
+      if (placement.dueOn && !isValidDueDate(placement.dueOn)) {
+        notice = `"${placement.dueOn}" is not a valid due date - use YYYY-MM-DD`;
+        placement.dueOn = null;
       }
 
-      console.log('✓ Ticket validation passed');
-      console.log('Ticket ID:', ticket.id || 'N/A');
-      console.log('Ticket has attributes:', !!ticket.ticket_attributes);
-      console.log('Ticket has state:', !!ticket.ticket_state);
+      const result = await createTaskForTicket(ticketId, {
+        conversationId,
+        projectId: selectedProjectId,
+        contact: {
+          id: req.body.contact?.id || req.body.customer?.id,
+          name: req.body.contact?.name || req.body.customer?.name,
+          email: req.body.contact?.email || req.body.customer?.email,
+        },
+        ...placement,
+        dryRun: req.body.component_id === 'submit_button' || !!notice,
+      });
 
-      // Check if Asana task already exists for this ticket
-      const existingTaskId = ticket.ticket_attributes?.['Asana Task ID'];
-      if (existingTaskId) {
-        // Task already exists, return early
-        const components = [
-          {
-            type: 'text',
-            id: 'already_submitted',
-            text: '✓ Task Already Exists',
-            align: 'center',
-            style: 'header',
-          },
-          {
-            type: 'text',
-            id: 'task_id',
-            text: `Task ID: ${existingTaskId}`,
-            align: 'center',
-            style: 'paragraph',
-          },
-        ];
+      if (result.status === 'exists') {
+        // Task already exists - show its status card instead
+        return res.send(await renderTaskStatusCanvas(result.taskId));
+      }
 
-        const alreadySubmittedCanvas = {
-          canvas: {
-            content: {
-              components: components,
-            },
-          },
-        };
-        return res.send(alreadySubmittedCanvas);
+      // Preview - also shown again when required fields went missing before confirming
+      if (result.status === 'dry_run' || result.status === 'missing_fields') {
+        return res.send(await renderTaskPreviewCanvas(result, notice));
       }
 
-      const ticketAttrs = ticket?.ticket_attributes || {};
+      const {
+        taskId: asanaTaskId,
+        taskName,
+        attachments: attachmentResults,
+      } = result;
 
-      // Get the actual Intercom ticket state (not from custom attributes)
-      // Intercom ticket has ticket_state object with name, category, internal_label, etc.
-      const ticketStatus =
-        ticket?.ticket_state?.name ||
-        ticket?.ticket_state?.internal_label ||
-        ticket?.state ||
-        'Submitted';
+      const components = [
+        {
+          type: 'text',
+          id: 'success',
+          text: '✅ Asana Task Created',
+          align: 'center',
+          style: 'header',
+        },
+        {
+          type: 'text',
+          id: 'task_name',
+          text: `📋 ${taskName}`,
+          align: 'center',
+          style: 'paragraph',
+        },
+        {
+          type: 'text',
+          id: 'task_id',
+          text: `Task ID: ${asanaTaskId}`,
+          align: 'center',
+          style: 'muted',
+        },
+      ];
 
-      console.log('Ticket Status from Intercom ticket_state:', ticketStatus);
-      console.log('\n===== DYNAMIC FIELD SYNC FROM INTERCOM TO ASANA =====');
+      // Add attachment status if attachments were processed
+      if (attachmentResults.length > 0) {
+        const successCount = attachmentResults.filter(
+          (r) => r.status === 'success',
+        ).length;
+        const totalCount = attachmentResults.length;
+        let statusText = '';
+        let statusIcon = '';
+
+        // Only show message if there were actual attempts
+        if (totalCount > 0) {
+          if (successCount === totalCount) {
+            statusIcon = '📎';
+            statusText = `${successCount} attachment(s) uploaded`;
+          } else if (successCount > 0) {
+            statusIcon = '⚠️';
+            statusText = `${successCount}/${totalCount} attachment(s) uploaded`;
+          } else {
+            // Only show failure message if we actually tried to upload
+            const attemptedCount = attachmentResults.filter(
+              (r) => r.status !== 'invalid_url',
+            ).length;
+            if (attemptedCount > 0) {
+              statusIcon = '❌';
+              statusText = `Failed to upload ${totalCount} attachment(s)`;
+            } else {
+              statusIcon = '⚠️';
+              statusText = `${totalCount} attachment(s) skipped`;
+            }
+          }
 
-      if (!asanaCustomFieldSettings || asanaCustomFieldSettings.length === 0) {
-        console.warn('⚠ No custom fields found in Asana project');
+          components.push({
+            type: 'text',
+            id: 'attachment_status',
+            text: `${statusIcon} ${statusText}`,
+            align: 'center',
+            style: 'muted',
+          });
+        }
       }
 
-      // Handle file upload fields for attachments
-      let attachmentUrls = [];
-
-      console.log('\n===== FILE UPLOAD PROCESSING FROM TICKET =====');
-
-      // Build basic task notes
-      const taskNotes = `Task created from Intercom conversation ${conversationId}
+      const syncedFieldCount = result.fields.synced.length;
+      const syncedFieldsText =
+        syncedFieldCount > 0
+          ? `✓ Synced ${syncedFieldCount} custom fields`
+          : '⚠️ No custom fields synced';
+
+      components.push({
+        type: 'text',
+        id: 'synced_fields',
+        text: syncedFieldsText,
+        align: 'center',
+        style: 'muted',
+      });
 
-Contact Information:
-- Name: ${contactName}
-- Email: ${req.body.contact?.email || req.body.customer?.email || 'N/A'}`;
+      const successCanvas = {
+        canvas: {
+          content: {
+            components: components,
+          },
+        },
+      };
+      res.send(successCanvas);
+    } catch (error) {
+      console.error('Error creating Asana task:', error);
+      res.send(buildErrorCanvas('Error Creating Task', error.message));
+    }
+  } else if (req.body.component_id === 'link_task_button') {
+    res.send(buildLinkTaskCanvas());
+  } else if (req.body.component_id === 'confirm_link_button') {
+    const taskReference = req.body.input_values?.task_reference || '';
+    try {
+      if (!ticketId) {
+        throw new Error('No ticket found for this conversation');
+      }
 
-      // Build custom fields object for Asana dynamically
-      const customFields = {};
+      const result = await linkTaskToTicket(ticketId, taskReference, {
+        conversationId,
+      });
 
-      // Process each Asana custom field
-      if (asanaCustomFieldSettings && asanaCustomFieldSettings.length > 0) {
-        console.log(
-          `Processing ${asanaCustomFieldSettings.length} custom fields from Asana...`,
+      if (result.status === 'rejected') {
+        return res.send(
+          buildLinkTaskCanvas({ notice: result.error, value: taskReference }),
         );
-        console.log(
-          'Available Intercom ticket attributes:',
-          Object.keys(ticketAttrs).join(', '),
-        );
-
-        for (const setting of asanaCustomFieldSettings) {
-          const fieldName = setting.custom_field.name;
-          const fieldGid = setting.custom_field.gid;
-          const fieldType = setting.custom_field.resource_subtype;
-
-          // Skip Ticket Status field - it's reserved for Intercom ticket status management
-          if (fieldName === 'Ticket Status') {
-            console.log(
-              `  ⊘ Skipping "${fieldName}" - reserved for ticket status management`,
-            );
-            continue;
-          }
+      }
 
-          // Skip Intercom Conversation ID - it's system field
-          if (fieldName === 'Intercom Conversation ID') {
-            console.log(
-              `  ⊘ Skipping "${fieldName}" - system field (will be added separately)`,
-            );
-            continue;
-          }
+      res.send(await renderTaskStatusCanvas(result.taskId));
+    } catch (error) {
+      console.error('Error linking Asana task:', error);
+      res.send(buildErrorCanvas('Error Linking Task', error.message));
+    }
+  } else if (
+    req.body.component_id === 'cancel_link_button' ||
+    req.body.component_id === 'back_button'
+  ) {
+    const ticket = ticketId ? await getTicket(ticketId) : null;
+    res.send(
+      buildInitialCanvas({
+        match: ticket ? matchProjectForTicket(ticket) : null,
+      }),
+    );
+  } else if (
+    req.body.component_id === 'unlink_task_button' ||
+    req.body.component_id === 'move_task_button'
+  ) {
+    try {
+      const ticket = ticketId ? await getTicket(ticketId) : null;
+      const asanaTaskId = await findTaskIdForTicket(ticket);
+      if (!asanaTaskId) {
+        return res.send(
+          buildInitialCanvas({
+            match: ticket ? matchProjectForTicket(ticket) : null,
+          }),
+        );
+      }
 
-          // Check if this field exists in Intercom ticket attributes
-          const intercomValue = ticketAttrs[fieldName];
+      res.send(
+        req.body.component_id === 'unlink_task_button'
+          ? buildUnlinkConfirmCanvas(asanaTaskId)
+          : buildMoveTaskCanvas(asanaTaskId),
+      );
+    } catch (error) {
+      console.error('Error loading Asana task:', error);
+      res.send(buildErrorCanvas('Error Loading Task', error.message));
+    }
+  } else if (req.body.component_id === 'confirm_unlink_button') {
+    try {
+      if (!ticketId) {
+        throw new Error('No ticket found for this conversation');
+      }
 
-          // Skip empty arrays (file fields with no files)
-          if (Array.isArray(intercomValue) && intercomValue.length === 0) {
-            console.log(`  ○ "${fieldName}" is empty array, skipping`);
-            continue;
-          }
+      const result = await unlinkTaskFromTicket(ticketId, {
+        actor: getActingTeammateName(req.body),
+      });
+      console.log(`Unlink result: ${result.status}`);
 
-          if (
-            intercomValue !== undefined &&
-            intercomValue !== null &&
-            intercomValue !== ''
-          ) {
-            console.log(
-              `  ✓ Found "${fieldName}" in Intercom with value:`,
-              typeof intercomValue === 'object'
-                ? JSON.stringify(intercomValue).substring(0, 100) + '...'
-                : intercomValue,
-            );
+      const ticket = await getTicket(ticketId);
+      res.send(
+        buildInitialCanvas({
+          match: ticket ? matchProjectForTicket(ticket) : null,
+        }),
+      );
+    } catch (error) {
+      console.error('Error unlinking Asana task:', error);
+      res.send(buildErrorCanvas('Error Unlinking Task', error.message));
+    }
+  } else if (req.body.component_id === 'confirm_move_button') {
+    try {
+      if (!ticketId) {
+        throw new Error('No ticket found for this conversation');
+      }
 
-            // First, check if Intercom value is a file/attachment (priority check)
-            if (
-              Array.isArray(intercomValue) &&
-              intercomValue.length > 0 &&
-              intercomValue[0]?.url
-            ) {
-              // This is a file upload field (array of files)
-              console.log(
-                `    → Detected file upload field with ${intercomValue.length} file(s)`,
-              );
-              const fileUrls = extractAttachmentUrls(intercomValue, fieldName);
-              console.log(
-                `    → Extracted ${fileUrls.length} URL(s):`,
-                fileUrls,
-              );
-              attachmentUrls.push(...fileUrls);
-            } else if (typeof intercomValue === 'object' && intercomValue.url) {
-              // Single file object
-              console.log(`    → Detected single file upload`);
-              const fileUrls = extractAttachmentUrls(intercomValue, fieldName);
-              console.log(
-                `    → Extracted ${fileUrls.length} URL(s):`,
-                fileUrls,
-              );
-              attachmentUrls.push(...fileUrls);
-            }
-            // If Asana field is enum, we must look up the option ID
-            else if (fieldType === 'enum') {
-              const enumOptionId = await getAsanaEnumOptionId(
-                fieldGid,
-                String(intercomValue),
-              );
-              if (enumOptionId) {
-                customFields[fieldGid] = enumOptionId;
-                console.log(
-                  `    → Syncing as enum: ${intercomValue} (ID: ${enumOptionId})`,
-                );
-              } else {
-                console.log(
-                  `    ⚠ Could not find enum option "${intercomValue}" in Asana field, skipping`,
-                );
-              }
-            }
-            // If Asana field is date type, format as YYYY-MM-DD
-            else if (fieldType === 'date') {
-              const formattedDateField =
-                formatDateForAsanaDateField(intercomValue);
-              if (formattedDateField) {
-                customFields[fieldGid] = formattedDateField;
-                console.log(
-                  `    → Syncing as date field: ${formattedDateField}`,
-                );
-              } else {
-                console.log(
-                  `    ⚠ Could not format date "${intercomValue}", skipping`,
-                );
-              }
-            }
-            // For all other cases (text, number, etc.), handle based on field name pattern or as text
-            else {
-              // Check if it's a date/time field by name pattern (for text fields in Asana)
-              if (
-                (fieldName.toLowerCase().includes('date') ||
-                  fieldName.toLowerCase().includes('time')) &&
-                typeof intercomValue !== 'object'
-              ) {
-                const formattedDate = formatDateForAsana(
-                  intercomValue,
-                  ticketAttrs['Timezone'],
-                );
-                if (formattedDate) {
-                  customFields[fieldGid] = formattedDate;
-                  console.log(
-                    `    → Syncing as formatted date text: ${formattedDate}`,
-                  );
-                } else {
-                  // Fallback to string value
-                  customFields[fieldGid] = String(intercomValue);
-                  console.log(
-                    `    → Syncing as text: ${String(intercomValue)}`,
-                  );
-                }
-              } else {
-                // Default: sync as text/string (works for text and number fields in Asana)
-                customFields[fieldGid] = String(intercomValue);
-                console.log(`    → Syncing as text: ${String(intercomValue)}`);
-              }
-            }
-          } else {
-            console.log(
-              `  ○ "${fieldName}" not found or empty in Intercom ticket attributes`,
-            );
-          }
-        }
+      const moveProjectId = req.body.input_values?.move_project_dropdown;
+      if (!moveProjectId) {
+        const ticket = await getTicket(ticketId);
+        return res.send(buildMoveTaskCanvas(await findTaskIdForTicket(ticket)));
       }
 
-      if (attachmentUrls.length > 0) {
-        console.log(
-          `\nFinal attachment URLs to upload (${attachmentUrls.length}):`,
-          attachmentUrls,
-        );
-      } else {
-        console.log('\nNo file uploads to process for this task');
+      const result = await moveTaskToProject(ticketId, moveProjectId, {
+        actor: getActingTeammateName(req.body),
+      });
+      if (result.status === 'not_linked') {
+        return res.send(buildInitialCanvas());
       }
-      console.log('==================================================\n');
 
-      // Add Ticket Status for webhook sync (enum field requires option ID)
-      // Always populate Ticket Status - defaults to "Submitted" if not in Intercom
-      if (ASANA_CUSTOM_FIELDS.TICKET_STATUS && ticketStatus) {
-        console.log(
-          'Looking up enum option ID for Ticket Status:',
-          ticketStatus,
-          ticketStatus === 'Submitted' ? '(default)' : '(from Intercom)',
-        );
-        const enumOptionId = await getAsanaEnumOptionId(
-          ASANA_CUSTOM_FIELDS.TICKET_STATUS,
-          ticketStatus,
-        );
-        if (enumOptionId) {
-          customFields[ASANA_CUSTOM_FIELDS.TICKET_STATUS] = enumOptionId;
-          console.log(
-            '✓ Adding Ticket Status to Asana custom field:',
-            ticketStatus,
-          );
-        } else {
-          console.warn('Could not find enum option ID for:', ticketStatus);
-          console.warn(
-            'Make sure "' +
-              ticketStatus +
-              '" exists as an option in the Ticket Status field in Asana',
-          );
-        }
-      } else if (!ASANA_CUSTOM_FIELDS.TICKET_STATUS) {
-        console.warn(
-          '⚠️ WARNING: Ticket Status custom field is not configured in Asana',
-        );
-        console.warn(
-          '   Please add "Ticket Status" enum field to your Asana project for status sync',
+      const projectName = projects.find(
+        (project) => project.id === result.projectId,
+      )?.name;
+      res.send(
+        await renderTaskStatusCanvas(result.taskId, {
+          notice:
+            result.status === 'moved'
+              ? `Moved to ${projectName}`
+              : `Already in ${projectName}`,
+        }),
+      );
+    } catch (error) {
+      console.error('Error moving Asana task:', error);
+      res.send(buildErrorCanvas('Error Moving Task', error.message));
+    }
+  } else if (req.body.component_id === 'post_comment_button') {
+    const commentText = (req.body.input_values?.asana_comment || '').trim();
+    try {
+      const ticket = ticketId ? await getTicket(ticketId) : null;
+      const asanaTaskId = await findTaskIdForTicket(ticket);
+      if (!asanaTaskId) {
+        return res.send(
+          buildInitialCanvas({
+            match: ticket ? matchProjectForTicket(ticket) : null,
+          }),
         );
       }
 
-      // Add Intercom conversation ID for webhook sync
-      if (ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID && conversationId) {
-        customFields[ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID] =
-          String(conversationId);
-        console.log(
-          '✓ Adding conversation ID to Asana custom field:',
-          conversationId,
-        );
-      } else if (!ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID) {
-        console.warn(
-          '⚠ WARNING: "Intercom Conversation ID" custom field NOT configured!',
-        );
-        console.warn(
-          '   Webhook sync will not work without this field. Please add it to your Asana project.',
+      if (!commentText) {
+        return res.send(
+          await renderTaskStatusCanvas(asanaTaskId, {
+            error: 'Write a comment first',
+          }),
         );
       }
 
-      console.log('Custom fields to sync:', Object.keys(customFields).length);
-      if (Object.keys(customFields).length > 0) {
-        console.log(
-          'Custom field values:',
-          JSON.stringify(customFields, null, 2),
+      // Same prefix as synced Intercom notes - attributes the comment and keeps the
+      // Asana webhook from echoing it back into the conversation
+      const agentName = getActingTeammateName(req.body);
+      try {
+        await postAsanaStory(
+          asanaTaskId,
+          `[Intercom Note by ${agentName}]\n${commentText}`,
+        );
+      } catch (error) {
+        console.error('Error posting comment to Asana:', error.message);
+        return res.send(
+          await renderTaskStatusCanvas(asanaTaskId, {
+            error: 'Could not post the comment to Asana - please try again',
+            commentDraft: commentText,
+          }),
         );
       }
 
-      // Get the section ID for "CS Inquiry"
-      console.log('Fetching section ID for "CS Inquiry"...');
-      const csInquirySectionId = await getAsanaSectionId(
-        'CS Inquiry',
-        selectedProjectId,
-      );
-
-      // Create task name from Reference Number or default to #Unknown
-      const referenceNumber = ticketAttrs['Reference Number'];
-      const taskName = referenceNumber ? `#${referenceNumber}` : '#Unknown';
       console.log(
-        `Task name: ${taskName} (Reference Number: ${referenceNumber || 'not found'})`,
+        `✓ Posted canvas comment by ${agentName} to task ${asanaTaskId}`,
       );
+      res.send(
+        await renderTaskStatusCanvas(asanaTaskId, {
+          notice: 'Comment posted to Asana',
+        }),
+      );
+    } catch (error) {
+      console.error('Error posting Asana comment:', error);
+      res.send(buildErrorCanvas('Error Posting Comment', error.message));
+    }
+  } else if (req.body.component_id === 'refresh_task_button') {
+    try {
+      const ticket = ticketId ? await getTicket(ticketId) : null;
+      const asanaTaskId = await findTaskIdForTicket(ticket);
 
-      // Create task payload
-      const taskPayload = {
-        workspace: ASANA_WORKSPACE,
-        projects: [selectedProjectId], // Use selected project ID
-        name: taskName,
-        notes: taskNotes,
-      };
-
-      // Add task to "CS Inquiry" section if found
-      if (csInquirySectionId) {
-        taskPayload.memberships = [
-          {
-            project: selectedProjectId, // Use selected project ID
-            section: csInquirySectionId,
-          },
-        ];
-        console.log(
-          `✓ Task will be created in "CS Inquiry" section (${csInquirySectionId})`,
-        );
-      } else {
-        console.warn(
-          '⚠ CS Inquiry section not found, task will be created in default section',
+      if (!asanaTaskId) {
+        // The task was unlinked since the card was rendered - offer to create one again
+        console.log('No linked task found on refresh, showing create canvas');
+        return res.send(
+          buildInitialCanvas({
+            match: ticket ? matchProjectForTicket(ticket) : null,
+          }),
         );
       }
 
-      // Only add custom_fields if we have any configured
-      if (Object.keys(customFields).length > 0) {
-        taskPayload.custom_fields = customFields;
-      }
+      console.log('Refreshing status card for task:', asanaTaskId);
+      res.send(await renderTaskStatusCanvas(asanaTaskId));
+    } catch (error) {
+      console.error('Error refreshing Asana task status:', error);
+      res.send(buildErrorCanvas('Error Loading Task', error.message));
+    }
+  } else {
+    res.send(buildInitialCanvas({ selectedProjectId }));
+  }
+});
+
+// Helper function to pick the ordering key for a queued Asana event
+// Events for the same task are processed in the order Asana sent them
+function getAsanaJobKey(event) {
+  if (event.parent?.resource_type === 'task') return `task:${event.parent.gid}`;
+  if (event.resource?.resource_type === 'task') {
+    return `task:${event.resource.gid}`;
+  }
+  return `${event.resource?.resource_type}:${event.resource?.gid}`;
+}
 
+/*
+  Process a single queued Asana webhook event
+  Syncs comments and attachments to Intercom and task status changes to the ticket
+*/
+async function processAsanaEvent(event) {
+  console.log('\nEvent details:');
+  console.log('  Action:', event.action);
+  console.log('  Resource type:', event.resource?.resource_type);
+  console.log('  Resource GID:', event.resource?.gid);
+
+  // Process attachment events (files/videos added directly to task)
+  if (
+    event.resource?.resource_type === 'attachment' &&
+    event.action === 'added' &&
+    event.parent?.resource_type === 'task'
+  ) {
+    const attachmentGid = event.resource.gid;
+    const taskId = event.parent.gid;
+    console.log('  New attachment added to task:', taskId);
+
+    // Our API user GID is cached after the first call (used for loop prevention)
+    const apiUserGid = await getAsanaApiUserGid();
+    console.log('  Attachment GID:', attachmentGid);
+
+    // Skip redeliveries and attachments already posted by the comment (story) handler
+    const attachmentEventKey = asanaEventKey(
+      'attachment',
+      attachmentGid,
+      event.action,
+    );
+    if (hasProcessedEvent(attachmentEventKey)) {
       console.log(
-        'Creating Asana task with payload:',
-        JSON.stringify(taskPayload, null, 2),
+        '  ℹ Skipping - attachment event already processed (duplicate delivery or comment sync)',
       );
+      return;
+    }
 
-      // Create Asana task
-      const asanaResponse = await fetch('https://app.asana.com/api/1.0/tasks', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${ASANA_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          data: taskPayload,
-        }),
-      });
-
-      const asanaData = await asanaResponse.json();
+    // Skip if we uploaded this from Intercom (in-memory tracking)
+    const attachmentGidStr = String(attachmentGid);
+    if (intercomUploadedAttachmentGids.has(attachmentGidStr)) {
+      intercomUploadedAttachmentGids.delete(attachmentGidStr);
+      console.log(
+        '  ℹ Skipping - attachment was uploaded from Intercom (in-memory check)',
+      );
+      return;
+    }
 
-      // Log detailed error if task creation failed
-      if (!asanaResponse.ok) {
-        console.error('Asana API Error Response:');
-        console.error('Status:', asanaResponse.status);
-        console.error('Response:', JSON.stringify(asanaData, null, 2));
+    // Fetch attachment details and the task link in parallel
+    const [attachmentJson, link] = await Promise.all([
+      asanaApi
+        .request(`/attachments/${attachmentGid}`)
+        .then((r) => (r.ok ? r.json() : null)),
+      resolveTaskLink(taskId),
+    ]);
 
-        // Check if it's a date field error
-        if (
-          asanaData.errors &&
-          asanaData.errors[0]?.message?.includes('date')
-        ) {
-          console.error('⚠️ Date field error detected!');
-          console.error(
-            'This usually means the "Ticket Due Date" field in Asana is not configured as a "date" type.',
-          );
-          console.error(
-            'Please check the field type in your Asana project settings.',
-          );
-        }
-      }
+    const attachment = attachmentJson?.data;
 
-      if (asanaResponse.ok) {
-        const asanaTaskId = asanaData.data.gid;
+    if (attachment && link?.conversation_id) {
+      const conversationId = link.conversation_id;
+      const downloadUrl = attachment.download_url;
+      const attachmentName = attachment.name || 'attachment';
+      const createdByName = attachment.created_by?.name || 'Unknown';
 
-        // Upload all attachments to Asana if available
-        let attachmentResults = [];
-        if (attachmentUrls.length > 0) {
-          console.log('\n===== ATTACHMENT PROCESSING =====');
-          console.log(`Processing ${attachmentUrls.length} attachment(s)`);
+      console.log('  Attachment name:', attachmentName);
+      console.log('  Download URL:', downloadUrl ? 'found' : 'missing');
+      console.log(
+        '  Created by:',
+        createdByName,
+        '(GID:',
+        attachment.created_by?.gid,
+        ')',
+      );
 
-          for (let i = 0; i < attachmentUrls.length; i++) {
-            const attachmentUrl = attachmentUrls[i];
-            console.log(
-              `\n--- Processing attachment ${i + 1}/${
-                attachmentUrls.length
-              } ---`,
-            );
-            console.log('Attachment URL:', attachmentUrl);
-
-            // Check if it's a valid URL before attempting upload
-            if (!isValidUrl(attachmentUrl)) {
-              console.log('⚠ Attachment is not a valid URL, skipping upload');
-              attachmentResults.push({
-                index: i + 1,
-                url: attachmentUrl,
-                status: 'invalid_url',
-                error: 'Invalid URL format',
-              });
-              continue;
-            }
+      // Skip attachments uploaded by our integration (prevents echo-back loop)
+      const creatorGid = attachment.created_by?.gid;
+      if (
+        apiUserGid &&
+        creatorGid &&
+        String(creatorGid) === String(apiUserGid)
+      ) {
+        console.log(
+          '  ℹ Skipping - attachment was uploaded by our integration (preventing loop)',
+        );
+        return;
+      }
 
-            console.log('✓ Valid URL detected, proceeding with upload');
-            try {
-              const attachmentPermanentUrl = await uploadAttachmentToAsana(
-                asanaTaskId,
-                attachmentUrl,
-              );
-
-              if (
-                attachmentPermanentUrl &&
-                attachmentPermanentUrl.trim() !== ''
-              ) {
-                console.log(
-                  '✓ Attachment uploaded successfully. Permanent URL:',
-                  attachmentPermanentUrl,
-                );
-                attachmentResults.push({
-                  index: i + 1,
-                  url: attachmentUrl,
-                  status: 'success',
-                  permanentUrl: attachmentPermanentUrl,
-                });
-              } else {
-                console.log(
-                  '✗ Attachment upload failed - no permanent URL returned',
-                );
-                attachmentResults.push({
-                  index: i + 1,
-                  url: attachmentUrl,
-                  status: 'failed',
-                  error: 'Upload failed - no URL returned',
-                });
-              }
-            } catch (uploadError) {
-              console.error('✗ Error during attachment upload:', uploadError);
-              attachmentResults.push({
-                index: i + 1,
-                url: attachmentUrl,
-                status: 'failed',
-                error: uploadError.message || 'Upload error',
-              });
-            }
-          }
-          console.log('\n==================================');
+      // Skip if attachment was added via a comment (prevents duplicate when story
+      // and attachment events arrive in separate webhook payloads)
+      const storiesRes = await asanaApi.request(
+        `/tasks/${taskId}/stories?opt_fields=text`,
+      );
+      if (storiesRes.ok) {
+        const storiesData = await storiesRes.json();
+        const stories = storiesData.data || [];
+        const inComment = stories.some(
+          (s) =>
+            s.text &&
+            new RegExp(`asset_id=${attachmentGidStr}(?![0-9])`).test(s.text),
+        );
+        if (inComment) {
           console.log(
-            `Attachment processing complete: ${
-              attachmentResults.filter((r) => r.status === 'success').length
-            }/${attachmentUrls.length} successful`,
+            '  ℹ Skipping - attachment is in a comment (already posted by story handler)',
           );
-        } else {
-          console.log('No attachments to process for this task');
+          return;
         }
+      }
 
-        // Save Asana task ID to Intercom ticket
-        await updateTicketAttribute(ticketId, asanaTaskId);
-
-        // Store mapping for webhook callbacks
-        asanaTaskToConversation.set(asanaTaskId, conversationId);
-        console.log(
-          `Stored mapping: Asana task ${asanaTaskId} → Intercom conversation ${conversationId}`,
-        );
-
-        const components = [
-          {
-            type: 'text',
-            id: 'success',
-            text: '✅ Asana Task Created',
-            align: 'center',
-            style: 'header',
-          },
-          {
-            type: 'text',
-            id: 'task_name',
-            text: `📋 ${taskName}`,
-            align: 'center',
-            style: 'paragraph',
-          },
-          {
-            type: 'text',
-            id: 'task_id',
-            text: `Task ID: ${asanaTaskId}`,
-            align: 'center',
-            style: 'muted',
-          },
-        ];
-
-        // Add attachment status if attachments were processed
-        if (attachmentResults.length > 0) {
-          const successCount = attachmentResults.filter(
-            (r) => r.status === 'success',
-          ).length;
-          const totalCount = attachmentResults.length;
-          let statusText = '';
-          let statusIcon = '';
-
-          // Only show message if there were actual attempts
-          if (totalCount > 0) {
-            if (successCount === totalCount) {
-              statusIcon = '📎';
-              statusText = `${successCount} attachment(s) uploaded`;
-            } else if (successCount > 0) {
-              statusIcon = '⚠️';
-              statusText = `${successCount}/${totalCount} attachment(s) uploaded`;
-            } else {
-              // Only show failure message if we actually tried to upload
-              const attemptedCount = attachmentResults.filter(
-                (r) => r.status !== 'invalid_url',
-              ).length;
-              if (attemptedCount > 0) {
-                statusIcon = '❌';
-                statusText = `Failed to upload ${totalCount} attachment(s)`;
-              } else {
-                statusIcon = '⚠️';
-                statusText = `${totalCount} attachment(s) skipped`;
-              }
-            }
-
-            components.push({
-              type: 'text',
-              id: 'attachment_status',
-              text: `${statusIcon} ${statusText}`,
-              align: 'center',
-              style: 'muted',
-            });
-          }
-        }
+      if (!downloadUrl) {
+        console.log('  ⚠ No download URL for attachment, skipping');
+        return;
+      }
 
-        const syncedFieldsText =
-          Object.keys(customFields).length > 0
-            ? `✓ Synced ${Object.keys(customFields).length} custom fields`
-            : '⚠️ No custom fields synced';
+      // Post attachment to Intercom conversation as a note
+      const noteBody = `<b>[Asana File Sync]</b><br>${attachmentName}`;
 
-        components.push({
-          type: 'text',
-          id: 'synced_fields',
-          text: syncedFieldsText,
-          align: 'center',
-          style: 'muted',
-        });
+      const posted = await runSyncOperation(
+        'intercom.note',
+        {
+          conversation_id: conversationId,
+          body: noteBody,
+          attachment_urls: [downloadUrl],
+        },
+        {
+          task_gid: taskId,
+          ticket_id: link.ticket_id,
+          conversation_id: conversationId,
+        },
+      );
 
-        const successCanvas = {
-          canvas: {
-            content: {
-              components: components,
-            },
-          },
-        };
-        res.send(successCanvas);
-      } else {
-        throw new Error(
-          asanaData.errors?.[0]?.message || 'Failed to create Asana task',
-        );
+      if (posted) {
+        console.log('  ✓ Attachment posted to Intercom conversation');
       }
-    } catch (error) {
-      console.error('Error creating Asana task:', error);
 
-      const errorCanvas = {
-        canvas: {
-          content: {
-            components: [
-              {
-                type: 'text',
-                id: 'error',
-                text: '❌ Error Creating Task',
-                align: 'center',
-                style: 'header',
-              },
-              {
-                type: 'divider',
-                id: 'divider_1',
-              },
-              {
-                type: 'text',
-                id: 'error_message',
-                text: error.message || 'An unexpected error occurred',
-                align: 'center',
-                style: 'paragraph',
-              },
-              {
-                type: 'text',
-                id: 'error_hint',
-                text: 'Please try again or contact support',
-                align: 'center',
-                style: 'muted',
-              },
-            ],
-          },
-        },
-      };
-      res.send(errorCanvas);
+      // A failed post is kept in the dead-letter store, so don't redo it on redelivery
+      markEventProcessed(attachmentEventKey);
+    } else {
+      if (!attachment) console.log('  ⚠ Could not fetch attachment details');
+      if (!link?.conversation_id) console.log('  ⚠ No conversation ID found');
     }
-  } else {
-    res.send(initialCanvas);
-  }
-});
-
-/*
-  Asana webhook endpoint to receive task completion updates
-  Handles the handshake and task status change events
-*/
-app.post('/asana-webhook-prod', async (req, res) => {
-  const hookSecret = req.headers['x-hook-secret'];
-
-  // Handle webhook handshake
-  if (hookSecret) {
-    console.log('===== ASANA WEBHOOK HANDSHAKE =====');
-    console.log('Received webhook handshake with secret:', hookSecret);
-
-    // Store the secret for future verification
-    asanaWebhookSecret = hookSecret;
-
-    // Respond with the secret to complete handshake
-    res.set('X-Hook-Secret', hookSecret);
-    res.status(200).send();
-
-    console.log('✓ Webhook handshake completed');
-    console.log('===================================\n');
-    return;
   }
 
-  // Handle webhook events
-  console.log('\n===== ASANA WEBHOOK EVENT =====');
-  console.log('Received webhook event at:', new Date().toISOString());
-  console.log('Request headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Request body:', JSON.stringify(req.body, null, 2));
-
-  try {
-    const events = req.body.events || [];
-    console.log(`Processing ${events.length} event(s)`);
-
-    // Fetch our API user GID once per request (for loop prevention)
-    const apiUserGid = await getAsanaApiUserGid();
+  // Process story (comment) events
+  if (
+    event.resource?.resource_type === 'story' &&
+    event.action === 'added' &&
+    event.parent?.resource_type === 'task'
+  ) {
+    const storyId = event.resource.gid;
+    const taskId = event.parent.gid;
+    console.log('  New story added to task:', taskId);
+    clearAsanaTaskCommentsCache(taskId);
+
+    // Acknowledge redelivered comments without posting them again
+    const storyEventKey = asanaEventKey('story', storyId, event.action);
+    if (hasProcessedEvent(storyEventKey)) {
+      console.log(
+        `  ℹ Skipping - story ${storyId} was already processed (duplicate delivery)`,
+      );
+      return;
+    }
 
-    // Track asset GIDs handled by story (comment) events to prevent duplicates
-    // with attachment events in the same webhook call
-    const processedAssetGids = new Set();
+    // Fetch story and the task link in parallel (task ID is already available from event)
+    const [storyJson, link] = await Promise.all([
+      asanaApi
+        .request(`/stories/${storyId}`)
+        .then((r) => (r.ok ? r.json() : null)),
+      resolveTaskLink(taskId),
+    ]);
 
-    // Sort events: process stories first, then attachments, then task changes
-    // This ensures comment attachments are tracked before the attachment handler runs
-    const sortedEvents = [...events].sort((a, b) => {
-      const order = { story: 0, attachment: 1, task: 2 };
-      const aOrder = order[a.resource?.resource_type] ?? 3;
-      const bOrder = order[b.resource?.resource_type] ?? 3;
-      return aOrder - bOrder;
-    });
+    const story = storyJson?.data;
 
-    for (const event of sortedEvents) {
-      console.log('\nEvent details:');
-      console.log('  Action:', event.action);
-      console.log('  Resource type:', event.resource?.resource_type);
-      console.log('  Resource GID:', event.resource?.gid);
+    if (story) {
+      // Only process actual comments, not system events
+      if (story.resource_subtype === 'comment_added' && story.text) {
+        console.log('  Comment text:', story.text);
+        console.log('  Created by:', story.created_by?.name);
+        console.log('story:', JSON.stringify(story, null, 2));
 
-      // Process attachment events (files/videos added directly to task)
-      if (
-        event.resource?.resource_type === 'attachment' &&
-        event.action === 'added' &&
-        event.parent?.resource_type === 'task'
-      ) {
-        const attachmentGid = event.resource.gid;
-        const taskId = event.parent.gid;
-        console.log('  New attachment added to task:', taskId);
-        console.log('  Attachment GID:', attachmentGid);
-
-        // Skip if we uploaded this from Intercom (in-memory tracking)
-        const attachmentGidStr = String(attachmentGid);
-        if (intercomUploadedAttachmentGids.has(attachmentGidStr)) {
-          intercomUploadedAttachmentGids.delete(attachmentGidStr);
+        // Check if this comment was created by the integration (to prevent loop)
+        if (
+          story.text.startsWith('[Intercom Note by') ||
+          story.text.startsWith('[Asana Link Update]')
+        ) {
           console.log(
-            '  ℹ Skipping - attachment was uploaded from Intercom (in-memory check)',
+            '  ℹ Skipping - comment was synced from Intercom or is a link audit note (preventing loop)',
           );
-          continue;
+          return;
         }
 
-        // Fetch attachment details and conversation ID in parallel
-        const [attachmentJson, result] = await Promise.all([
-          fetch(`https://app.asana.com/api/1.0/attachments/${attachmentGid}`, {
-            method: 'GET',
-            headers: {
-              Authorization: `Bearer ${ASANA_TOKEN}`,
-              Accept: 'application/json',
-            },
-          }).then((r) => (r.ok ? r.json() : null)),
-          getConversationIdFromTask(taskId),
-        ]);
-
-        const attachment = attachmentJson?.data;
-
-        if (attachment && result && result.conversationId) {
-          const conversationId = result.conversationId;
-          const downloadUrl = attachment.download_url;
-          const attachmentName = attachment.name || 'attachment';
-          const createdByName = attachment.created_by?.name || 'Unknown';
-
-          console.log('  Attachment name:', attachmentName);
-          console.log('  Download URL:', downloadUrl ? 'found' : 'missing');
-          console.log('  Created by:', createdByName, '(GID:', attachment.created_by?.gid, ')');
-
-          // Skip attachments uploaded by our integration (prevents echo-back loop)
-          const creatorGid = attachment.created_by?.gid;
-          if (
-            apiUserGid &&
-            creatorGid &&
-            String(creatorGid) === String(apiUserGid)
-          ) {
-            console.log(
-              '  ℹ Skipping - attachment was uploaded by our integration (preventing loop)',
-            );
-            continue;
+        if (link?.conversation_id) {
+          const conversationId = link.conversation_id;
+          console.log('  Found conversation ID:', conversationId);
+
+          // Extract Asana asset IDs from comment text
+          const asanaAssetUrlRegex =
+            /https?:\/\/app\.asana\.com\/app\/asana\/-\/get_asset\?asset_id=(\d+)/g;
+          const assetIds = [];
+          let match;
+          while ((match = asanaAssetUrlRegex.exec(story.text)) !== null) {
+            const aid = String(match[1]);
+            assetIds.push(aid);
+            // Mark as handled so the attachment handler won't duplicate
+            markEventProcessed(asanaEventKey('attachment', aid, 'added'));
           }
 
-          // Skip if already handled by the story handler in this same webhook call
-          if (processedAssetGids.has(attachmentGidStr)) {
-            console.log(
-              '  ℹ Skipping - attachment already handled by comment sync (preventing duplicate)',
-            );
-            continue;
+          // Clean comment text by removing Asana asset URLs
+          let cleanCommentText = story.text
+            .replace(
+              /https?:\/\/app\.asana\.com\/app\/asana\/-\/get_asset\?asset_id=[^\s]*/g,
+              '',
+            )
+            .trim();
+
+          if (!cleanCommentText) {
+            cleanCommentText = '(attachment only)';
           }
 
-          // Skip if attachment was added via a comment (prevents duplicate when story
-          // and attachment events arrive in separate webhook payloads)
-          const storiesRes = await fetch(
-            `https://app.asana.com/api/1.0/tasks/${taskId}/stories?opt_fields=text`,
-            {
-              method: 'GET',
-              headers: {
-                Authorization: `Bearer ${ASANA_TOKEN}`,
-                Accept: 'application/json',
-              },
-            },
-          );
-          if (storiesRes.ok) {
-            const storiesData = await storiesRes.json();
-            const stories = storiesData.data || [];
-            const inComment = stories.some(
-              (s) =>
-                s.text &&
-                new RegExp(
-                  `asset_id=${attachmentGidStr}(?![0-9])`,
-                ).test(s.text),
+          // Get public download URLs from Asana attachments API
+          const attachmentDownloadUrls = [];
+          if (assetIds.length > 0) {
+            console.log(
+              `  📎 Found ${assetIds.length} attachment(s) in comment`,
             );
-            if (inComment) {
-              console.log(
-                '  ℹ Skipping - attachment is in a comment (already posted by story handler)',
-              );
-              continue;
+
+            for (const assetId of assetIds) {
+              try {
+                console.log(
+                  `    Fetching attachment details for asset ${assetId}...`,
+                );
+                const attachmentResponse = await asanaApi.request(
+                  `/attachments/${assetId}`,
+                );
+
+                if (attachmentResponse.ok) {
+                  const attachmentData = await attachmentResponse.json();
+                  const downloadUrl = attachmentData.data?.download_url;
+                  const name = attachmentData.data?.name || 'attachment';
+
+                  if (downloadUrl) {
+                    attachmentDownloadUrls.push(downloadUrl);
+                    console.log(`    ✓ Got download URL for ${name}`);
+                  } else {
+                    console.log(`    ⚠ No download_url for asset ${assetId}`);
+                  }
+                } else {
+                  console.error(`    ✗ Failed to fetch attachment ${assetId}`);
+                }
+              } catch (error) {
+                console.error(
+                  `    ✗ Error fetching attachment ${assetId}:`,
+                  error.message,
+                );
+              }
             }
           }
 
-          if (!downloadUrl) {
-            console.log('  ⚠ No download URL for attachment, skipping');
-            continue;
-          }
+          // Post ONE note with comment text + attachments
+          const commentBody = `<b>[Asana Comment by ${
+            story.created_by?.name || 'Unknown'
+          }]</b><br>${cleanCommentText}`;
 
-          // Post attachment to Intercom conversation as a note
-          const noteBody = `<b>[Asana File Sync]</b><br>${attachmentName}`;
+          if (attachmentDownloadUrls.length > 0) {
+            console.log(
+              `  Posting note with ${attachmentDownloadUrls.length} attachment(s)`,
+            );
+          }
 
-          const intercomResponse = await fetch(
-            `https://api.intercom.io/conversations/${conversationId}/reply`,
+          const posted = await runSyncOperation(
+            'intercom.note',
+            {
+              conversation_id: conversationId,
+              body: commentBody,
+              attachment_urls: attachmentDownloadUrls,
+            },
             {
-              method: 'POST',
-              headers: {
-                Authorization: `Bearer ${INTERCOM_TOKEN}`,
-                'Content-Type': 'application/json',
-                Accept: 'application/json',
-              },
-              body: JSON.stringify({
-                message_type: 'note',
-                type: 'admin',
-                admin_id: INTERCOM_ADMIN_ID,
-                body: noteBody,
-                attachment_urls: [downloadUrl],
-              }),
+              task_gid: taskId,
+              ticket_id: link.ticket_id,
+              conversation_id: conversationId,
             },
           );
 
-          if (intercomResponse.ok) {
-            console.log('  ✓ Attachment posted to Intercom conversation');
-          } else {
-            const errorData = await intercomResponse.json();
-            console.error(
-              '  ✗ Failed to post attachment to Intercom:',
-              errorData,
+          if (posted) {
+            console.log(
+              '  ✓ Comment posted to Intercom conversation as private note',
             );
           }
+
+          // A failed post is kept in the dead-letter store, so don't redo it on redelivery
+          markEventProcessed(storyEventKey);
         } else {
-          if (!attachment)
-            console.log('  ⚠ Could not fetch attachment details');
-          if (!result?.conversationId)
-            console.log('  ⚠ No conversation ID found');
+          console.log('  ⚠ Skipping comment sync - no conversation ID found');
         }
       }
+    }
+  }
 
-      // Process story (comment) events
-      if (
-        event.resource?.resource_type === 'story' &&
-        event.action === 'added' &&
-        event.parent?.resource_type === 'task'
-      ) {
-        const storyId = event.resource.gid;
-        const taskId = event.parent.gid;
-        console.log('  New story added to task:', taskId);
-
-        // Fetch story and conversation in parallel (task ID is already available from event)
-        const [storyJson, result] = await Promise.all([
-          fetch(`https://app.asana.com/api/1.0/stories/${storyId}`, {
-            method: 'GET',
-            headers: {
-              Authorization: `Bearer ${ASANA_TOKEN}`,
-              Accept: 'application/json',
-            },
-          }).then((r) => (r.ok ? r.json() : null)),
-          getConversationIdFromTask(taskId),
-        ]);
-
-        const story = storyJson?.data;
-
-        if (story) {
-          // Only process actual comments, not system events
-          if (story.resource_subtype === 'comment_added' && story.text) {
-            console.log('  Comment text:', story.text);
-            console.log('  Created by:', story.created_by?.name);
-            console.log('story:', JSON.stringify(story, null, 2));
-
-            // Check if this comment was created by the integration (to prevent loop)
-            if (story.text.startsWith('[Intercom Note by')) {
-              console.log(
-                '  ℹ Skipping - comment was synced from Intercom (preventing loop)',
-              );
-              continue;
-            }
+  // Process task field changes, completion and section moves
+  const isSectionMove =
+    event.action === 'added' && event.parent?.resource_type === 'section';
+  if (
+    event.resource?.resource_type === 'task' &&
+    (event.action === 'changed' || isSectionMove)
+  ) {
+    const taskId = event.resource.gid;
+    console.log(
+      isSectionMove
+        ? `  Task moved to section ${event.parent.gid}: ${taskId}`
+        : `  Task changed event for task: ${taskId}`,
+    );
+    console.log(
+      '  Event change details:',
+      JSON.stringify(event.change, null, 2),
+    );
 
-            if (result && result.conversationId) {
-              const conversationId = result.conversationId;
-              console.log('  Found conversation ID:', conversationId);
-
-              // Extract Asana asset IDs from comment text
-              const asanaAssetUrlRegex =
-                /https?:\/\/app\.asana\.com\/app\/asana\/-\/get_asset\?asset_id=(\d+)/g;
-              const assetIds = [];
-              let match;
-              while ((match = asanaAssetUrlRegex.exec(story.text)) !== null) {
-                const aid = String(match[1]);
-                assetIds.push(aid);
-                // Mark as handled so the attachment handler won't duplicate
-                processedAssetGids.add(aid);
-              }
+    // Check if this is a custom field change
+    let isTicketStatusChange = false;
+    if (event.change && event.change.field === 'custom_fields') {
+      console.log('  ✓ Custom field change detected');
+      // Log the new value if available
+      if (event.change.new_value) {
+        console.log(
+          '  New value:',
+          JSON.stringify(event.change.new_value, null, 2),
+        );
+      }
+      isTicketStatusChange = true;
+    }
 
-              // Clean comment text by removing Asana asset URLs
-              let cleanCommentText = story.text
-                .replace(
-                  /https?:\/\/app\.asana\.com\/app\/asana\/-\/get_asset\?asset_id=[^\s]*/g,
-                  '',
-                )
-                .trim();
+    // Fetch the task's custom fields (using shared helper)
+    const result = await getConversationIdFromTask(taskId);
 
-              if (!cleanCommentText) {
-                cleanCommentText = '(attachment only)';
-              }
+    if (!result) {
+      console.log('  Skipping webhook update');
+      return;
+    }
 
-              // Get public download URLs from Asana attachments API
-              const attachmentDownloadUrls = [];
-              if (assetIds.length > 0) {
-                console.log(
-                  `  📎 Found ${assetIds.length} attachment(s) in comment`,
-                );
+    // Resolve the linked ticket (link store first, APIs on a miss)
+    const link = await resolveTaskLink(taskId, result);
 
-                for (const assetId of assetIds) {
-                  try {
-                    console.log(
-                      `    Fetching attachment details for asset ${assetId}...`,
-                    );
-                    const attachmentResponse = await fetch(
-                      `https://app.asana.com/api/1.0/attachments/${assetId}`,
-                      {
-                        method: 'GET',
-                        headers: {
-                          Authorization: `Bearer ${ASANA_TOKEN}`,
-                          Accept: 'application/json',
-                        },
-                      },
-                    );
-
-                    if (attachmentResponse.ok) {
-                      const attachmentData = await attachmentResponse.json();
-                      const downloadUrl = attachmentData.data?.download_url;
-                      const name = attachmentData.data?.name || 'attachment';
-
-                      if (downloadUrl) {
-                        attachmentDownloadUrls.push(downloadUrl);
-                        console.log(`    ✓ Got download URL for ${name}`);
-                      } else {
-                        console.log(
-                          `    ⚠ No download_url for asset ${assetId}`,
-                        );
-                      }
-                    } else {
-                      console.error(
-                        `    ✗ Failed to fetch attachment ${assetId}`,
-                      );
-                    }
-                  } catch (error) {
-                    console.error(
-                      `    ✗ Error fetching attachment ${assetId}:`,
-                      error.message,
-                    );
-                  }
-                }
-              }
+    if (!link) {
+      console.log('  Skipping webhook update');
+      return;
+    }
 
-              // Post ONE note with comment text + attachments
-              const commentBody = `<b>[Asana Comment by ${
-                story.created_by?.name || 'Unknown'
-              }]</b><br>${cleanCommentText}`;
-
-              const replyBody = {
-                message_type: 'note',
-                type: 'admin',
-                admin_id: INTERCOM_ADMIN_ID,
-                body: commentBody,
-              };
-
-              // Add attachment URLs if we have any
-              if (attachmentDownloadUrls.length > 0) {
-                replyBody.attachment_urls = attachmentDownloadUrls;
-                console.log(
-                  `  Posting note with ${attachmentDownloadUrls.length} attachment(s)`,
-                );
-              }
+    const taskData = result.taskData;
+    const customFields = taskData.custom_fields || [];
 
-              const intercomResponse = await fetch(
-                `https://api.intercom.io/conversations/${conversationId}/reply`,
-                {
-                  method: 'POST',
-                  headers: {
-                    Authorization: `Bearer ${INTERCOM_TOKEN}`,
-                    'Content-Type': 'application/json',
-                    Accept: 'application/json',
-                  },
-                  body: JSON.stringify(replyBody),
-                },
-              );
-
-              if (intercomResponse.ok) {
-                console.log(
-                  '  ✓ Comment posted to Intercom conversation as private note',
-                );
-              } else {
-                const errorData = await intercomResponse.json();
-                console.error(
-                  '  ✗ Failed to post comment to Intercom:',
-                  errorData,
-                );
-              }
-            } else {
-              console.log(
-                '  ⚠ Skipping comment sync - no conversation ID found',
-              );
-            }
-          }
+    // Extract Ticket Status from custom fields
+    const ticketStatus = getTaskTicketStatus(customFields);
+    if (ticketStatus) {
+      console.log('  ✓ Found Ticket Status in custom field:', ticketStatus);
+    }
+
+    // Log all custom field GIDs for debugging
+    console.log('\n  === DEBUGGING CUSTOM FIELDS ===');
+    console.log(
+      '  Expected Intercom Conversation ID field GID:',
+      ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID || '(NOT CONFIGURED)',
+    );
+    console.log(
+      '  Expected Ticket Status field GID:',
+      ASANA_CUSTOM_FIELDS.TICKET_STATUS || '(NOT CONFIGURED)',
+    );
+    console.log(
+      '  Expected Ticket Date field GID:',
+      ASANA_CUSTOM_FIELDS.TICKET_DATE || '(NOT CONFIGURED)',
+    );
+
+    if (customFields.length > 0) {
+      console.log('  All custom field GIDs on task:');
+      customFields.forEach((f) => {
+        let value =
+          f.enum_value?.name ||
+          f.display_value ||
+          f.text_value ||
+          f.number_value ||
+          '(no value)';
+        // Handle date fields
+        if (f.date_value) {
+          value = f.date_value.date || f.date_value.date_time || '(no date)';
         }
-      }
+        console.log(`    - ${f.name} (${f.gid}): ${value}`);
+      });
+    } else {
+      console.log('  ⚠ WARNING: No custom fields found on this task!');
+    }
+    console.log('  ===============================\n');
+
+    // Fetch full ticket to get its open state (and ticket type ID if not stored)
+    const ticket = await getTicket(link.ticket_id);
+
+    // Write an Asana edit of a reverse-synced field (fieldDirections.js) back to the ticket
+    // Only the field the event names - other events don't touch the ticket's attributes
+    const changedFieldGid =
+      event.change?.field === 'custom_fields'
+        ? event.change.new_value?.gid
+        : null;
+    if (ticket && changedFieldGid) {
+      await syncAsanaFieldsToTicket({
+        taskId,
+        link,
+        ticket,
+        customFields,
+        changedFieldGid,
+      });
+    }
 
-      // Only process task field changes
-      if (
-        event.resource?.resource_type === 'task' &&
-        event.action === 'changed'
-      ) {
-        const taskId = event.resource.gid;
-        console.log('  Task changed event for task:', taskId);
+    // Update Intercom ticket's Ticket Status if it changed
+    if (
+      ticketStatus &&
+      isEchoedWrite('asana', taskId, 'Ticket Status', ticketStatus)
+    ) {
+      console.log(
+        `  ℹ Ticket Status "${ticketStatus}" was set from the Intercom ticket state, not syncing it back`,
+      );
+    } else if (ticketStatus) {
+      const stateUpdateResult = await applyAsanaStatusToTicket({
+        taskId,
+        link,
+        ticket,
+        ticketStatus,
+      });
+
+      if (stateUpdateResult?.skipped) {
+        console.log('  ℹ Ticket state not updated - no matching state');
+      } else if (stateUpdateResult) {
+        console.log('  ✓ Successfully updated Intercom ticket');
+      } else {
         console.log(
-          '  Event change details:',
-          JSON.stringify(event.change, null, 2),
+          '  ℹ Could not update ticket state - captured in dead-letter store for replay',
         );
+      }
+    } else {
+      console.log('  ℹ No Ticket Status value to sync');
+      console.log(
+        '  Expected custom field GID:',
+        ASANA_CUSTOM_FIELDS.TICKET_STATUS,
+      );
+    }
 
-        // Check if this is a custom field change
-        let isTicketStatusChange = false;
-        if (event.change && event.change.field === 'custom_fields') {
-          console.log('  ✓ Custom field change detected');
-          // Log the new value if available
-          if (event.change.new_value) {
-            console.log(
-              '  New value:',
-              JSON.stringify(event.change.new_value, null, 2),
-            );
-          }
-          isTicketStatusChange = true;
-        }
+    // Completing the task or moving it between sections can close, reopen or update the ticket
+    if (ticket) {
+      await applyTaskActions({ event, taskId, link, taskData });
+    }
+  }
+}
 
-        // Get conversation ID from task (using shared helper)
-        const result = await getConversationIdFromTask(taskId);
+/*
+  Reconciliation between the Asana Ticket Status field and Intercom ticket states.
+  Catches drift left behind by missed webhooks: every linked task in each project from
+  projects.js is compared with its ticket's ticket_state and open flag.
+
+  mode 'report' only lists divergences; mode 'apply' also pushes the Asana status onto
+  the ticket using the same rules as the Asana webhook (applyAsanaStatusToTicket).
+  A walk can take minutes, so runs go in the background - one at a time, whether started
+  from /admin/reconcile or the schedule - and their progress is shown by GET /admin/reconcile.
+*/
+const RECONCILE_INTERVAL_MINUTES =
+  Number(process.env.RECONCILE_INTERVAL_MINUTES) || 0;
+const RECONCILE_MODE =
+  process.env.RECONCILE_MODE === 'apply' ? 'apply' : 'report';
+
+let lastReconciliation = null;
+// Report of the run in progress, filled in as tasks are checked
+let currentReconciliation = null;
+
+// Helper function to list every task in an Asana project with its custom fields
+async function listProjectTasks(projectId) {
+  const tasks = [];
+  let offset = null;
+
+  do {
+    const params = new URLSearchParams({
+      limit: '100',
+      opt_fields:
+        'name,completed,projects,custom_fields.gid,custom_fields.name,custom_fields.enum_value.name,custom_fields.display_value,custom_fields.text_value',
+    });
+    if (offset) params.set('offset', offset);
 
-        if (!result || !result.conversationId) {
-          console.log('  Skipping webhook update');
-          continue;
-        }
+    const response = await asanaApi.request(
+      `/projects/${projectId}/tasks?${params}`,
+    );
+    if (!response.ok) {
+      throw new Error(
+        `Failed to list tasks for project ${projectId} (status ${response.status})`,
+      );
+    }
 
-        const conversationId = result.conversationId;
-        const taskData = result.taskData;
-        const customFields = taskData.custom_fields || [];
+    const data = await response.json();
+    tasks.push(...(data.data || []));
+    offset = data.next_page?.offset || null;
+  } while (offset);
 
-        // Extract Ticket Status from custom fields
-        let ticketStatus = null;
+  return tasks;
+}
 
-        for (const field of customFields) {
-          // Match Ticket Status by GID or name
-          if (
-            field.gid === ASANA_CUSTOM_FIELDS.TICKET_STATUS ||
-            field.name === 'Ticket Status'
-          ) {
-            console.log(
-              '  Ticket Status field found:',
-              JSON.stringify(field, null, 2),
-            );
+// Helper function to compare one task with its ticket, applying the Asana status if asked to
+async function reconcileTask(task, project, mode) {
+  const customFields = task.custom_fields || [];
+  const ticketStatus = getTaskTicketStatus(customFields);
+  if (!ticketStatus) return { status: 'skipped', reason: 'no_ticket_status' };
+
+  // Build the same shape getConversationIdFromTask() returns so resolveTaskLink doesn't refetch
+  const conversationField = customFields.find(
+    (f) =>
+      f.gid === ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID ||
+      f.name === 'Intercom Conversation ID',
+  );
+  const link = await resolveTaskLink(task.gid, {
+    conversationId:
+      conversationField?.text_value || conversationField?.display_value || null,
+    taskData: task,
+  });
+  if (!link) return { status: 'skipped', reason: 'not_linked' };
 
-            // For enum fields, get the value properly
-            if (field.enum_value) {
-              ticketStatus = field.enum_value.name;
-              console.log(
-                '  Ticket Status from enum_value.name:',
-                ticketStatus,
-              );
-            } else if (field.display_value) {
-              ticketStatus = field.display_value;
-              console.log('  Ticket Status from display_value:', ticketStatus);
-            }
+  const ticket = await getTicket(link.ticket_id);
+  if (!ticket) return { status: 'skipped', reason: 'ticket_not_found' };
 
-            if (ticketStatus) {
-              console.log(
-                '  ✓ Found Ticket Status in custom field:',
-                ticketStatus,
-              );
-            } else {
-              console.log('  ⚠ Ticket Status field exists but has no value');
-            }
-            break;
-          }
-        }
+  const ticketTypeId = link.ticket_type_id || ticket.ticket_type?.id;
+  const expectedStateId = await getExpectedTicketStateId(ticketStatus, {
+    projectId: link.project_gid,
+    ticketTypeId,
+  });
 
-        // Log all custom field GIDs for debugging
-        console.log('\n  === DEBUGGING CUSTOM FIELDS ===');
-        console.log(
-          '  Expected Intercom Conversation ID field GID:',
-          ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID || '(NOT CONFIGURED)',
-        );
-        console.log(
-          '  Expected Ticket Status field GID:',
-          ASANA_CUSTOM_FIELDS.TICKET_STATUS || '(NOT CONFIGURED)',
-        );
+  const issues = [];
+  if (!expectedStateId) {
+    issues.push('unknown_status');
+  } else if (String(ticket.ticket_state?.id) !== String(expectedStateId)) {
+    issues.push('state_mismatch');
+  }
+  if (shouldCloseTicketForStatus(ticketStatus, ticket)) {
+    issues.push('should_close');
+  }
+
+  if (issues.length === 0) return { status: 'in_sync' };
+
+  const divergence = {
+    task_gid: task.gid,
+    task_name: task.name,
+    project: project.name,
+    ticket_id: link.ticket_id,
+    asana_status: ticketStatus,
+    intercom_state: ticket.ticket_state?.internal_label || null,
+    intercom_open: ticket.open === true,
+    issues,
+    applied: false,
+  };
+
+  // An Asana status with no matching Intercom state can't be applied
+  if (mode === 'apply' && expectedStateId) {
+    divergence.applied = !!(await applyAsanaStatusToTicket({
+      taskId: task.gid,
+      link,
+      ticket,
+      ticketStatus,
+    }));
+  }
+
+  return { status: 'diverged', divergence };
+}
+
+// Walk every linked task in every project and reconcile it against Intercom, filling in the report
+async function reconcileTicketStatuses(report) {
+  const { mode } = report;
+  console.log(`\n===== RECONCILIATION (${mode}) =====`);
+
+  for (const project of projects) {
+    report.current_project = project.name;
+    let tasks;
+    try {
+      tasks = await listProjectTasks(project.id);
+    } catch (error) {
+      console.error(`✗ ${error.message}`);
+      report.errors.push({ project: project.name, error: error.message });
+      continue;
+    }
+    console.log(`  ${project.name}: ${tasks.length} task(s)`);
+
+    // One task at a time to stay well inside the API rate limits
+    for (const task of tasks) {
+      report.checked += 1;
+      try {
+        const result = await reconcileTask(task, project, mode);
+        if (result.status === 'in_sync') report.in_sync += 1;
+        else if (result.status === 'skipped') report.skipped += 1;
+        else report.divergences.push(result.divergence);
+      } catch (error) {
+        console.error(`✗ Failed to reconcile task ${task.gid}:`, error.message);
+        report.errors.push({ task_gid: task.gid, error: error.message });
+      }
+    }
+  }
+
+  report.current_project = null;
+  console.log(
+    `✓ Reconciliation finished: ${report.checked} checked, ${report.divergences.length} diverged, ${report.errors.length} error(s)`,
+  );
+  console.log('====================================\n');
+  return report;
+}
+
+// Helper function to start a reconciliation in the background
+// Returns its report, or null when a run (manual or scheduled) is already going
+// `done` settles when the run finishes, for hosts that can't run it after responding
+function startReconciliation(mode, trigger) {
+  if (currentReconciliation) return null;
+
+  const report = {
+    mode,
+    trigger,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    current_project: null,
+    checked: 0,
+    in_sync: 0,
+    skipped: 0,
+    divergences: [],
+    errors: [],
+  };
+  currentReconciliation = report;
+
+  const done = reconcileTicketStatuses(report)
+    .catch((error) => {
+      console.error('✗ Reconciliation failed:', error.message);
+      report.errors.push({ error: error.message });
+    })
+    .finally(() => {
+      report.finished_at = new Date().toISOString();
+      lastReconciliation = report;
+      currentReconciliation = null;
+    });
+  return { report, done };
+}
+
+// Helper function to start the scheduled reconciliation (RECONCILE_INTERVAL_MINUTES)
+function startReconciliationSchedule() {
+  if (!RECONCILE_INTERVAL_MINUTES) return;
+  if (IS_SERVERLESS) {
+    console.warn(
+      '⚠ RECONCILE_INTERVAL_MINUTES is ignored on Vercel - call POST /admin/reconcile from a cron job instead',
+    );
+    return;
+  }
+
+  console.log(
+    `✓ Reconciling ticket statuses every ${RECONCILE_INTERVAL_MINUTES} minute(s) (mode: ${RECONCILE_MODE})`,
+  );
+  const timer = setInterval(
+    () => {
+      if (!startReconciliation(RECONCILE_MODE, 'scheduled')) {
         console.log(
-          '  Expected Ticket Date field GID:',
-          ASANA_CUSTOM_FIELDS.TICKET_DATE || '(NOT CONFIGURED)',
+          'ℹ Previous reconciliation is still running - skipping the scheduled run',
         );
+      }
+    },
+    RECONCILE_INTERVAL_MINUTES * 60 * 1000,
+  );
+  timer.unref?.();
+}
 
-        if (customFields.length > 0) {
-          console.log('  All custom field GIDs on task:');
-          customFields.forEach((f) => {
-            let value =
-              f.enum_value?.name ||
-              f.display_value ||
-              f.text_value ||
-              f.number_value ||
-              '(no value)';
-            // Handle date fields
-            if (f.date_value) {
-              value =
-                f.date_value.date || f.date_value.date_time || '(no date)';
-            }
-            console.log(`    - ${f.name} (${f.gid}): ${value}`);
-          });
-        } else {
-          console.log('  ⚠ WARNING: No custom fields found on this task!');
-        }
-        console.log('  ===============================\n');
+app.get('/admin/reconcile', adminRoute, (req, res) => {
+  res.json({
+    running: !!currentReconciliation,
+    progress: currentReconciliation,
+    interval_minutes: RECONCILE_INTERVAL_MINUTES || null,
+    scheduled_mode: RECONCILE_MODE,
+    last_report: lastReconciliation,
+  });
+});
 
-        // Get conversation to find ticket ID
-        const conversation = await getConversation(conversationId);
-        const ticketId = conversation?.ticket?.id;
+app.post('/admin/reconcile', adminRoute, async (req, res) => {
+  const mode = req.query.mode || 'report';
+  if (mode !== 'report' && mode !== 'apply') {
+    return res
+      .status(400)
+      .json({ success: false, error: 'mode must be "report" or "apply"' });
+  }
 
-        if (!ticketId) {
-          console.log('  ⚠ No ticket found for conversation:', conversationId);
-          console.log('  Skipping webhook update');
-          continue;
-        }
+  const run = startReconciliation(mode, 'manual');
+  if (!run) {
+    return res.status(409).json({
+      success: false,
+      error: 'A reconciliation is already running',
+      progress: currentReconciliation,
+    });
+  }
 
-        // Fetch full ticket to get ticket type ID
-        const ticket = await getTicket(ticketId);
-        const ticketTypeId = ticket?.ticket_type?.id;
+  // Nothing runs after the response on Vercel - wait for the report there
+  if (IS_SERVERLESS) {
+    await run.done;
+    return res.json({
+      success: run.report.errors.length === 0,
+      ...run.report,
+    });
+  }
 
-        if (ticketTypeId) {
-          console.log(`  ℹ Ticket type ID: ${ticketTypeId}`);
-        }
+  // Poll GET /admin/reconcile for progress and the finished report
+  res.status(202).json({ success: true, running: true, progress: run.report });
+});
 
-        // Update Intercom ticket's Ticket Status if it changed
-        if (ticketStatus) {
-          // Check if the new status is NOT in whitelist and ticket is open
-          const isWhitelisted = whitelistStatus.includes(ticketStatus);
-          const isTicketOpen = ticket?.open === true;
-          const shouldCloseTicket = !isWhitelisted && isTicketOpen;
+/*
+  Asana webhook endpoint to receive task completion updates
+  Handles the handshake and task status change events
+*/
+app.post('/asana-webhook-prod', async (req, res) => {
+  const hookSecret = req.headers['x-hook-secret'];
+  const webhookKey = getAsanaWebhookKey(req);
 
-          console.log(
-            `  Status "${ticketStatus}" whitelisted: ${isWhitelisted}`,
-          );
-          console.log(`  Ticket open: ${isTicketOpen}`);
+  // Handle webhook handshake
+  if (hookSecret) {
+    console.log('===== ASANA WEBHOOK HANDSHAKE =====');
+    console.log('Received webhook handshake for project:', webhookKey);
 
-          if (shouldCloseTicket) {
-            console.log(
-              '  → Status not whitelisted and ticket is open, will close ticket in same request',
-            );
-          }
+    if (!isKnownAsanaWebhookKey(webhookKey)) {
+      console.error('✗ Rejecting handshake for unknown project:', webhookKey);
+      console.log('===================================\n');
+      return res.status(400).send();
+    }
 
-          // Update ticket state (and close if needed) in a single API call
-          const stateUpdateResult = await updateTicketStateId(
-            ticketId,
-            ticketStatus,
-            ticketTypeId, // Pass ticket type ID for filtering
-            shouldCloseTicket, // Pass flag to close ticket in same request
-          );
+    // Only webhooks we're creating ourselves may set the secret
+    if (!isHandshakePending(webhookKey)) {
+      console.error(
+        '✗ Rejecting handshake - no webhook creation is pending for this project',
+      );
+      console.error(
+        '  Create the webhook with POST /admin/asana-webhooks?project=<project GID>',
+      );
+      console.log('===================================\n');
+      return res.status(403).send();
+    }
 
-          if (stateUpdateResult) {
-            console.log('  ✓ Successfully updated Intercom ticket');
-          } else {
-            console.log(
-              "  ℹ Could not match ticket status to a state ID (this is normal if status doesn't match state labels)",
-            );
-          }
-        } else {
-          console.log('  ℹ No Ticket Status value to sync');
-          console.log(
-            '  Expected custom field GID:',
-            ASANA_CUSTOM_FIELDS.TICKET_STATUS,
-          );
-        }
-      }
+    // Don't let a second handshake silently replace an existing secret
+    if (getWebhookSecret(webhookKey) && !ASANA_WEBHOOK_ALLOW_REHANDSHAKE) {
+      console.error(
+        '✗ Rejecting handshake - a secret is already stored for this project',
+      );
+      console.error(
+        '  Set ASANA_WEBHOOK_ALLOW_REHANDSHAKE=true to replace it when recreating the webhook',
+      );
+      console.log('===================================\n');
+      return res.status(409).send();
+    }
+
+    // Store the secret for future verification
+    saveWebhookSecret(webhookKey, hookSecret);
+    clearPendingHandshake(webhookKey);
+
+    // Respond with the secret to complete handshake
+    res.set('X-Hook-Secret', hookSecret);
+    res.status(200).send();
+
+    console.log('✓ Webhook handshake completed');
+    console.log('===================================\n');
+    return;
+  }
+
+  // Verify the event delivery was signed with the secret from the handshake
+  const verification = verifyAsanaSignature(
+    req.rawBody,
+    req.headers['x-hook-signature'],
+    getWebhookSecret(webhookKey),
+  );
+
+  if (!verification.valid) {
+    console.error('===== ASANA WEBHOOK REJECTED =====');
+    console.error('✗ Signature verification failed:', verification.reason);
+    console.error('  Project:', webhookKey);
+    console.error('  Received at:', new Date().toISOString());
+    console.error('  Remote address:', req.ip);
+    console.error('==================================\n');
+    return res.status(401).send();
+  }
+
+  // Handle webhook events
+  console.log('\n===== ASANA WEBHOOK EVENT =====');
+  console.log('Received webhook event at:', new Date().toISOString());
+  console.log('Request headers:', JSON.stringify(req.headers, null, 2));
+  console.log('Request body:', JSON.stringify(req.body, null, 2));
+
+  try {
+    const events = req.body.events || [];
+    console.log(`Queueing ${events.length} event(s)`);
+
+    // Sort events: process stories first, then attachments, then task changes
+    // This ensures comment attachments are marked in the event ledger before the attachment handler runs
+    const sortedEvents = [...events].sort((a, b) => {
+      const order = { story: 0, attachment: 1, task: 2 };
+      const aOrder = order[a.resource?.resource_type] ?? 3;
+      const bOrder = order[b.resource?.resource_type] ?? 3;
+      return aOrder - bOrder;
+    });
+
+    // Acknowledge immediately - events for the same task are processed in order
+    // (on Vercel they're processed one by one before the response)
+    for (const event of sortedEvents) {
+      await webhookQueue.enqueue('asana.event', getAsanaJobKey(event), event);
     }
 
     console.log('================================\n');
     res.status(200).send();
   } catch (error) {
-    console.error('Error processing webhook:', error);
+    console.error('Error queueing webhook events:', error);
     res.status(500).send();
   }
 });
 
+// Background queue for webhook processing - webhooks respond as soon as events are queued
+const webhookQueue = createJobQueue({
+  name: 'webhook',
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) || 5,
+  inline: IS_SERVERLESS,
+  handlers: {
+    'asana.event': processAsanaEvent,
+    'intercom.notification': processIntercomNotification,
+  },
+  // Jobs that keep failing go to the dead-letter store so they can be replayed
+  onJobFailed: (job, error) =>
+    addDeadLetter({
+      operation: 'job',
+      payload: { type: job.type, key: job.key, payload: job.payload },
+      targets: getJobTargets(job),
+      error,
+      attempts: job.attempts,
+    }),
+});
+
+// Replaying a dead-lettered job puts it back on the queue
+registerSyncOperation('job', ({ type, key, payload }) =>
+  webhookQueue.enqueue(type, key, payload),
+);
+
 const listener = app.listen(PORT, async () => {
   console.log(`Your app is listening on port ${PORT}`);
   console.log(`Visit http://localhost:${PORT} to view your app`);
@@ -2992,6 +3432,39 @@ const listener = app.listen(PORT, async () => {
   // Initialize ticket states from Intercom
   await initializeTicketStates();
 
+  // Check the Ticket Status ↔ ticket state mapping against both sides
+  await validateStatusMappings();
+
+  // Check the states and sections referenced by the projects' task actions
+  await validateTaskActions();
+
+  if (!isAdminAuthConfigured()) {
+    console.warn(
+      '⚠ No admin credentials configured - /webhook-info and other admin routes will return 401',
+    );
+  }
+
+  if (!INTERCOM_CLIENT_SECRET) {
+    console.warn(
+      '⚠ INTERCOM_CLIENT_SECRET is not set - signed Intercom requests will be rejected',
+    );
+  }
+
+  // Routing rules drive the canvas preselect and automatic task creation
+  if (!hasRoutingRules()) {
+    console.warn(
+      AUTO_CREATE_TASKS
+        ? '⚠ AUTO_CREATE_TASKS is on, but no project in projects.js declares routing rules - no task will be created automatically'
+        : 'ℹ No project in projects.js declares routing rules - teammates choose the project for every ticket',
+    );
+  }
+
+  // Pick up any webhook jobs left over from a previous run
+  webhookQueue.start();
+
+  // Catch Ticket Status drift left behind by missed webhooks
+  startReconciliationSchedule();
+
   console.log('========================================\n');
   console.log('✓ Server is ready to accept requests');
 });
@@ -0,0 +1,507 @@
+import { INTERCOM_TOKEN, INTERCOM_ADMIN_ID } from './config.js';
+import { createApiClient } from './apiClient.js';
+
+// Intercom API helpers shared by the server, the task service and the CLI
+
+// Shared Intercom API client - retries, rate-limit backoff and circuit breaking live in apiClient.js
+export const intercomApi = createApiClient({
+  name: 'Intercom',
+  baseUrl: 'https://api.intercom.io',
+  headers: {
+    Authorization: `Bearer ${INTERCOM_TOKEN}`,
+    Accept: 'application/json',
+    'Intercom-Version': '2.14',
+  },
+});
+
+// Cache for ticket states fetched from Intercom API
+let ticketStatesCache = null;
+
+// Helper function to fetch all ticket states from Intercom API
+async function fetchTicketStates() {
+  try {
+    console.log('Fetching ticket states from Intercom API...');
+    const response = await intercomApi.request('/ticket_states');
+
+    if (response.ok) {
+      const responseData = await response.json();
+      const states = responseData.data || []; // API returns states in 'data' array, not 'ticket_states'
+      console.log(`✓ Fetched ${states.length} ticket states from Intercom`);
+
+      // Log available states for reference
+      if (states.length > 0) {
+        console.log('Available ticket states:');
+        states.forEach((state) => {
+          const ticketTypesCount = state.ticket_types?.data?.length || 0;
+          console.log(
+            `  - ${state.internal_label} (category: ${state.category}, id: ${state.id}, applies to ${ticketTypesCount} ticket type(s))`,
+          );
+        });
+      }
+
+      return states;
+    } else {
+      const errorData = await response.json();
+      console.error('Error fetching ticket states from Intercom:', errorData);
+      return [];
+    }
+  } catch (error) {
+    console.error('Error fetching ticket states:', error);
+    return [];
+  }
+}
+
+// Helper function to initialize ticket states cache
+export async function initializeTicketStates() {
+  if (!ticketStatesCache) {
+    ticketStatesCache = await fetchTicketStates();
+  }
+  return ticketStatesCache;
+}
+
+// Helper function to get ticket state ID by label or category
+// Optionally filter by ticket type ID for more accurate matching
+export async function getTicketStateId(labelOrCategory, ticketTypeId = null) {
+  // Ensure ticket states are loaded
+  const states = await initializeTicketStates();
+
+  if (!states || states.length === 0) {
+    console.error('No ticket states available');
+    return null;
+  }
+
+  // Filter states by ticket type if provided
+  let applicableStates = states;
+  if (ticketTypeId) {
+    applicableStates = states.filter((state) =>
+      state.ticket_types?.data?.some(
+        (type) => String(type.id) === String(ticketTypeId),
+      ),
+    );
+    console.log(
+      `  Filtered to ${applicableStates.length} states for ticket type ${ticketTypeId} (from ${states.length} total states)`,
+    );
+
+    if (applicableStates.length > 0) {
+      console.log(
+        '  Applicable states:',
+        applicableStates.map((s) => s.internal_label).join(', '),
+      );
+    }
+  }
+
+  const normalizedInput = labelOrCategory.toLowerCase().trim();
+
+  // Try to find by internal label
+  let state = applicableStates.find(
+    (s) => s.internal_label.toLowerCase() === normalizedInput,
+  );
+
+  // Try to find by external label
+  if (!state) {
+    state = applicableStates.find(
+      (s) => s.external_label.toLowerCase() === normalizedInput,
+    );
+  }
+
+  // Try to find by category
+  if (!state) {
+    state = applicableStates.find(
+      (s) => s.category.toLowerCase() === normalizedInput,
+    );
+  }
+
+  return state ? state.id : null;
+}
+
+// Helper function to get contact name from Intercom API
+export async function getContactName(contactId) {
+  try {
+    const response = await intercomApi.request(`/contacts/${contactId}`);
+
+    if (response.ok) {
+      const data = await response.json();
+      return data.name || 'Unknown Contact';
+    }
+    return 'Unknown Contact';
+  } catch (error) {
+    console.error('Error fetching contact from Intercom:', error);
+    return 'Unknown Contact';
+  }
+}
+
+// Helper function to get conversation details from Intercom API
+export async function getConversation(conversationId) {
+  try {
+    const response = await intercomApi.request(
+      `/conversations/${conversationId}`,
+      { headers: { 'Intercom-Version': '2.11' } },
+    );
+
+    if (response.ok) {
+      const data = await response.json();
+      return data;
+    }
+    return null;
+  } catch (error) {
+    console.error('Error fetching conversation from Intercom:', error);
+    return null;
+  }
+}
+
+// Helper function to get ticket details from Intercom Tickets API
+export async function getTicket(ticketId) {
+  try {
+    console.log(`  → Fetching ticket ${ticketId} from Intercom...`);
+    const response = await intercomApi.request(`/tickets/${ticketId}`);
+
+    console.log(`  → Ticket API response status: ${response.status}`);
+
+    if (response.ok) {
+      const data = await response.json();
+      console.log(
+        `  ✓ Ticket fetched successfully. Has attributes:`,
+        !!data.ticket_attributes,
+      );
+      return data;
+    } else {
+      const errorData = await response.json().catch(() => ({}));
+      console.error(`  ✗ Ticket API error (${response.status}):`, errorData);
+      return null;
+    }
+  } catch (error) {
+    console.error('  ✗ Error fetching ticket from Intercom:', error.message);
+    return null;
+  }
+}
+
+// Helper function to search tickets, following pagination until every match is collected
+export async function searchTickets(query) {
+  const tickets = [];
+  let startingAfter = null;
+
+  do {
+    const response = await intercomApi.request('/tickets/search', {
+      method: 'POST',
+      json: {
+        query,
+        pagination: {
+          per_page: 50,
+          ...(startingAfter ? { starting_after: startingAfter } : {}),
+        },
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(
+        `Intercom ticket search failed (${response.status}): ${errorText}`,
+      );
+    }
+
+    const data = await response.json();
+    tickets.push(...(data.tickets || []));
+    startingAfter = data.pages?.next?.starting_after || null;
+  } while (startingAfter);
+
+  console.log(`  ✓ Ticket search returned ${tickets.length} ticket(s)`);
+  return tickets;
+}
+
+// Helper function to update Intercom ticket attributes
+export async function updateTicketAttribute(ticketId, asanaTaskId) {
+  try {
+    console.log(
+      `Updating ticket ${ticketId} with Asana Task ID: ${asanaTaskId}`,
+    );
+    const response = await intercomApi.request(`/tickets/${ticketId}`, {
+      method: 'PUT',
+      json: {
+        ticket_attributes: {
+          'Asana Task ID': asanaTaskId, // Use exact field name with spaces
+        },
+      },
+    });
+
+    if (response.ok) {
+      const data = await response.json();
+      console.log('✓ Successfully updated ticket with Asana task ID');
+      console.log(
+        'Updated ticket attributes:',
+        data.ticket_attributes?.['Asana Task ID'],
+      );
+      return true;
+    } else {
+      const errorData = await response.json();
+      console.error('✗ Error updating ticket:', errorData);
+      return false;
+    }
+  } catch (error) {
+    console.error('✗ Error updating ticket attribute:', error);
+    return false;
+  }
+}
+
+// Helper function to update Intercom ticket Ticket Status field
+export async function updateTicketStatus(ticketId, status) {
+  try {
+    console.log(`Updating ticket ${ticketId} Ticket Status to: "${status}"`);
+
+    const response = await intercomApi.request(`/tickets/${ticketId}`, {
+      method: 'PUT',
+      json: {
+        ticket_attributes: {
+          'Ticket Status': status,
+        },
+      },
+    });
+
+    if (response.ok) {
+      console.log(`✓ Successfully updated Ticket Status to "${status}"`);
+      return true;
+    } else {
+      const errorData = await response.json();
+      console.error('✗ Error updating Ticket Status:', errorData);
+      return false;
+    }
+  } catch (error) {
+    console.error('Error updating Ticket Status:', error);
+    return false;
+  }
+}
+
+// Helper function to update Intercom ticket Asana Status field
+export async function updateTicketAsanaStatus(ticketId, status) {
+  try {
+    console.log(`Updating ticket ${ticketId} Asana Status to: "${status}"`);
+
+    const response = await intercomApi.request(`/tickets/${ticketId}`, {
+      method: 'PUT',
+      json: {
+        ticket_attributes: {
+          'Asana Status': status,
+        },
+      },
+    });
+
+    if (response.ok) {
+      console.log(`✓ Successfully updated Asana Status to "${status}"`);
+      return true;
+    } else {
+      const errorData = await response.json();
+      console.error('✗ Error updating Asana Status:', errorData);
+      return false;
+    }
+  } catch (error) {
+    console.error('Error updating Asana Status:', error);
+    return false;
+  }
+}
+
+// Helper function to update Intercom ticket state ID based on label or category
+// Optionally accepts ticket type ID for filtering states and shouldClose to close ticket in same request.
+// A mappedStateId from statusMappings.js is used as-is instead of matching labels.
+export async function updateTicketStateId(
+  ticketId,
+  labelOrCategory,
+  ticketTypeId = null,
+  shouldClose = false,
+  mappedStateId = null,
+) {
+  try {
+    const stateId =
+      mappedStateId || (await getTicketStateId(labelOrCategory, ticketTypeId));
+
+    if (!stateId) {
+      console.error(
+        `✗ Could not find ticket state ID for: "${labelOrCategory}"${ticketTypeId ? ` (ticket type: ${ticketTypeId})` : ''}`,
+      );
+
+      // Show available states from cache
+      const states = await initializeTicketStates();
+      if (states && states.length > 0) {
+        // Filter by ticket type if provided
+        const applicableStates = ticketTypeId
+          ? states.filter((state) =>
+              state.ticket_types?.data?.some(
+                (type) => String(type.id) === String(ticketTypeId),
+              ),
+            )
+          : states;
+
+        console.error(
+          `Available states${ticketTypeId ? ` for ticket type ${ticketTypeId}` : ''}:`,
+          applicableStates.map((s) => s.internal_label).join(', '),
+        );
+      }
+      return false;
+    }
+
+    console.log(
+      `Updating ticket ${ticketId} ticket_state_id to: "${stateId}" (${labelOrCategory})${shouldClose ? ' and closing ticket' : ''}`,
+    );
+
+    // Build request body - combine state update and close in one request
+    const requestBody = {
+      ticket_state_id: stateId,
+    };
+
+    // Add open: false if should close
+    if (shouldClose) {
+      requestBody.open = false;
+    }
+
+    const response = await intercomApi.request(`/tickets/${ticketId}`, {
+      method: 'PUT',
+      json: requestBody,
+    });
+
+    if (response.ok) {
+      console.log(
+        `✓ Successfully updated ticket_state_id to "${stateId}" (${labelOrCategory})${shouldClose ? ' and closed ticket' : ''}`,
+      );
+      return true;
+    } else {
+      const errorData = await response.json();
+      console.error('✗ Error updating ticket_state_id:', errorData);
+      return false;
+    }
+  } catch (error) {
+    console.error('Error updating ticket_state_id:', error);
+    return false;
+  }
+}
+
+// Helper function to update Intercom ticket Due Date from Asana Ticket Date
+export async function updateTicketDueDate(ticketId, asanaDateValue) {
+  try {
+    if (!asanaDateValue) {
+      console.log('  ℹ No date value provided, skipping Due Date update');
+      return false;
+    }
+
+    // Asana date fields return date in YYYY-MM-DD format or with date_time in ISO format
+    // We need to convert to Unix timestamp for Intercom
+    let dateString = null;
+
+    // Handle Asana date_value object (date field)
+    if (typeof asanaDateValue === 'object') {
+      // Prefer date_time if available (includes time), otherwise use date
+      dateString = asanaDateValue.date_time || asanaDateValue.date;
+    } else if (typeof asanaDateValue === 'string') {
+      dateString = asanaDateValue;
+    }
+
+    if (!dateString) {
+      console.log('  ⚠ Could not extract date from Asana date value');
+      return false;
+    }
+
+    // Convert to Unix timestamp (seconds)
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) {
+      console.error(`  ✗ Invalid date: "${dateString}"`);
+      return false;
+    }
+
+    const unixTimestamp = Math.floor(date.getTime() / 1000);
+    console.log(
+      `  Updating ticket ${ticketId} Due Date to: "${dateString}" (Unix: ${unixTimestamp})`,
+    );
+
+    const response = await intercomApi.request(`/tickets/${ticketId}`, {
+      method: 'PUT',
+      json: {
+        ticket_attributes: {
+          'Due Date': unixTimestamp,
+        },
+      },
+    });
+
+    if (response.ok) {
+      console.log(`  ✓ Successfully updated Due Date to "${dateString}"`);
+      return true;
+    } else {
+      const errorData = await response.json();
+      console.error('  ✗ Error updating Due Date:', errorData);
+      return false;
+    }
+  } catch (error) {
+    console.error('Error updating ticket Due Date:', error);
+    return false;
+  }
+}
+
+// Helper function to write several ticket attributes in one request
+// Throws if Intercom rejects the request so callers can capture the failure
+export async function updateTicketAttributes(ticketId, attributes) {
+  const response = await intercomApi.request(`/tickets/${ticketId}`, {
+    method: 'PUT',
+    json: { ticket_attributes: attributes },
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `Intercom ticket attribute update failed (${response.status}): ${JSON.stringify(errorData)}`,
+    );
+  }
+
+  console.log(
+    `  ✓ Updated ticket ${ticketId} attributes: ${Object.keys(attributes).join(', ')}`,
+  );
+  return true;
+}
+
+// Helper function to update a ticket's open flag, state and attributes in one request
+// Throws if Intercom rejects the request so callers can capture the failure
+export async function updateTicket(ticketId, data) {
+  const response = await intercomApi.request(`/tickets/${ticketId}`, {
+    method: 'PUT',
+    json: data,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `Intercom ticket update failed (${response.status}): ${JSON.stringify(errorData)}`,
+    );
+  }
+
+  console.log(
+    `  ✓ Updated ticket ${ticketId}: ${Object.keys(data).join(', ')}`,
+  );
+  return true;
+}
+
+// Helper function to post a private note (optionally with attachments) to an Intercom conversation
+// Throws if Intercom rejects the request so callers can capture the failure
+export async function postIntercomNote(
+  conversationId,
+  body,
+  attachmentUrls = [],
+) {
+  const replyBody = {
+    message_type: 'note',
+    type: 'admin',
+    admin_id: INTERCOM_ADMIN_ID,
+    body,
+  };
+  if (attachmentUrls.length > 0) {
+    replyBody.attachment_urls = attachmentUrls;
+  }
+
+  const response = await intercomApi.request(
+    `/conversations/${conversationId}/reply`,
+    { method: 'POST', json: replyBody },
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `Intercom note post failed (${response.status}): ${JSON.stringify(errorData)}`,
+    );
+  }
+
+  return response.json();
+}
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import { createJsonFileStore } from './jsonFileStore.js';
+
+/*
+  Persistent job queue used to process webhook events after they've been acknowledged.
+
+  - Jobs are persisted to DATA_DIR before the webhook responds, so a restart
+    picks the backlog back up instead of dropping it.
+  - Jobs that share a `key` (e.g. an Asana task GID) run strictly in enqueue order;
+    jobs with different keys run in parallel up to `concurrency`.
+  - A job whose handler throws is retried with exponential backoff; while it waits,
+    later jobs with the same key wait behind it. After `maxAttempts` the job is
+    handed to `onJobFailed` and removed from the backlog.
+  - With `inline: true` (serverless hosts, where nothing runs after the response) enqueue()
+    runs the job straight away and resolves when it's done; a failure goes to `onJobFailed`
+    without retries.
+  enqueue() returns a promise either way, so callers await it before responding.
+*/
+export function createJobQueue({
+  name,
+  handlers,
+  concurrency = 2,
+  maxAttempts = 5,
+  retryBaseDelayMs = 2000,
+  onJobFailed = null,
+  inline = false,
+}) {
+  const store = createJsonFileStore(`${name}-jobs.json`, { jobs: [] });
+  const activeKeys = new Set();
+  let activeCount = 0;
+  let retryTimer = null;
+
+  async function enqueue(type, key, payload) {
+    if (!handlers[type]) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      key: String(key),
+      payload,
+      attempts: 0,
+      enqueued_at: new Date().toISOString(),
+      available_at: Date.now(),
+      last_error: null,
+    };
+    if (inline) {
+      console.log(`  → Running ${type} job ${job.id} inline (key: ${job.key})`);
+      await runInline(job);
+      return job;
+    }
+
+    store.update((data) => {
+      data.jobs.push(job);
+    });
+    console.log(`  → Queued ${type} job ${job.id} (key: ${job.key})`);
+
+    // Start processing on the next tick so the webhook response goes out first
+    setImmediate(pump);
+    return job;
+  }
+
+  // Helper function to find the next runnable job, respecting per-key ordering
+  function nextRunnableJob(now) {
+    const blockedKeys = new Set(activeKeys);
+    for (const job of store.read().jobs) {
+      if (blockedKeys.has(job.key)) continue;
+      // Only the oldest job for a key may run; later ones wait behind it
+      blockedKeys.add(job.key);
+      if (job.available_at <= now) return job;
+    }
+    return null;
+  }
+
+  // Helper function to wake up when the earliest delayed retry becomes available
+  // (jobs that are already available get picked up when a running job finishes)
+  function scheduleRetryWakeup() {
+    const now = Date.now();
+    const delayed = store
+      .read()
+      .jobs.filter((job) => job.available_at > now)
+      .map((job) => job.available_at);
+    if (delayed.length === 0) return;
+
+    const wait = Math.min(...delayed) - now;
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(pump, wait);
+    retryTimer.unref?.();
+  }
+
+  function pump() {
+    while (activeCount < concurrency) {
+      const job = nextRunnableJob(Date.now());
+      if (!job) break;
+      runJob(job);
+    }
+    scheduleRetryWakeup();
+  }
+
+  async function runJob(job) {
+    activeCount += 1;
+    activeKeys.add(job.key);
+
+    try {
+      await handlers[job.type](job.payload, job);
+      store.update((data) => {
+        data.jobs = data.jobs.filter((queued) => queued.id !== job.id);
+      });
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      console.error(
+        `✗ Job ${job.id} (${job.type}) failed on attempt ${attempts}/${maxAttempts}:`,
+        error.message,
+      );
+
+      if (attempts >= maxAttempts) {
+        store.update((data) => {
+          data.jobs = data.jobs.filter((queued) => queued.id !== job.id);
+        });
+        if (onJobFailed) {
+          try {
+            await onJobFailed({ ...job, attempts }, error);
+          } catch (hookError) {
+            console.error('✗ onJobFailed hook threw:', hookError.message);
+          }
+        }
+      } else {
+        // Exponential backoff with jitter
+        const delay =
+          retryBaseDelayMs * 2 ** (attempts - 1) * (0.5 + Math.random());
+        store.update((data) => {
+          const queued = data.jobs.find((entry) => entry.id === job.id);
+          if (queued) {
+            queued.attempts = attempts;
+            queued.available_at = Date.now() + delay;
+            queued.last_error = error.message;
+          }
+        });
+      }
+    } finally {
+      activeCount -= 1;
+      activeKeys.delete(job.key);
+      setImmediate(pump);
+    }
+  }
+
+  // Helper function to run a job before the webhook responds, failing straight to onJobFailed
+  async function runInline(job) {
+    activeCount += 1;
+    try {
+      await handlers[job.type](job.payload, job);
+    } catch (error) {
+      console.error(`✗ Job ${job.id} (${job.type}) failed:`, error.message);
+      if (onJobFailed) {
+        try {
+          await onJobFailed({ ...job, attempts: 1 }, error);
+        } catch (hookError) {
+          console.error('✗ onJobFailed hook threw:', hookError.message);
+        }
+      }
+    } finally {
+      activeCount -= 1;
+    }
+  }
+
+  // Resume any backlog left from a previous run
+  function start() {
+    const pending = store.read().jobs.length;
+    if (pending > 0) {
+      console.log(`↻ Resuming ${pending} queued ${name} job(s)`);
+    }
+    pump();
+  }
+
+  function stats() {
+    const jobs = store.read().jobs;
+    return {
+      mode: inline ? 'inline' : 'background',
+      pending: jobs.length,
+      active: activeCount,
+      retrying: jobs.filter((job) => job.attempts > 0).length,
+      concurrency,
+    };
+  }
+
+  return { enqueue, start, stats };
+}
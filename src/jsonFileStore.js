@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directory used for all persisted state (secrets, links, ledgers)
+// Override with DATA_DIR, e.g. to a mounted volume in production
+export const DATA_DIR =
+  process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Small JSON document store backed by a single file in DATA_DIR
+// Reads are cached in memory until the file changes on disk (the CLI runs as a separate
+// process and writes the same files); writes go to a temp file first and are renamed into place
+export function createJsonFileStore(fileName, defaultValue = {}) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let cache = null;
+  let cacheMtimeMs = null;
+
+  // Helper function to get the file's modification time, or null if it doesn't exist yet
+  function getMtimeMs() {
+    try {
+      return fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function read({ fresh = false } = {}) {
+    const mtimeMs = getMtimeMs();
+    if (cache && !fresh && mtimeMs === cacheMtimeMs) return cache;
+
+    try {
+      cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`✗ Could not read ${filePath}:`, error.message);
+      }
+      cache = JSON.parse(JSON.stringify(defaultValue));
+    }
+    cacheMtimeMs = mtimeMs;
+    return cache;
+  }
+
+  function write(data) {
+    cache = data;
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+      cacheMtimeMs = getMtimeMs();
+      return true;
+    } catch (error) {
+      console.error(`✗ Could not write ${filePath}:`, error.message);
+      return false;
+    }
+  }
+
+  // Apply a mutation to the document as it is on disk and persist the result
+  // Re-reading first keeps entries another process wrote since our last read
+  function update(mutator) {
+    const data = read({ fresh: true });
+    const result = mutator(data);
+    write(data);
+    return result;
+  }
+
+  return { filePath, read, write, update };
+}
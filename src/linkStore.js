@@ -0,0 +1,185 @@
+import fetch from 'node-fetch';
+import { createJsonFileStore } from './jsonFileStore.js';
+
+/*
+  Durable store for Asana task ↔ Intercom ticket links.
+
+  A link record looks like:
+    {
+      task_gid, project_gid, conversation_id, ticket_id, ticket_type_id, created_at
+    }
+
+  Records are written under `task:<gid>`, with `ticket:<id>` and `conversation:<id>`
+  index keys pointing back at the task GID. Unlinking a ticket leaves an `unlinked:<id>`
+  tombstone { task_gid, unlinked_at } so automatic creation doesn't give it a new task; linking
+  the ticket again clears it.
+
+  Storage is pluggable. A backend is any object with async methods:
+    get(key) → value or null
+    set(key, value)
+    delete(key)
+  Two backends ship here: a JSON file in DATA_DIR (default) and a REST key-value
+  adapter for hosted KV services (Upstash / Vercel KV compatible).
+*/
+
+// JSON file backend - used for local and single-instance deployments
+export function createJsonFileBackend(fileName = 'task-links.json') {
+  const store = createJsonFileStore(fileName);
+  return {
+    name: 'file',
+    async get(key) {
+      return store.read()[key] ?? null;
+    },
+    async set(key, value) {
+      store.update((data) => {
+        data[key] = value;
+      });
+    },
+    async delete(key) {
+      store.update((data) => {
+        delete data[key];
+      });
+    },
+  };
+}
+
+// Hosted KV backend - speaks the Redis-over-REST protocol used by Upstash and Vercel KV
+export function createRestKvBackend({
+  url,
+  token,
+  prefix = 'intercom-asana:',
+}) {
+  const request = async (command, key, value) => {
+    const response = await fetch(
+      `${url}/${command}/${encodeURIComponent(prefix + key)}`,
+      {
+        method: value === undefined ? 'GET' : 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: value === undefined ? undefined : JSON.stringify(value),
+      },
+    );
+    if (!response.ok) {
+      throw new Error(`KV ${command} failed with status ${response.status}`);
+    }
+    const data = await response.json();
+    return data.result;
+  };
+
+  return {
+    name: 'kv',
+    async get(key) {
+      const result = await request('get', key);
+      return result ? JSON.parse(result) : null;
+    },
+    async set(key, value) {
+      await request('set', key, value);
+    },
+    async delete(key) {
+      await request('del', key);
+    },
+  };
+}
+
+// Wrap a backend with link-specific lookups
+export function createLinkStore(backend) {
+  async function getByTask(taskGid) {
+    if (!taskGid) return null;
+    return backend.get(`task:${taskGid}`);
+  }
+
+  async function getByIndex(indexKey) {
+    const taskGid = await backend.get(indexKey);
+    return taskGid ? getByTask(taskGid) : null;
+  }
+
+  return {
+    backendName: backend.name,
+
+    getByTask,
+
+    async getByTicket(ticketId) {
+      if (!ticketId) return null;
+      return getByIndex(`ticket:${ticketId}`);
+    },
+
+    async getByConversation(conversationId) {
+      if (!conversationId) return null;
+      return getByIndex(`conversation:${conversationId}`);
+    },
+
+    async save(link) {
+      const record = {
+        task_gid: String(link.task_gid),
+        project_gid: link.project_gid ? String(link.project_gid) : null,
+        conversation_id: link.conversation_id
+          ? String(link.conversation_id)
+          : null,
+        ticket_id: link.ticket_id ? String(link.ticket_id) : null,
+        ticket_type_id: link.ticket_type_id
+          ? String(link.ticket_type_id)
+          : null,
+        created_at: link.created_at || new Date().toISOString(),
+      };
+
+      await backend.set(`task:${record.task_gid}`, record);
+      if (record.ticket_id) {
+        await backend.set(`ticket:${record.ticket_id}`, record.task_gid);
+        await backend.delete(`unlinked:${record.ticket_id}`);
+      }
+      if (record.conversation_id) {
+        await backend.set(
+          `conversation:${record.conversation_id}`,
+          record.task_gid,
+        );
+      }
+      return record;
+    },
+
+    async remove(taskGid) {
+      const record = await getByTask(taskGid);
+      if (!record) return false;
+
+      await backend.delete(`task:${record.task_gid}`);
+      if (record.ticket_id) {
+        await backend.delete(`ticket:${record.ticket_id}`);
+      }
+      if (record.conversation_id) {
+        await backend.delete(`conversation:${record.conversation_id}`);
+      }
+      return true;
+    },
+
+    // Record that a teammate unlinked the ticket on purpose
+    async markUnlinked(ticketId, taskGid) {
+      await backend.set(`unlinked:${ticketId}`, {
+        task_gid: String(taskGid),
+        unlinked_at: new Date().toISOString(),
+      });
+    },
+
+    async getUnlinked(ticketId) {
+      if (!ticketId) return null;
+      return backend.get(`unlinked:${ticketId}`);
+    },
+  };
+}
+
+// Pick the backend from env: LINK_STORE_BACKEND=kv uses KV_REST_API_URL / KV_REST_API_TOKEN
+function createDefaultBackend() {
+  if (process.env.LINK_STORE_BACKEND === 'kv') {
+    if (!process.env.KV_REST_API_URL || !process.env.KV_REST_API_TOKEN) {
+      throw new Error(
+        'LINK_STORE_BACKEND=kv requires KV_REST_API_URL and KV_REST_API_TOKEN',
+      );
+    }
+    return createRestKvBackend({
+      url: process.env.KV_REST_API_URL,
+      token: process.env.KV_REST_API_TOKEN,
+    });
+  }
+  return createJsonFileBackend();
+}
+
+const linkStore = createLinkStore(createDefaultBackend());
+
+export default linkStore;
@@ -0,0 +1,79 @@
+import projects from './projects.js';
+
+/*
+  Rule-based routing of Intercom tickets to the Asana projects in projects.js.
+
+  Each project may declare `rules`. A rule matches when all of its conditions match,
+  and a project matches when any of its rules does:
+    rules: [
+      { attributes: { 'E-Wallet': 'SSG' } },
+      { ticketType: 'Missing Deposit', attributes: { Timezone: ['GMT+5', 'GMT+6'] } },
+    ]
+  `attributes` are compared against the ticket's ticket_attributes, `ticketType` against the
+  ticket type's name or ID. Values compare case-insensitively; an array matches any of its values.
+  Projects are checked in projects.js order and the first match wins.
+*/
+
+function valueMatches(actual, expected) {
+  if (actual === undefined || actual === null || actual === '') return false;
+  const candidates = Array.isArray(expected) ? expected : [expected];
+  const normalized = String(actual).trim().toLowerCase();
+  return candidates.some(
+    (candidate) => String(candidate).trim().toLowerCase() === normalized,
+  );
+}
+
+function ruleMatches(rule, ticket) {
+  const attributeConditions = Object.entries(rule.attributes || {});
+
+  // A rule without conditions would match every ticket - treat it as a mistake
+  if (rule.ticketType === undefined && attributeConditions.length === 0) {
+    return false;
+  }
+
+  if (rule.ticketType !== undefined) {
+    const ticketType = ticket?.ticket_type;
+    if (
+      !valueMatches(ticketType?.name, rule.ticketType) &&
+      !valueMatches(ticketType?.id, rule.ticketType)
+    ) {
+      return false;
+    }
+  }
+
+  const attributes = ticket?.ticket_attributes || {};
+  return attributeConditions.every(([name, expected]) =>
+    valueMatches(attributes[name], expected),
+  );
+}
+
+// Helper function to describe a rule for logs and the canvas, e.g. "E-Wallet is SSG"
+export function describeRule(rule) {
+  const format = (value) =>
+    Array.isArray(value) ? value.join(' or ') : String(value);
+  const parts = [];
+  if (rule.ticketType !== undefined) {
+    parts.push(`ticket type is ${format(rule.ticketType)}`);
+  }
+  for (const [name, expected] of Object.entries(rule.attributes || {})) {
+    parts.push(`${name} is ${format(expected)}`);
+  }
+  return parts.join(' and ');
+}
+
+// Helper function to check whether any project declares routing rules
+// Without any, no ticket is ever routed and teammates pick every project themselves
+export function hasRoutingRules(projectList = projects) {
+  return projectList.some((project) => (project.rules || []).length > 0);
+}
+
+// Find the project whose rules match the ticket - returns { project, rule } or null
+export function matchProjectForTicket(ticket, projectList = projects) {
+  for (const project of projectList) {
+    const rule = (project.rules || []).find((candidate) =>
+      ruleMatches(candidate, ticket),
+    );
+    if (rule) return { project, rule };
+  }
+  return null;
+}
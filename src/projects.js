@@ -1,25 +1,31 @@
-// Asana projects for different payment methods
-// Each project corresponds to a specific payment method for missing deposit tickets
+// Asana projects for missing deposit tickets, one per payment method.
+// Options (rules, defaultSection, requiredFields, completeTaskOnClose, taskActions, ...) are
+// described in the README under "Project Routing".
 const projects = [
   {
     name: 'SSG-MISSING-DP',
     id: '1212781780077853',
+    defaultSection: 'CS Inquiry',
   },
   {
     name: 'TM-MISSING-DP',
     id: '1213058883836151',
+    defaultSection: 'CS Inquiry',
   },
   {
     name: 'BKK-MISSING-DP',
     id: '1213061373984086',
+    defaultSection: 'CS Inquiry',
   },
   {
     name: 'BNS-MISSING-DP',
     id: '1213061373984089', // BNS-MISSING-DP
+    defaultSection: 'CS Inquiry',
   },
   {
     name: 'SLPAY-MISSING-DP',
     id: '1213061373984092',
+    defaultSection: 'CS Inquiry',
   },
 ];
 
@@ -0,0 +1,27 @@
+// Asana Ticket Status ↔ Intercom ticket state mapping (see ticketStateMapping.js)
+//
+// Without an entry for a status, the state is guessed by matching the status name against the
+// states' internal label, external label and category; a state without an entry maps back to
+// the status named like its internal label. Entries make the mapping explicit:
+//   project      - optional projects.js id; the entry only applies to tasks in that project
+//   ticketTypeId - optional Intercom ticket type ID; only applies to tickets of that type
+//   asanaToIntercom - Ticket Status option name → Intercom ticket state ID. Several statuses
+//                     may share one state.
+//   intercomToAsana - ticket state ID → Ticket Status option name, for Intercom → Asana sync.
+//                     A state only one status maps to is reversed automatically; a state
+//                     shared by several statuses must be listed here.
+// Entries are checked in order and the first one in scope that maps the value wins, so put
+// project/ticket type specific entries before general ones. Every state ID and option name
+// is checked against Intercom and Asana at startup, e.g.
+//   {
+//     project: '1212781780077853',
+//     asanaToIntercom: {
+//       'PYT Checking': '4',
+//       'PYT Rechecking': '4',
+//       'Resolved': '7',
+//     },
+//     intercomToAsana: { 4: 'PYT Checking' },
+//   },
+const statusMappings = [];
+
+export default statusMappings;
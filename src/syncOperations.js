@@ -0,0 +1,141 @@
+import {
+  addDeadLetter,
+  recordDeadLetterAttempt,
+  removeDeadLetter,
+} from './deadLetterStore.js';
+import {
+  postAsanaStory,
+  updateAsanaTask,
+  uploadAttachmentToAsana,
+} from './asana.js';
+import {
+  postIntercomNote,
+  updateTicketStateId,
+  updateTicketAttribute,
+  updateTicketAttributes,
+  updateTicketDueDate,
+  updateTicket,
+  getTicketStateId,
+  initializeTicketStates,
+} from './intercom.js';
+import { getMappedTicketStateId } from './ticketStateMapping.js';
+
+/*
+  Sync operations that can be captured in the dead-letter store and replayed later.
+  Each executor receives the operation payload and returns a truthy value on success
+  (or throws). A falsy result counts as a failure.
+*/
+const syncOperations = {
+  'asana.story': ({ task_gid, text }) => postAsanaStory(task_gid, text),
+  'asana.attachment': ({ task_gid, url }) =>
+    uploadAttachmentToAsana(task_gid, url),
+  'asana.custom_fields': ({ task_gid, custom_fields }) =>
+    updateAsanaTask(task_gid, { custom_fields }),
+  'asana.task': ({ task_gid, data }) => updateAsanaTask(task_gid, data),
+  'intercom.note': ({ conversation_id, body, attachment_urls }) =>
+    postIntercomNote(conversation_id, body, attachment_urls),
+  // The mapping is looked up when the operation runs, so replays use the current statusMappings.js
+  // A status no ticket state matches is a configuration gap, not a failed call - it's skipped
+  // instead of becoming a dead letter that could never be replayed
+  'intercom.ticket_state': async ({
+    ticket_id,
+    status,
+    ticket_type_id,
+    project_id,
+    close,
+  }) => {
+    const stateId =
+      getMappedTicketStateId(status, {
+        projectId: project_id,
+        ticketTypeId: ticket_type_id,
+      }) || (await findTicketStateId(status, ticket_type_id));
+    if (!stateId) {
+      console.log(
+        `  ⊘ No Intercom ticket state matches "${status}" - ticket ${ticket_id} left as is (map it in statusMappings.js)`,
+      );
+      return { skipped: true };
+    }
+    return updateTicketStateId(
+      ticket_id,
+      status,
+      ticket_type_id,
+      close,
+      stateId,
+    );
+  },
+  'intercom.asana_task_id': ({ ticket_id, task_gid }) =>
+    updateTicketAttribute(ticket_id, task_gid),
+  'intercom.ticket_attributes': ({ ticket_id, attributes }) =>
+    updateTicketAttributes(ticket_id, attributes),
+  'intercom.due_date': ({ ticket_id, date_value }) =>
+    updateTicketDueDate(ticket_id, date_value),
+  'intercom.ticket': ({ ticket_id, data }) => updateTicket(ticket_id, data),
+};
+
+// Helper function to match a status against Intercom's ticket states by label
+// Throws when the states can't be loaded - that's an API failure worth a dead letter
+async function findTicketStateId(status, ticketTypeId) {
+  const states = await initializeTicketStates();
+  if (!states || states.length === 0) {
+    throw new Error('Could not load Intercom ticket states');
+  }
+  return getTicketStateId(status, ticketTypeId);
+}
+
+// Register an executor that lives outside this module (e.g. the webhook queue's "job")
+export function registerSyncOperation(operation, executor) {
+  syncOperations[operation] = executor;
+}
+
+// Helper function to run a sync operation, capturing it as a dead letter if it fails
+// Returns the executor's result, or null if the operation failed
+export async function runSyncOperation(operation, payload, targets = {}) {
+  let result = null;
+  let failure = null;
+
+  try {
+    result = await syncOperations[operation](payload);
+    if (!result) {
+      failure = new Error(
+        `${operation} did not succeed (see logs for details)`,
+      );
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  if (failure) {
+    console.error(`  ✗ ${operation} failed:`, failure.message);
+    addDeadLetter({ operation, payload, targets, error: failure });
+    return null;
+  }
+
+  return result;
+}
+
+// Helper function to replay a dead letter; removes it on success
+export async function replayDeadLetter(entry) {
+  try {
+    const result = await syncOperations[entry.operation](entry.payload);
+    if (!result) {
+      throw new Error(
+        `${entry.operation} did not succeed (see logs for details)`,
+      );
+    }
+    removeDeadLetter(entry.id);
+    console.log(`✓ Replayed dead letter ${entry.id} (${entry.operation})`);
+    return { id: entry.id, status: 'replayed' };
+  } catch (error) {
+    const updated = recordDeadLetterAttempt(entry.id, error);
+    console.error(
+      `✗ Replay of dead letter ${entry.id} (${entry.operation}) failed:`,
+      error.message,
+    );
+    return {
+      id: entry.id,
+      status: 'failed',
+      error: error.message,
+      attempts: updated?.attempts,
+    };
+  }
+}
@@ -0,0 +1,170 @@
+import projects from './projects.js';
+import { getAsanaSections } from './asana.js';
+import { initializeTicketStates } from './intercom.js';
+
+/*
+  Ticket actions triggered by Asana task completion and section moves, configured per
+  project in projects.js:
+    taskActions: {
+      completed: { close: true },
+      uncompleted: { reopen: true },
+      sections: {
+        Done: { close: true },
+        Escalated: { state: '5', attributes: { Remark: 'Escalated' } },
+      },
+    }
+  An action can close or reopen the ticket, set a ticket state (Intercom ticket state ID) and
+  write ticket attributes; all of it is sent in a single ticket update. Section names must
+  match the project's sections exactly.
+*/
+
+const ACTION_KEYS = ['close', 'reopen', 'state', 'attributes'];
+
+// Helper function to check one configured action, naming the project and trigger on failure
+function validateAction(action, label) {
+  if (!action || typeof action !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  const unknownKeys = Object.keys(action).filter(
+    (key) => !ACTION_KEYS.includes(key),
+  );
+  if (unknownKeys.length > 0) {
+    throw new Error(
+      `${label} has unknown option(s) ${unknownKeys.join(', ')} (expected ${ACTION_KEYS.join(', ')})`,
+    );
+  }
+  if (action.close && action.reopen) {
+    throw new Error(`${label} can't both close and reopen the ticket`);
+  }
+  if (
+    action.attributes !== undefined &&
+    (typeof action.attributes !== 'object' || Array.isArray(action.attributes))
+  ) {
+    throw new Error(`${label}.attributes must map attribute names to values`);
+  }
+}
+
+// Fail fast on typos - a misspelled option would silently do nothing
+for (const project of projects) {
+  const { taskActions } = project;
+  if (!taskActions) continue;
+  const label = `projects.js ${project.name} taskActions`;
+  for (const trigger of ['completed', 'uncompleted']) {
+    if (taskActions[trigger]) {
+      validateAction(taskActions[trigger], `${label}.${trigger}`);
+    }
+  }
+  for (const [sectionName, action] of Object.entries(
+    taskActions.sections || {},
+  )) {
+    validateAction(action, `${label}.sections["${sectionName}"]`);
+  }
+}
+
+/*
+  Pick the action for an Asana webhook event on a task in one of our projects:
+    - task changed with change.field "completed" → completed / uncompleted
+    - task added to a section → sections[<section name>]
+  Returns { trigger, action } or null when the project configures nothing for the event.
+  taskData is the full task, used for its completed flag and section names.
+*/
+export function getTaskActionForEvent(project, event, taskData) {
+  const taskActions = project?.taskActions;
+  if (!taskActions) return null;
+
+  if (event.action === 'changed' && event.change?.field === 'completed') {
+    const trigger = taskData.completed ? 'completed' : 'uncompleted';
+    return taskActions[trigger]
+      ? { trigger, action: taskActions[trigger] }
+      : null;
+  }
+
+  if (event.action === 'added' && event.parent?.resource_type === 'section') {
+    const membership = (taskData.memberships || []).find(
+      (candidate) => candidate.section?.gid === event.parent.gid,
+    );
+    const sectionName = membership?.section?.name;
+    const action = sectionName && taskActions.sections?.[sectionName];
+    return action ? { trigger: `section "${sectionName}"`, action } : null;
+  }
+
+  return null;
+}
+
+// Helper function to turn an action into the body of an Intercom ticket update
+export function buildTicketUpdate(action) {
+  const update = {};
+  if (action.close) update.open = false;
+  if (action.reopen) update.open = true;
+  if (action.state) update.ticket_state_id = String(action.state);
+  if (action.attributes && Object.keys(action.attributes).length > 0) {
+    update.ticket_attributes = action.attributes;
+  }
+  return update;
+}
+
+/*
+  Check every configured ticket state ID against Intercom and every section name against
+  the project's Asana sections. Run once at startup. Returns a list of problems, each
+  logged with ✗; an empty list means the actions are valid.
+*/
+export async function validateTaskActions() {
+  const configured = projects.filter((project) => project.taskActions);
+  if (configured.length === 0) return [];
+
+  const problems = [];
+  const states = await initializeTicketStates();
+
+  for (const project of configured) {
+    const { taskActions } = project;
+    const label = `projects.js ${project.name} taskActions`;
+    const actions = [
+      taskActions.completed,
+      taskActions.uncompleted,
+      ...Object.values(taskActions.sections || {}),
+    ].filter(Boolean);
+
+    if (states && states.length > 0) {
+      for (const action of actions) {
+        if (
+          action.state &&
+          !states.some((state) => String(state.id) === String(action.state))
+        ) {
+          problems.push(
+            `${label}: Intercom ticket state ${action.state} does not exist`,
+          );
+        }
+      }
+    } else {
+      console.warn(
+        `⚠ Could not load Intercom ticket states - ${project.name} task action states were not checked`,
+      );
+    }
+
+    const sectionNames = Object.keys(taskActions.sections || {});
+    if (sectionNames.length > 0) {
+      const sections = await getAsanaSections(project.id);
+      if (!sections) {
+        console.warn(
+          `⚠ Could not load sections for ${project.name} - task action sections were not checked`,
+        );
+        continue;
+      }
+      for (const sectionName of sectionNames) {
+        if (!sections.some((section) => section.name === sectionName)) {
+          problems.push(
+            `${label}: section "${sectionName}" does not exist in the project`,
+          );
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error('✗ Task actions reference values that do not exist:');
+    problems.forEach((problem) => console.error(`  ✗ ${problem}`));
+  } else {
+    console.log(`✓ Validated task actions for ${configured.length} project(s)`);
+  }
+  return problems;
+}
@@ -0,0 +1,1303 @@
+import { ASANA_WORKSPACE } from './config.js';
+import {
+  asanaApi,
+  ASANA_CUSTOM_FIELDS,
+  getAsanaCustomFields,
+  getAsanaEnumOptionId,
+  getAsanaSectionId,
+  getAsanaTask,
+  getAsanaTaskAttachmentNames,
+  getAttachmentFileName,
+  initializeCustomFieldMappings,
+  updateAsanaTask,
+  uploadAttachmentToAsana,
+  addTaskToProject,
+  removeTaskFromProject,
+} from './asana.js';
+import { getTicket, getContactName, searchTickets } from './intercom.js';
+import {
+  formatDateForAsana,
+  formatDateForAsanaDateField,
+  extractAttachmentUrls,
+  isValidUrl,
+  isValidDueDate,
+  getDueDateInDays,
+} from './fieldFormatting.js';
+import { runSyncOperation } from './syncOperations.js';
+import { syncsToAsana, getTaskFieldChanges } from './fieldSync.js';
+import { recordSyncedWrite, isEchoedWrite } from './echoGuard.js';
+import { getTicketAsanaStatus } from './ticketStateMapping.js';
+import {
+  matchProjectForTicket,
+  describeRule,
+  hasRoutingRules,
+} from './projectRouting.js';
+import whitelistStatus from './whitelistStatus.js';
+import projects from './projects.js';
+import linkStore from './linkStore.js';
+
+/*
+  Task creation service - turns an Intercom ticket into an Asana task.
+
+  Shared by the canvas "Create Task" button, webhook-triggered creation, the bulk backfill
+  and the CLI (src/cli.js). Syncs ticket attributes into the project's custom fields,
+  uploads file attributes as attachments, saves the task ID on the ticket and stores the
+  task ↔ ticket link. Existing tasks can be linked with linkTaskToTicket(), and links can
+  be removed or moved to another project with unlinkTaskFromTicket() / moveTaskToProject().
+  Later attribute edits on the ticket are copied to the task by syncTicketChangesToTask(), and
+  state changes, closes and reopens by syncTicketStateToTask().
+*/
+
+/*
+  options:
+    projectId      - Asana project GID; picked by the routing rules in projects.js when omitted
+    conversationId - Intercom conversation to link (defaults to the ticket ID, which customer
+                     tickets share with their conversation)
+    contact        - { id, name, email } of the requester when already known (e.g. from the canvas)
+    sectionId, assignee, dueOn
+                   - where the task goes (section GID, user GID or email, YYYY-MM-DD); left
+                     out, the project's defaultSection / defaultAssignee / defaultDueInDays apply
+    dryRun         - map the fields and stop before anything is written
+
+  Returns:
+    {
+      status: 'created' | 'exists' | 'unrouted' | 'dry_run' | 'missing_fields',
+      ticketId, taskId, taskName, projectId, ticket,
+      fields: { synced: [{ name, gid, value }], skipped: [{ name, reason, value? }] },
+      missingFields: [name],  // the project's requiredFields that got no value
+      placement: { sectionId, assignee, dueOn },
+      attachments: [{ index, url, status, permanentUrl?, error? }],
+    }
+  A task is only created when every field in the project's `requiredFields` has a value;
+  otherwise the result has status 'missing_fields'.
+  Throws if the ticket can't be fetched or Asana rejects the task.
+*/
+export async function createTaskForTicket(ticketId, options = {}) {
+  const { contact = {}, dryRun = false } = options;
+  let { projectId } = options;
+
+  console.log(`Creating Asana task for ticket ${ticketId}`);
+
+  const ticket = await getTicket(ticketId);
+
+  // Validate ticket was fetched successfully
+  if (!ticket) {
+    console.error('❌ TICKET FETCH FAILED');
+    console.error('Ticket ID used:', ticketId);
+    throw new Error('Failed to fetch ticket details');
+  }
+
+  console.log('✓ Ticket validation passed');
+  console.log('Ticket ID:', ticket.id || 'N/A');
+  console.log('Ticket has attributes:', !!ticket.ticket_attributes);
+  console.log('Ticket has state:', !!ticket.ticket_state);
+
+  // Check if Asana task already exists for this ticket (attribute or stored link)
+  const storedLink = await linkStore.getByTicket(ticketId);
+  const existingTaskId =
+    ticket.ticket_attributes?.['Asana Task ID'] || storedLink?.task_gid;
+  if (existingTaskId) {
+    console.log('Ticket already linked to Asana task:', existingTaskId);
+    return { status: 'exists', ticketId, taskId: existingTaskId, ticket };
+  }
+
+  // Customer tickets share their ID with the underlying conversation
+  const conversationId = options.conversationId || ticket.id;
+
+  // Fall back to the routing rules when no project was chosen
+  if (!projectId) {
+    const match = matchProjectForTicket(ticket);
+    if (!match) {
+      console.log(
+        hasRoutingRules()
+          ? 'No routing rule matched this ticket - not creating a task'
+          : 'No project in projects.js declares routing rules - pass a project to create the task',
+      );
+      return { status: 'unrouted', ticketId, ticket };
+    }
+    projectId = match.project.id;
+    console.log(
+      `Routing rules matched project ${match.project.name} (${describeRule(match.rule)})`,
+    );
+  }
+  console.log('Project ID:', projectId);
+  const project = projects.find(
+    (candidate) => String(candidate.id) === String(projectId),
+  );
+
+  // Fetch the project's fields and the contact name in parallel
+  const contactId = contact.id || ticket.contacts?.contacts?.[0]?.id;
+  const contactNameFromBody = contact.name;
+
+  console.log('Contact ID:', contactId);
+  console.log('Contact Name from body:', contactNameFromBody);
+
+  const [asanaCustomFieldSettings, contactNameFromApi] = await Promise.all([
+    getAsanaCustomFields(projectId), // Pass selected project ID
+    // Only fetch contact name if not in request body and we have a contact ID
+    !contactNameFromBody && contactId
+      ? getContactName(contactId)
+      : Promise.resolve(null),
+  ]);
+
+  console.log(
+    'Asana fields result:',
+    asanaCustomFieldSettings
+      ? `${asanaCustomFieldSettings.length} fields`
+      : '❌ NULL/UNDEFINED',
+  );
+  console.log('Contact name result:', contactNameFromApi || 'Not fetched');
+
+  // Ensure custom fields are initialized (pass already-fetched settings to avoid refetch)
+  await initializeCustomFieldMappings(asanaCustomFieldSettings);
+
+  // Determine contact name
+  const contactName =
+    contactNameFromBody || contactNameFromApi || 'Unknown Contact';
+
+  const ticketAttrs = ticket?.ticket_attributes || {};
+
+  // Map the Intercom ticket state to a Ticket Status (statusMappings.js, then the state's label)
+  // Tickets without a state start as "Submitted"
+  const ticketStatus = ticket?.ticket_state
+    ? getTicketAsanaStatus(ticket, { projectId })
+    : 'Submitted';
+
+  console.log('Ticket Status from Intercom ticket_state:', ticketStatus);
+  console.log('\n===== DYNAMIC FIELD SYNC FROM INTERCOM TO ASANA =====');
+
+  if (!asanaCustomFieldSettings || asanaCustomFieldSettings.length === 0) {
+    console.warn('⚠ No custom fields found in Asana project');
+  }
+
+  // Handle file upload fields for attachments
+  let attachmentUrls = [];
+
+  console.log('\n===== FILE UPLOAD PROCESSING FROM TICKET =====');
+
+  // Build basic task notes
+  const taskNotes = `Task created from Intercom conversation ${conversationId}
+
+Contact Information:
+- Name: ${contactName}
+- Email: ${contact.email || 'N/A'}`;
+
+  // Build custom fields object for Asana dynamically
+  const customFields = {};
+
+  // Field mapping outcome, returned to the caller
+  const fields = { synced: [], skipped: [] };
+
+  // Process each Asana custom field
+  if (asanaCustomFieldSettings && asanaCustomFieldSettings.length > 0) {
+    console.log(
+      `Processing ${asanaCustomFieldSettings.length} custom fields from Asana...`,
+    );
+    console.log(
+      'Available Intercom ticket attributes:',
+      Object.keys(ticketAttrs).join(', '),
+    );
+
+    for (const setting of asanaCustomFieldSettings) {
+      const fieldName = setting.custom_field.name;
+      const fieldGid = setting.custom_field.gid;
+      const fieldType = setting.custom_field.resource_subtype;
+
+      // Skip Ticket Status field - it's reserved for Intercom ticket status management
+      if (fieldName === 'Ticket Status') {
+        console.log(
+          `  ⊘ Skipping "${fieldName}" - reserved for ticket status management`,
+        );
+        continue;
+      }
+
+      // Skip Intercom Conversation ID - it's system field
+      if (fieldName === 'Intercom Conversation ID') {
+        console.log(
+          `  ⊘ Skipping "${fieldName}" - system field (will be added separately)`,
+        );
+        continue;
+      }
+
+      // Fields that only flow Asana → Intercom are never copied onto new tasks
+      if (!syncsToAsana(fieldName)) {
+        console.log(
+          `  ⊘ Skipping "${fieldName}" - synced from Asana to Intercom only (fieldDirections.js)`,
+        );
+        continue;
+      }
+
+      // Check if this field exists in Intercom ticket attributes
+      const intercomValue = ticketAttrs[fieldName];
+
+      // Skip empty arrays (file fields with no files)
+      if (Array.isArray(intercomValue) && intercomValue.length === 0) {
+        console.log(`  ○ "${fieldName}" is empty array, skipping`);
+        fields.skipped.push({ name: fieldName, reason: 'empty' });
+        continue;
+      }
+
+      if (
+        intercomValue !== undefined &&
+        intercomValue !== null &&
+        intercomValue !== ''
+      ) {
+        console.log(
+          `  ✓ Found "${fieldName}" in Intercom with value:`,
+          typeof intercomValue === 'object'
+            ? JSON.stringify(intercomValue).substring(0, 100) + '...'
+            : intercomValue,
+        );
+
+        // First, check if Intercom value is a file/attachment (priority check)
+        if (
+          Array.isArray(intercomValue) &&
+          intercomValue.length > 0 &&
+          intercomValue[0]?.url
+        ) {
+          // This is a file upload field (array of files)
+          console.log(
+            `    → Detected file upload field with ${intercomValue.length} file(s)`,
+          );
+          const fileUrls = extractAttachmentUrls(intercomValue, fieldName);
+          console.log(`    → Extracted ${fileUrls.length} URL(s):`, fileUrls);
+          attachmentUrls.push(...fileUrls);
+          if (fileUrls.length > 0) {
+            fields.synced.push({
+              name: fieldName,
+              gid: fieldGid,
+              value: `${fileUrls.length} file(s)`,
+            });
+          }
+        } else if (typeof intercomValue === 'object' && intercomValue.url) {
+          // Single file object
+          console.log(`    → Detected single file upload`);
+          const fileUrls = extractAttachmentUrls(intercomValue, fieldName);
+          console.log(`    → Extracted ${fileUrls.length} URL(s):`, fileUrls);
+          attachmentUrls.push(...fileUrls);
+          if (fileUrls.length > 0) {
+            fields.synced.push({
+              name: fieldName,
+              gid: fieldGid,
+              value: `${fileUrls.length} file(s)`,
+            });
+          }
+        }
+        // If Asana field is enum, we must look up the option ID
+        else if (fieldType === 'enum') {
+          const enumOptionId = await getAsanaEnumOptionId(
+            fieldGid,
+            String(intercomValue),
+          );
+          if (enumOptionId) {
+            customFields[fieldGid] = enumOptionId;
+            fields.synced.push({
+              name: fieldName,
+              gid: fieldGid,
+              value: String(intercomValue),
+            });
+            console.log(
+              `    → Syncing as enum: ${intercomValue} (ID: ${enumOptionId})`,
+            );
+          } else {
+            console.log(
+              `    ⚠ Could not find enum option "${intercomValue}" in Asana field, skipping`,
+            );
+            fields.skipped.push({
+              name: fieldName,
+              reason: 'no_enum_option',
+              value: String(intercomValue),
+            });
+          }
+        }
+        // If Asana field is date type, format as YYYY-MM-DD
+        else if (fieldType === 'date') {
+          const formattedDateField = formatDateForAsanaDateField(intercomValue);
+          if (formattedDateField) {
+            customFields[fieldGid] = formattedDateField;
+            fields.synced.push({
+              name: fieldName,
+              gid: fieldGid,
+              value: formattedDateField,
+            });
+            console.log(`    → Syncing as date field: ${formattedDateField}`);
+          } else {
+            console.log(
+              `    ⚠ Could not format date "${intercomValue}", skipping`,
+            );
+            fields.skipped.push({
+              name: fieldName,
+              reason: 'invalid_date',
+              value: String(intercomValue),
+            });
+          }
+        }
+        // For all other cases (text, number, etc.), handle based on field name pattern or as text
+        else {
+          // Check if it's a date/time field by name pattern (for text fields in Asana)
+          if (
+            (fieldName.toLowerCase().includes('date') ||
+              fieldName.toLowerCase().includes('time')) &&
+            typeof intercomValue !== 'object'
+          ) {
+            const formattedDate = formatDateForAsana(
+              intercomValue,
+              ticketAttrs['Timezone'],
+            );
+            if (formattedDate) {
+              customFields[fieldGid] = formattedDate;
+              console.log(
+                `    → Syncing as formatted date text: ${formattedDate}`,
+              );
+            } else {
+              // Fallback to string value
+              customFields[fieldGid] = String(intercomValue);
+              console.log(`    → Syncing as text: ${String(intercomValue)}`);
+            }
+          } else {
+            // Default: sync as text/string (works for text and number fields in Asana)
+            customFields[fieldGid] = String(intercomValue);
+            console.log(`    → Syncing as text: ${String(intercomValue)}`);
+          }
+        }
+
+        // Record text values (enum, date and file fields are recorded above)
+        if (
+          customFields[fieldGid] !== undefined &&
+          !fields.synced.some((field) => field.gid === fieldGid)
+        ) {
+          fields.synced.push({
+            name: fieldName,
+            gid: fieldGid,
+            value: customFields[fieldGid],
+          });
+        }
+      } else {
+        console.log(
+          `  ○ "${fieldName}" not found or empty in Intercom ticket attributes`,
+        );
+        fields.skipped.push({ name: fieldName, reason: 'empty' });
+      }
+    }
+  }
+
+  if (attachmentUrls.length > 0) {
+    console.log(
+      `\nFinal attachment URLs to upload (${attachmentUrls.length}):`,
+      attachmentUrls,
+    );
+  } else {
+    console.log('\nNo file uploads to process for this task');
+  }
+  console.log('==================================================\n');
+
+  // Add Ticket Status for webhook sync (enum field requires option ID)
+  // Always populate Ticket Status - defaults to "Submitted" if not in Intercom
+  if (ASANA_CUSTOM_FIELDS.TICKET_STATUS && ticketStatus) {
+    console.log(
+      'Looking up enum option ID for Ticket Status:',
+      ticketStatus,
+      ticketStatus === 'Submitted' ? '(default)' : '(from Intercom)',
+    );
+    const enumOptionId = await getAsanaEnumOptionId(
+      ASANA_CUSTOM_FIELDS.TICKET_STATUS,
+      ticketStatus,
+    );
+    if (enumOptionId) {
+      customFields[ASANA_CUSTOM_FIELDS.TICKET_STATUS] = enumOptionId;
+      fields.synced.push({
+        name: 'Ticket Status',
+        gid: ASANA_CUSTOM_FIELDS.TICKET_STATUS,
+        value: ticketStatus,
+      });
+      console.log(
+        '✓ Adding Ticket Status to Asana custom field:',
+        ticketStatus,
+      );
+    } else {
+      console.warn('Could not find enum option ID for:', ticketStatus);
+      console.warn(
+        'Make sure "' +
+          ticketStatus +
+          '" exists as an option in the Ticket Status field in Asana',
+      );
+    }
+  } else if (!ASANA_CUSTOM_FIELDS.TICKET_STATUS) {
+    console.warn(
+      '⚠️ WARNING: Ticket Status custom field is not configured in Asana',
+    );
+    console.warn(
+      '   Please add "Ticket Status" enum field to your Asana project for status sync',
+    );
+  }
+
+  // Add Intercom conversation ID for webhook sync
+  if (ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID && conversationId) {
+    customFields[ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID] =
+      String(conversationId);
+    fields.synced.push({
+      name: 'Intercom Conversation ID',
+      gid: ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID,
+      value: String(conversationId),
+    });
+    console.log(
+      '✓ Adding conversation ID to Asana custom field:',
+      conversationId,
+    );
+  } else if (!ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID) {
+    console.warn(
+      '⚠ WARNING: "Intercom Conversation ID" custom field NOT configured!',
+    );
+    console.warn(
+      '   Webhook sync will not work without this field. Please add it to your Asana project.',
+    );
+  }
+
+  console.log('Custom fields to sync:', Object.keys(customFields).length);
+  if (Object.keys(customFields).length > 0) {
+    console.log('Custom field values:', JSON.stringify(customFields, null, 2));
+  }
+
+  // Section, assignee and due date - explicit choices win over the project defaults
+  const placement = await resolveTaskPlacement(project, projectId, options);
+
+  // Create task name from Reference Number or default to #Unknown
+  const referenceNumber = ticketAttrs['Reference Number'];
+  const taskName = referenceNumber ? `#${referenceNumber}` : '#Unknown';
+  console.log(
+    `Task name: ${taskName} (Reference Number: ${referenceNumber || 'not found'})`,
+  );
+
+  // Create task payload
+  const taskPayload = {
+    workspace: ASANA_WORKSPACE,
+    projects: [projectId], // Use selected project ID
+    name: taskName,
+    notes: taskNotes,
+  };
+
+  // Add task to the chosen section if there is one
+  if (placement.sectionId) {
+    taskPayload.memberships = [
+      {
+        project: projectId, // Use selected project ID
+        section: placement.sectionId,
+      },
+    ];
+    console.log(`✓ Task will be created in section ${placement.sectionId}`);
+  } else {
+    console.log('ℹ No section chosen, task will be created in default section');
+  }
+
+  if (placement.assignee) {
+    taskPayload.assignee = placement.assignee;
+    console.log(`✓ Task will be assigned to ${placement.assignee}`);
+  }
+  if (placement.dueOn) {
+    taskPayload.due_on = placement.dueOn;
+    console.log(`✓ Task will be due on ${placement.dueOn}`);
+  }
+
+  // Only add custom_fields if we have any configured
+  if (Object.keys(customFields).length > 0) {
+    taskPayload.custom_fields = customFields;
+  }
+
+  // Fields the project requires must have made it into the task
+  const missingFields = (project?.requiredFields || []).filter(
+    (name) => !fields.synced.some((field) => field.name === name),
+  );
+  if (missingFields.length > 0) {
+    console.warn(`⚠ Missing required fields: ${missingFields.join(', ')}`);
+  }
+
+  if (dryRun || missingFields.length > 0) {
+    console.log(
+      dryRun
+        ? 'Dry run - not creating the task'
+        : 'Required fields are missing - not creating the task',
+    );
+    return {
+      status: dryRun ? 'dry_run' : 'missing_fields',
+      ticketId,
+      taskName,
+      projectId,
+      ticket,
+      fields,
+      missingFields,
+      placement,
+      attachments: attachmentUrls.map((url, i) => ({
+        index: i + 1,
+        url,
+        status: 'pending',
+      })),
+    };
+  }
+
+  console.log(
+    'Creating Asana task with payload:',
+    JSON.stringify(taskPayload, null, 2),
+  );
+
+  // Create Asana task
+  const asanaResponse = await asanaApi.request('/tasks', {
+    method: 'POST',
+    json: {
+      data: taskPayload,
+    },
+  });
+
+  const asanaData = await asanaResponse.json();
+
+  // Log detailed error if task creation failed
+  if (!asanaResponse.ok) {
+    console.error('Asana API Error Response:');
+    console.error('Status:', asanaResponse.status);
+    console.error('Response:', JSON.stringify(asanaData, null, 2));
+
+    // Check if it's a date field error
+    if (asanaData.errors && asanaData.errors[0]?.message?.includes('date')) {
+      console.error('⚠️ Date field error detected!');
+      console.error(
+        'This usually means the "Ticket Due Date" field in Asana is not configured as a "date" type.',
+      );
+      console.error(
+        'Please check the field type in your Asana project settings.',
+      );
+    }
+
+    throw new Error(
+      asanaData.errors?.[0]?.message || 'Failed to create Asana task',
+    );
+  }
+
+  const asanaTaskId = asanaData.data.gid;
+
+  // Placing the task in its section isn't a teammate moving it (see taskActions.js)
+  if (placement.sectionId) {
+    recordSyncedWrite('asana', asanaTaskId, { section: placement.sectionId });
+  }
+
+  // Upload all attachments to Asana if available
+  let attachmentResults = [];
+  if (attachmentUrls.length > 0) {
+    console.log('\n===== ATTACHMENT PROCESSING =====');
+    console.log(`Processing ${attachmentUrls.length} attachment(s)`);
+
+    for (let i = 0; i < attachmentUrls.length; i++) {
+      const attachmentUrl = attachmentUrls[i];
+      console.log(
+        `\n--- Processing attachment ${i + 1}/${attachmentUrls.length} ---`,
+      );
+      console.log('Attachment URL:', attachmentUrl);
+
+      // Check if it's a valid URL before attempting upload
+      if (!isValidUrl(attachmentUrl)) {
+        console.log('⚠ Attachment is not a valid URL, skipping upload');
+        attachmentResults.push({
+          index: i + 1,
+          url: attachmentUrl,
+          status: 'invalid_url',
+          error: 'Invalid URL format',
+        });
+        continue;
+      }
+
+      console.log('✓ Valid URL detected, proceeding with upload');
+      try {
+        const attachmentPermanentUrl = await uploadAttachmentToAsana(
+          asanaTaskId,
+          attachmentUrl,
+        );
+
+        if (attachmentPermanentUrl && attachmentPermanentUrl.trim() !== '') {
+          console.log(
+            '✓ Attachment uploaded successfully. Permanent URL:',
+            attachmentPermanentUrl,
+          );
+          attachmentResults.push({
+            index: i + 1,
+            url: attachmentUrl,
+            status: 'success',
+            permanentUrl: attachmentPermanentUrl,
+          });
+        } else {
+          console.log('✗ Attachment upload failed - no permanent URL returned');
+          attachmentResults.push({
+            index: i + 1,
+            url: attachmentUrl,
+            status: 'failed',
+            error: 'Upload failed - no URL returned',
+          });
+        }
+      } catch (uploadError) {
+        console.error('✗ Error during attachment upload:', uploadError);
+        attachmentResults.push({
+          index: i + 1,
+          url: attachmentUrl,
+          status: 'failed',
+          error: uploadError.message || 'Upload error',
+        });
+      }
+    }
+    console.log('\n==================================');
+    console.log(
+      `Attachment processing complete: ${
+        attachmentResults.filter((r) => r.status === 'success').length
+      }/${attachmentUrls.length} successful`,
+    );
+  } else {
+    console.log('No attachments to process for this task');
+  }
+
+  // Save Asana task ID to Intercom ticket
+  await runSyncOperation(
+    'intercom.asana_task_id',
+    { ticket_id: ticketId, task_gid: asanaTaskId },
+    { task_gid: asanaTaskId, ticket_id: ticketId },
+  );
+
+  // Store the link for webhook callbacks
+  await linkStore.save({
+    task_gid: asanaTaskId,
+    project_gid: projectId,
+    conversation_id: conversationId,
+    ticket_id: ticketId,
+    ticket_type_id: ticket.ticket_type?.id,
+  });
+  console.log(
+    `Stored link: Asana task ${asanaTaskId} → Intercom conversation ${conversationId} / ticket ${ticketId}`,
+  );
+
+  return {
+    status: 'created',
+    ticketId,
+    taskId: asanaTaskId,
+    taskName,
+    projectId,
+    ticket,
+    fields,
+    missingFields,
+    placement,
+    attachments: attachmentResults,
+  };
+}
+
+// Helper function to resolve the section, assignee and due date for a new task
+// Options left undefined fall back to the project's defaults; null means "none"
+async function resolveTaskPlacement(project, projectId, options) {
+  let { sectionId, assignee, dueOn } = options;
+
+  if (sectionId === undefined) {
+    sectionId = project?.defaultSection
+      ? await getAsanaSectionId(project.defaultSection, projectId)
+      : null;
+  }
+  if (assignee === undefined) {
+    assignee = project?.defaultAssignee || null;
+  }
+  if (dueOn === undefined) {
+    dueOn =
+      project?.defaultDueInDays != null
+        ? getDueDateInDays(project.defaultDueInDays)
+        : null;
+  }
+  if (dueOn && !isValidDueDate(dueOn)) {
+    throw new Error(`Invalid due date "${dueOn}" - use YYYY-MM-DD`);
+  }
+
+  return {
+    sectionId: sectionId || null,
+    assignee: assignee || null,
+    dueOn: dueOn || null,
+  };
+}
+
+// Create tasks for many tickets, one at a time to stay inside the API rate limits
+// Failures are reported per ticket instead of stopping the run
+export async function backfillTasks(ticketIds, options = {}) {
+  const results = [];
+  for (const ticketId of ticketIds) {
+    try {
+      const result = await createTaskForTicket(ticketId, options);
+      results.push({
+        ticketId,
+        status: result.status,
+        taskId: result.taskId || null,
+        projectId: result.projectId || null,
+        fields: result.fields,
+        missingFields: result.missingFields,
+        attachments: result.attachments,
+      });
+    } catch (error) {
+      console.error(
+        `✗ Failed to create task for ticket ${ticketId}:`,
+        error.message,
+      );
+      results.push({ ticketId, status: 'failed', error: error.message });
+    }
+  }
+
+  const summary = {};
+  for (const result of results) {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  }
+  return { total: results.length, summary, results };
+}
+
+// Find tickets that should have a task but don't: open, in a whitelisted status and unlinked
+// Tickets a teammate unlinked on purpose are left out
+export async function findTicketsMissingTasks() {
+  const tickets = await searchTickets({
+    field: 'open',
+    operator: '=',
+    value: true,
+  });
+
+  const unlinkedTicketIds = new Set();
+  for (const ticket of tickets) {
+    if (await linkStore.getUnlinked(ticket.id))
+      unlinkedTicketIds.add(ticket.id);
+  }
+
+  return tickets
+    .filter((ticket) => {
+      if (unlinkedTicketIds.has(ticket.id)) return false;
+      const ticketStatus = getTicketAsanaStatus(ticket, {
+        projectId: matchProjectForTicket(ticket)?.project.id,
+      });
+      return (
+        whitelistStatus.includes(ticketStatus) &&
+        !ticket.ticket_attributes?.['Asana Task ID']
+      );
+    })
+    .map((ticket) => ticket.id);
+}
+
+// Helper function to pull a task GID out of a GID or an Asana task URL
+// Handles https://app.asana.com/0/<project>/<task>[/f] and .../project/<project>/task/<task>
+function parseAsanaTaskReference(reference) {
+  const value = String(reference || '').trim();
+  if (/^\d+$/.test(value)) return value;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  if (!url.hostname.endsWith('asana.com')) return null;
+
+  const segments = url.pathname.split('/').filter(Boolean);
+  const taskIndex = segments.indexOf('task');
+  if (taskIndex !== -1 && /^\d+$/.test(segments[taskIndex + 1] || '')) {
+    return segments[taskIndex + 1];
+  }
+
+  // Legacy URLs end with the task GID, optionally followed by /f
+  const numericSegments = segments.filter((segment) => /^\d+$/.test(segment));
+  return segments[0] === '0' && numericSegments.length >= 3
+    ? numericSegments[numericSegments.length - 1]
+    : null;
+}
+
+/*
+  Link a task that already exists in Asana to a ticket.
+
+  Checks that the task is in one of the projects.js projects and isn't linked to another
+  conversation, then writes the Intercom Conversation ID on the task, the Asana Task ID on
+  the ticket and the link store entry.
+
+  Returns { status: 'linked' | 'exists' | 'rejected', ticketId, taskId, projectId, error? }
+  where `error` explains a rejection. Throws if the ticket can't be fetched or Asana
+  rejects the update.
+*/
+export async function linkTaskToTicket(ticketId, taskReference, options = {}) {
+  const taskId = parseAsanaTaskReference(taskReference);
+  if (!taskId) {
+    return {
+      status: 'rejected',
+      ticketId,
+      error: 'Enter an Asana task ID or task URL',
+    };
+  }
+  const reject = (error) => {
+    console.log(`✗ Not linking task ${taskId} to ticket ${ticketId}: ${error}`);
+    return { status: 'rejected', ticketId, taskId, error };
+  };
+
+  console.log(`Linking Asana task ${taskId} to ticket ${ticketId}`);
+
+  const ticket = await getTicket(ticketId);
+  if (!ticket) {
+    throw new Error('Failed to fetch ticket details');
+  }
+  const conversationId = String(options.conversationId || ticket.id);
+
+  // The ticket itself must not point at a different task already
+  const storedTicketLink = await linkStore.getByTicket(ticketId);
+  const existingTaskId =
+    ticket.ticket_attributes?.['Asana Task ID'] || storedTicketLink?.task_gid;
+  if (existingTaskId) {
+    if (String(existingTaskId) === taskId) {
+      console.log('Ticket is already linked to this task');
+      return { status: 'exists', ticketId, taskId };
+    }
+    return reject(`This ticket is already linked to task ${existingTaskId}`);
+  }
+
+  const task = await getAsanaTask(taskId);
+  if (!task) {
+    return reject(`Task ${taskId} was not found in Asana`);
+  }
+
+  const taskProjectGids = (task.memberships || []).map((membership) =>
+    String(membership.project?.gid),
+  );
+  const project = projects.find((candidate) =>
+    taskProjectGids.includes(String(candidate.id)),
+  );
+  if (!project) {
+    return reject('The task is not in any of the configured Asana projects');
+  }
+
+  // The task must not belong to another conversation
+  const storedTaskLink = await linkStore.getByTask(taskId);
+  if (storedTaskLink && String(storedTaskLink.ticket_id) !== String(ticketId)) {
+    return reject(
+      `The task is already linked to conversation ${storedTaskLink.conversation_id}`,
+    );
+  }
+
+  const conversationField = (task.custom_fields || []).find(
+    (field) =>
+      field.gid === ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID ||
+      field.name === 'Intercom Conversation ID',
+  );
+  if (!conversationField) {
+    return reject(
+      `Project ${project.name} has no "Intercom Conversation ID" field`,
+    );
+  }
+  const linkedConversationId =
+    conversationField.text_value || conversationField.display_value;
+  if (linkedConversationId && linkedConversationId !== conversationId) {
+    return reject(
+      `The task is already linked to conversation ${linkedConversationId}`,
+    );
+  }
+
+  // Asana first - without the conversation ID on the task, webhooks can't sync back
+  await updateAsanaTask(taskId, {
+    custom_fields: { [conversationField.gid]: conversationId },
+  });
+  console.log(
+    `✓ Set Intercom Conversation ID ${conversationId} on task ${taskId}`,
+  );
+
+  await runSyncOperation(
+    'intercom.asana_task_id',
+    { ticket_id: ticketId, task_gid: taskId },
+    { task_gid: taskId, ticket_id: ticketId },
+  );
+
+  await linkStore.save({
+    task_gid: taskId,
+    project_gid: project.id,
+    conversation_id: conversationId,
+    ticket_id: ticketId,
+    ticket_type_id: ticket.ticket_type?.id,
+  });
+  console.log(
+    `✓ Linked Asana task ${taskId} (${project.name}) to ticket ${ticketId}`,
+  );
+
+  return { status: 'linked', ticketId, taskId, projectId: project.id };
+}
+
+// Helper function to find the Asana task linked to a ticket (attribute first, then the link store)
+export async function findTaskIdForTicket(ticket) {
+  const attributeTaskId = ticket?.ticket_attributes?.['Asana Task ID'];
+  if (attributeTaskId) return attributeTaskId;
+  if (!ticket?.id) return null;
+  const storedLink = await linkStore.getByTicket(ticket.id);
+  return storedLink?.task_gid || null;
+}
+
+// Helper function to leave the same audit entry on the Asana task and the Intercom conversation
+// Both carry the [Asana Link Update] marker so the webhooks don't sync them across
+async function postLinkAuditNotes({ taskId, ticketId, conversationId }, text) {
+  const targets = {
+    task_gid: taskId,
+    ticket_id: ticketId,
+    conversation_id: conversationId,
+  };
+  await Promise.all([
+    runSyncOperation(
+      'asana.story',
+      { task_gid: taskId, text: `[Asana Link Update] ${text}` },
+      targets,
+    ),
+    runSyncOperation(
+      'intercom.note',
+      {
+        conversation_id: conversationId,
+        body: `<b>[Asana Link Update]</b><br>${text}`,
+      },
+      targets,
+    ),
+  ]);
+}
+
+// Helper function to load a ticket together with its linked task
+async function loadLinkedTicket(ticketId) {
+  const ticket = await getTicket(ticketId);
+  if (!ticket) {
+    throw new Error('Failed to fetch ticket details');
+  }
+  const taskId = await findTaskIdForTicket(ticket);
+  const storedLink = taskId ? await linkStore.getByTask(taskId) : null;
+  const conversationId = String(storedLink?.conversation_id || ticket.id);
+  return { ticket, taskId: taskId ? String(taskId) : null, conversationId };
+}
+
+/*
+  Remove the link between a ticket and its Asana task, e.g. after it was created against the
+  wrong ticket. Clears the Asana Task ID attribute, the task's Intercom Conversation ID field
+  and the link store entry, and leaves an audit note on both sides. The task itself is kept.
+  The ticket is marked as unlinked, so automatic creation and the backfill skip it until a
+  teammate creates or links a task for it again.
+
+  Returns { status: 'unlinked' | 'not_linked', ticketId, taskId }.
+*/
+export async function unlinkTaskFromTicket(
+  ticketId,
+  { actor = 'the integration' } = {},
+) {
+  const { taskId, conversationId } = await loadLinkedTicket(ticketId);
+  if (!taskId) {
+    console.log(`Ticket ${ticketId} has no linked Asana task`);
+    return { status: 'not_linked', ticketId, taskId: null };
+  }
+
+  console.log(`Unlinking Asana task ${taskId} from ticket ${ticketId}`);
+
+  // The task may have been deleted in Asana - the Intercom side is cleared regardless
+  const task = await getAsanaTask(taskId);
+  const conversationField = (task?.custom_fields || []).find(
+    (field) =>
+      field.gid === ASANA_CUSTOM_FIELDS.INTERCOM_CONVERSATION_ID ||
+      field.name === 'Intercom Conversation ID',
+  );
+  if (conversationField) {
+    await updateAsanaTask(taskId, {
+      custom_fields: { [conversationField.gid]: null },
+    });
+    console.log(`✓ Cleared Intercom Conversation ID on task ${taskId}`);
+  }
+
+  await runSyncOperation(
+    'intercom.asana_task_id',
+    { ticket_id: ticketId, task_gid: '' },
+    { task_gid: taskId, ticket_id: ticketId },
+  );
+  await linkStore.remove(taskId);
+  // Automatic creation would otherwise hand the ticket a new task on its next state change
+  await linkStore.markUnlinked(ticketId, taskId);
+
+  await postLinkAuditNotes(
+    { taskId, ticketId, conversationId },
+    `Asana task ${taskId} was unlinked from Intercom conversation ${conversationId} by ${actor}`,
+  );
+  console.log(`✓ Unlinked Asana task ${taskId} from ticket ${ticketId}`);
+
+  return { status: 'unlinked', ticketId, taskId };
+}
+
+/*
+  Move a ticket's Asana task into another projects.js project. The task joins the new
+  project (in its defaultSection when it has one) and leaves any other configured
+  project; the link and both IDs stay the same.
+
+  Returns { status: 'moved' | 'unchanged' | 'not_linked', ticketId, taskId, projectId,
+  fromProjectIds }. Throws if the project isn't configured or Asana rejects the move.
+*/
+export async function moveTaskToProject(
+  ticketId,
+  projectId,
+  { actor = 'the integration' } = {},
+) {
+  const project = projects.find(
+    (candidate) => String(candidate.id) === String(projectId),
+  );
+  if (!project) {
+    throw new Error(`Project ${projectId} is not configured in projects.js`);
+  }
+
+  const { ticket, taskId, conversationId } = await loadLinkedTicket(ticketId);
+  if (!taskId) {
+    console.log(`Ticket ${ticketId} has no linked Asana task`);
+    return { status: 'not_linked', ticketId, taskId: null };
+  }
+
+  const task = await getAsanaTask(taskId);
+  if (!task) {
+    throw new Error(`Task ${taskId} was not found in Asana`);
+  }
+
+  const taskProjectGids = (task.memberships || []).map((membership) =>
+    String(membership.project?.gid),
+  );
+  const fromProjectIds = projects
+    .map((candidate) => String(candidate.id))
+    .filter(
+      (gid) => gid !== String(project.id) && taskProjectGids.includes(gid),
+    );
+
+  if (
+    taskProjectGids.includes(String(project.id)) &&
+    fromProjectIds.length === 0
+  ) {
+    console.log(`Task ${taskId} is already in ${project.name}`);
+    return {
+      status: 'unchanged',
+      ticketId,
+      taskId,
+      projectId: project.id,
+      fromProjectIds,
+    };
+  }
+
+  console.log(`Moving Asana task ${taskId} to ${project.name}`);
+
+  if (!taskProjectGids.includes(String(project.id))) {
+    const sectionId = project.defaultSection
+      ? await getAsanaSectionId(project.defaultSection, project.id)
+      : null;
+    if (sectionId) {
+      recordSyncedWrite('asana', taskId, { section: sectionId });
+    }
+    await addTaskToProject(taskId, project.id, sectionId);
+    console.log(`✓ Added task ${taskId} to ${project.name}`);
+  }
+  for (const fromProjectId of fromProjectIds) {
+    await removeTaskFromProject(taskId, fromProjectId);
+    console.log(`✓ Removed task ${taskId} from project ${fromProjectId}`);
+  }
+
+  await linkStore.save({
+    ...(await linkStore.getByTask(taskId)),
+    task_gid: taskId,
+    project_gid: project.id,
+    conversation_id: conversationId,
+    ticket_id: ticketId,
+    ticket_type_id: ticket.ticket_type?.id,
+  });
+
+  const fromNames = fromProjectIds.map(
+    (gid) => projects.find((candidate) => String(candidate.id) === gid)?.name,
+  );
+  await postLinkAuditNotes(
+    { taskId, ticketId, conversationId },
+    `Asana task ${taskId} was moved ${fromNames.length > 0 ? `from ${fromNames.join(', ')} ` : ''}to ${project.name} by ${actor}`,
+  );
+
+  return {
+    status: 'moved',
+    ticketId,
+    taskId,
+    projectId: project.id,
+    fromProjectIds,
+  };
+}
+
+/*
+  Copy ticket attribute edits made after the task was created onto the linked task.
+  Only custom fields whose value differs are updated, and files that aren't attached to
+  the task yet are uploaded. Failed writes are captured in the dead-letter store.
+
+  Returns { status: 'synced' | 'unchanged' | 'not_linked', ticketId, taskId,
+  changes: [{ name, from, to }], attachments: [{ url, status }] }.
+  Throws if the ticket or the task can't be fetched.
+*/
+export async function syncTicketChangesToTask(ticketId) {
+  const { ticket, taskId, conversationId } = await loadLinkedTicket(ticketId);
+  if (!taskId) {
+    console.log(`Ticket ${ticketId} has no linked Asana task`);
+    return { status: 'not_linked', ticketId, taskId: null };
+  }
+
+  const task = await getAsanaTask(taskId);
+  if (!task) {
+    throw new Error(`Task ${taskId} was not found in Asana`);
+  }
+
+  console.log(`Comparing ticket ${ticketId} with Asana task ${taskId}`);
+  const { customFields, changes, fileUrls } = await getTaskFieldChanges(
+    task.custom_fields || [],
+    ticket,
+  );
+  const targets = {
+    task_gid: taskId,
+    ticket_id: ticketId,
+    conversation_id: conversationId,
+  };
+
+  if (changes.length > 0) {
+    // Recorded first - Asana's change event can arrive before the update returns
+    recordSyncedWrite(
+      'asana',
+      taskId,
+      Object.fromEntries(changes.map((change) => [change.name, change.to])),
+    );
+    const updated = await runSyncOperation(
+      'asana.custom_fields',
+      { task_gid: taskId, custom_fields: customFields },
+      targets,
+    );
+    if (updated) {
+      console.log(
+        `✓ Updated ${changes.length} field(s) on task ${taskId}: ${changes.map((change) => change.name).join(', ')}`,
+      );
+    }
+  }
+
+  // Files are matched by the name uploadAttachmentToAsana() gives them
+  const attachments = [];
+  if (fileUrls.length > 0) {
+    const attachedNames = await getAsanaTaskAttachmentNames(taskId);
+    if (!attachedNames) {
+      throw new Error(`Could not list the attachments on task ${taskId}`);
+    }
+    for (const url of fileUrls) {
+      if (attachedNames.includes(getAttachmentFileName(url))) continue;
+      console.log(`  → New file on ticket: ${getAttachmentFileName(url)}`);
+      const uploaded = await runSyncOperation(
+        'asana.attachment',
+        { task_gid: taskId, url },
+        targets,
+      );
+      attachments.push({ url, status: uploaded ? 'uploaded' : 'failed' });
+    }
+  }
+
+  if (changes.length === 0 && attachments.length === 0) {
+    console.log('ℹ Task is already up to date with the ticket');
+    return { status: 'unchanged', ticketId, taskId, changes, attachments };
+  }
+  return { status: 'synced', ticketId, taskId, changes, attachments };
+}
+
+/*
+  Copy the ticket's state onto the linked task's Ticket Status field. The status comes from
+  statusMappings.js, falling back to the state's internal label. In projects with completeTaskOnClose
+  the task is also completed while the ticket is closed and uncompleted when it's reopened.
+  State changes the integration made itself (from an Asana status) are ignored.
+
+  Returns { status: 'synced' | 'unchanged' | 'not_linked' | 'echo' | 'failed', ticketId,
+  taskId, ticketStatus, completed }. A failed update is captured in the dead-letter store.
+  Throws if the ticket or the task can't be fetched.
+*/
+export async function syncTicketStateToTask(ticketId) {
+  const { ticket, taskId, conversationId } = await loadLinkedTicket(ticketId);
+  if (!taskId) {
+    console.log(`Ticket ${ticketId} has no linked Asana task`);
+    return { status: 'not_linked', ticketId, taskId: null };
+  }
+
+  const stateId = ticket.ticket_state?.id;
+  if (isEchoedWrite('intercom', ticketId, 'ticket_state_id', stateId)) {
+    console.log(
+      `ℹ Ticket state ${stateId} was set from the Asana status, not syncing it back`,
+    );
+    return { status: 'echo', ticketId, taskId };
+  }
+
+  const task = await getAsanaTask(taskId);
+  if (!task) {
+    throw new Error(`Task ${taskId} was not found in Asana`);
+  }
+
+  const storedLink = await linkStore.getByTask(taskId);
+  const taskProjectGids = (task.memberships || []).map((membership) =>
+    String(membership.project?.gid),
+  );
+  const project = projects.find((candidate) =>
+    storedLink?.project_gid
+      ? String(candidate.id) === String(storedLink.project_gid)
+      : taskProjectGids.includes(String(candidate.id)),
+  );
+
+  const ticketStatus = getTicketAsanaStatus(ticket, {
+    projectId: project?.id,
+    ticketTypeId: storedLink?.ticket_type_id || ticket.ticket_type?.id,
+  });
+  const ticketClosed = ticket.open === false;
+  console.log(
+    `Ticket ${ticketId} is in state ${stateId} → "${ticketStatus}" (${ticketClosed ? 'closed' : 'open'})`,
+  );
+
+  const update = {};
+  const statusField = (task.custom_fields || []).find(
+    (field) =>
+      field.gid === ASANA_CUSTOM_FIELDS.TICKET_STATUS ||
+      field.name === 'Ticket Status',
+  );
+  if (!statusField) {
+    console.warn(`⚠ Task ${taskId} has no Ticket Status field`);
+  } else if (ticketStatus && statusField.enum_value?.name !== ticketStatus) {
+    const optionId = await getAsanaEnumOptionId(statusField.gid, ticketStatus);
+    if (optionId) {
+      update.custom_fields = { [statusField.gid]: optionId };
+    } else {
+      console.warn(
+        `⚠ "${ticketStatus}" is not a Ticket Status option in Asana - add it or map the state in statusMappings.js`,
+      );
+    }
+  }
+
+  if (project?.completeTaskOnClose && task.completed !== ticketClosed) {
+    update.completed = ticketClosed;
+  }
+
+  if (Object.keys(update).length === 0) {
+    console.log('ℹ Task already matches the ticket state');
+    return {
+      status: 'unchanged',
+      ticketId,
+      taskId,
+      ticketStatus,
+      completed: task.completed,
+    };
+  }
+
+  // Recorded first - Asana's change event can arrive before the update returns, and must not
+  // push the status (or a close for a non-whitelisted status) back onto the ticket
+  recordSyncedWrite('asana', taskId, {
+    'Ticket Status': update.custom_fields
+      ? ticketStatus
+      : statusField?.enum_value?.name,
+    ...(update.completed !== undefined && { completed: update.completed }),
+  });
+  const updated = await runSyncOperation(
+    'asana.task',
+    { task_gid: taskId, data: update },
+    { task_gid: taskId, ticket_id: ticketId, conversation_id: conversationId },
+  );
+  if (updated) {
+    const changes = [];
+    if (update.custom_fields) changes.push(`Ticket Status → ${ticketStatus}`);
+    if (update.completed !== undefined) {
+      changes.push(update.completed ? 'completed' : 'marked incomplete');
+    }
+    console.log(`✓ Updated task ${taskId}: ${changes.join(', ')}`);
+  }
+
+  return {
+    status: updated ? 'synced' : 'failed',
+    ticketId,
+    taskId,
+    ticketStatus,
+    completed: update.completed ?? task.completed,
+  };
+}
@@ -0,0 +1,206 @@
+import statusMappings from './statusMappings.js';
+import projects from './projects.js';
+import { ASANA_CUSTOM_FIELDS, getAsanaEnumOptionId } from './asana.js';
+import { initializeTicketStates } from './intercom.js';
+
+/*
+  Declarative mapping between the Asana "Ticket Status" enum and Intercom ticket states,
+  configured in statusMappings.js. Lookups return null when no entry maps the value, and
+  callers fall back to the state labels: getTicketStateId in intercom.js for Asana → Intercom,
+  the state's internal label for Intercom → Asana (getTicketAsanaStatus).
+*/
+
+// Helper function to compare status names the way Asana enum options are matched by teammates
+function normalizeStatus(status) {
+  return String(status).trim().toLowerCase();
+}
+
+// Helper function to build the Intercom → Asana side of an entry, reversing one-to-one pairs
+function buildReverseMapping(entry, index) {
+  const reverse = {};
+  const statusesByState = {};
+  for (const [status, stateId] of Object.entries(entry.asanaToIntercom || {})) {
+    const key = String(stateId);
+    statusesByState[key] = [...(statusesByState[key] || []), status];
+  }
+  for (const [stateId, statuses] of Object.entries(statusesByState)) {
+    if (statuses.length === 1) reverse[stateId] = statuses[0];
+  }
+
+  for (const [stateId, status] of Object.entries(entry.intercomToAsana || {})) {
+    reverse[String(stateId)] = status;
+  }
+
+  // A shared state without an explicit reverse can't be mapped back to a single status
+  for (const [stateId, statuses] of Object.entries(statusesByState)) {
+    if (!reverse[stateId]) {
+      throw new Error(
+        `statusMappings.js entry ${index + 1}: state ${stateId} is mapped from ${statuses.join(', ')} - add it to intercomToAsana`,
+      );
+    }
+  }
+  return reverse;
+}
+
+// Fail fast on malformed entries - a mistake would silently fall back to label guessing
+const mappings = statusMappings.map((entry, index) => {
+  if (
+    entry.project !== undefined &&
+    !projects.some((project) => String(project.id) === String(entry.project))
+  ) {
+    throw new Error(
+      `statusMappings.js entry ${index + 1}: project ${entry.project} is not configured in projects.js`,
+    );
+  }
+  if (!entry.asanaToIntercom && !entry.intercomToAsana) {
+    throw new Error(
+      `statusMappings.js entry ${index + 1}: needs asanaToIntercom or intercomToAsana`,
+    );
+  }
+
+  const asanaToIntercom = {};
+  for (const [status, stateId] of Object.entries(entry.asanaToIntercom || {})) {
+    asanaToIntercom[normalizeStatus(status)] = String(stateId);
+  }
+
+  return {
+    entry,
+    asanaToIntercom,
+    intercomToAsana: buildReverseMapping(entry, index),
+  };
+});
+
+// Helper function to check whether an entry applies to a project / ticket type
+function inScope(entry, { projectId, ticketTypeId }) {
+  if (
+    entry.project !== undefined &&
+    String(entry.project) !== String(projectId)
+  ) {
+    return false;
+  }
+  if (
+    entry.ticketTypeId !== undefined &&
+    String(entry.ticketTypeId) !== String(ticketTypeId)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+// Get the Intercom ticket state ID mapped from an Asana Ticket Status, or null
+export function getMappedTicketStateId(asanaStatus, scope = {}) {
+  if (!asanaStatus) return null;
+  const key = normalizeStatus(asanaStatus);
+  for (const mapping of mappings) {
+    if (inScope(mapping.entry, scope) && mapping.asanaToIntercom[key]) {
+      return mapping.asanaToIntercom[key];
+    }
+  }
+  return null;
+}
+
+// Get the Asana Ticket Status mapped from an Intercom ticket state ID, or null
+export function getMappedAsanaStatus(stateId, scope = {}) {
+  if (!stateId) return null;
+  for (const mapping of mappings) {
+    if (inScope(mapping.entry, scope) && mapping.intercomToAsana[stateId]) {
+      return mapping.intercomToAsana[stateId];
+    }
+  }
+  return null;
+}
+
+// Get the Asana Ticket Status for a ticket's current state: the statusMappings.js entry for
+// the state, else the state's internal label (whitelistStatus.js uses those labels too)
+export function getTicketAsanaStatus(
+  ticket,
+  { projectId, ticketTypeId = ticket?.ticket_type?.id } = {},
+) {
+  return (
+    getMappedAsanaStatus(ticket?.ticket_state?.id, {
+      projectId,
+      ticketTypeId,
+    }) ||
+    ticket?.ticket_state?.internal_label ||
+    null
+  );
+}
+
+/*
+  Check every mapped state ID against Intercom's ticket states (and the entry's ticket type)
+  and every status name against the Asana Ticket Status options. Run once at startup.
+  Returns a list of problems, each logged with ✗; an empty list means the mapping is valid.
+*/
+export async function validateStatusMappings() {
+  if (mappings.length === 0) return [];
+
+  const problems = [];
+  const states = await initializeTicketStates();
+  if (!states || states.length === 0) {
+    console.warn(
+      '⚠ Could not load Intercom ticket states - status mappings were not checked',
+    );
+    return problems;
+  }
+  if (!ASANA_CUSTOM_FIELDS.TICKET_STATUS) {
+    console.warn(
+      '⚠ Ticket Status field is not configured in Asana - status mappings were not checked',
+    );
+    return problems;
+  }
+
+  const checkedStatuses = new Map();
+  for (const [index, { entry, intercomToAsana }] of mappings.entries()) {
+    const label = `statusMappings.js entry ${index + 1}`;
+    const stateIds = new Set([
+      ...Object.values(entry.asanaToIntercom || {}).map(String),
+      ...Object.keys(intercomToAsana),
+    ]);
+    const statuses = new Set([
+      ...Object.keys(entry.asanaToIntercom || {}),
+      ...Object.values(intercomToAsana),
+    ]);
+
+    for (const stateId of stateIds) {
+      const state = states.find(
+        (candidate) => String(candidate.id) === stateId,
+      );
+      if (!state) {
+        problems.push(
+          `${label}: Intercom ticket state ${stateId} does not exist`,
+        );
+      } else if (
+        entry.ticketTypeId !== undefined &&
+        !state.ticket_types?.data?.some(
+          (type) => String(type.id) === String(entry.ticketTypeId),
+        )
+      ) {
+        problems.push(
+          `${label}: ticket state ${stateId} (${state.internal_label}) does not apply to ticket type ${entry.ticketTypeId}`,
+        );
+      }
+    }
+
+    for (const status of statuses) {
+      if (!checkedStatuses.has(status)) {
+        checkedStatuses.set(
+          status,
+          await getAsanaEnumOptionId(ASANA_CUSTOM_FIELDS.TICKET_STATUS, status),
+        );
+      }
+      if (!checkedStatuses.get(status)) {
+        problems.push(
+          `${label}: "${status}" is not an option of the Asana Ticket Status field`,
+        );
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error('✗ Status mappings reference values that do not exist:');
+    problems.forEach((problem) => console.error(`  ✗ ${problem}`));
+  } else {
+    console.log(`✓ Validated ${mappings.length} status mapping(s)`);
+  }
+  return problems;
+}
@@ -0,0 +1,73 @@
+import { createJsonFileStore } from './jsonFileStore.js';
+
+// Persistent store for Asana webhook secrets, one entry per webhook
+// Entries are keyed by the project GID the webhook was created for
+const store = createJsonFileStore('asana-webhook-secrets.json');
+
+// Secrets can also be provided via env (JSON object of projectGid → secret)
+// for platforms without a writable filesystem (e.g. Vercel)
+function getEnvSecrets() {
+  if (!process.env.ASANA_WEBHOOK_SECRETS) return {};
+  try {
+    return JSON.parse(process.env.ASANA_WEBHOOK_SECRETS);
+  } catch (error) {
+    console.error('✗ ASANA_WEBHOOK_SECRETS is not valid JSON:', error.message);
+    return {};
+  }
+}
+
+// Helper function to get the stored secret for a webhook key
+export function getWebhookSecret(key) {
+  const envSecret = getEnvSecrets()[key];
+  if (envSecret) return envSecret;
+  return store.read()[key]?.secret || null;
+}
+
+// Helper function to store the secret received during a webhook handshake
+export function saveWebhookSecret(key, secret) {
+  return store.update((secrets) => {
+    secrets[key] = {
+      secret,
+      stored_at: new Date().toISOString(),
+    };
+    return secrets[key];
+  });
+}
+
+// Helper function to describe secret status for a webhook key (never returns the secret)
+export function getWebhookSecretStatus(key) {
+  if (getEnvSecrets()[key]) {
+    return { secret_stored: true, source: 'env', stored_at: null };
+  }
+  const entry = store.read()[key];
+  return {
+    secret_stored: !!entry?.secret,
+    source: entry?.secret ? 'file' : null,
+    stored_at: entry?.stored_at || null,
+  };
+}
+
+// Webhook creations we started, keyed like the secrets - Asana's handshake for a webhook is
+// only accepted while its creation is pending, so nobody else can claim a project's secret
+const pendingHandshakes = createJsonFileStore('asana-webhook-handshakes.json');
+const HANDSHAKE_WINDOW_MS = 2 * 60 * 1000;
+
+// Helper function to record that we're about to create a webhook for a key
+export function markHandshakePending(key) {
+  pendingHandshakes.update((pending) => {
+    pending[key] = { requested_at: Date.now() };
+  });
+}
+
+// Helper function to forget a pending webhook creation (it finished or failed)
+export function clearPendingHandshake(key) {
+  pendingHandshakes.update((pending) => {
+    delete pending[key];
+  });
+}
+
+// Helper function to check whether a handshake for a key is expected right now
+export function isHandshakePending(key) {
+  const entry = pendingHandshakes.read()[key];
+  return !!entry && Date.now() - entry.requested_at <= HANDSHAKE_WINDOW_MS;
+}
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+
+// Helpers for verifying HMAC signatures on incoming webhook requests
+// All comparisons are constant-time to avoid leaking signature bytes through timing
+
+// Helper function to compute a hex HMAC digest over the raw request body
+export function computeHmac(algorithm, secret, rawBody) {
+  return crypto
+    .createHmac(algorithm, secret)
+    .update(rawBody || Buffer.alloc(0))
+    .digest('hex');
+}
+
+// Helper function to compare two hex signatures in constant time
+export function signaturesMatch(expected, received) {
+  if (typeof expected !== 'string' || typeof received !== 'string') {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received.trim().toLowerCase(), 'utf8');
+
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Verify an Asana webhook delivery: X-Hook-Signature is HMAC-SHA256 of the raw body
+// keyed with the X-Hook-Secret received during the handshake
+export function verifyAsanaSignature(rawBody, signature, secret) {
+  if (!secret) {
+    return { valid: false, reason: 'no webhook secret stored' };
+  }
+  if (!signature) {
+    return { valid: false, reason: 'missing X-Hook-Signature header' };
+  }
+  if (!rawBody) {
+    return { valid: false, reason: 'raw request body not available' };
+  }
+
+  const expected = computeHmac('sha256', secret, rawBody);
+  if (!signaturesMatch(expected, signature)) {
+    return { valid: false, reason: 'signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+// Verify an Intercom webhook notification: X-Hub-Signature is "sha1=" followed by
+// the HMAC-SHA1 of the raw body keyed with the app's client secret
+export function verifyIntercomSignature(
+  rawBody,
+  signatureHeader,
+  clientSecret,
+) {
+  if (!clientSecret) {
+    return { valid: false, reason: 'INTERCOM_CLIENT_SECRET is not configured' };
+  }
+  if (!signatureHeader) {
+    return { valid: false, reason: 'missing X-Hub-Signature header' };
+  }
+  if (!rawBody) {
+    return { valid: false, reason: 'raw request body not available' };
+  }
+
+  const [scheme, signature] = String(signatureHeader).split('=');
+  if (scheme !== 'sha1' || !signature) {
+    return { valid: false, reason: 'malformed X-Hub-Signature header' };
+  }
+
+  const expected = computeHmac('sha1', clientSecret, rawBody);
+  if (!signaturesMatch(expected, signature)) {
+    return { valid: false, reason: 'signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+// Verify a Canvas Kit request: X-Body-Signature is the hex HMAC-SHA256 of the raw body
+// keyed with the app's client secret
+export function verifyCanvasSignature(rawBody, signature, clientSecret) {
+  if (!clientSecret) {
+    return { valid: false, reason: 'INTERCOM_CLIENT_SECRET is not configured' };
+  }
+  if (!signature) {
+    return { valid: false, reason: 'missing X-Body-Signature header' };
+  }
+  if (!rawBody) {
+    return { valid: false, reason: 'raw request body not available' };
+  }
+
+  const expected = computeHmac('sha256', clientSecret, rawBody);
+  if (!signaturesMatch(expected, signature)) {
+    return { valid: false, reason: 'signature mismatch' };
+  }
+
+  return { valid: true };
+}